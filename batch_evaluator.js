@@ -0,0 +1,165 @@
+/**
+ * Batch evaluation against labelled cases: every case goes through runDiagnosis
+ * and the winning ruleId is compared with the vet's final diagnosis. Reports
+ * accuracy, top-k accuracy over the differential, a confusion matrix across
+ * diagnosticRules ids and every misclassified case with its explanation.
+ */
+
+class FelineNeuroBatchEvaluator {
+    constructor(engine) {
+        this.engine = engine;
+        this.ruleIds = [...engine.data.diagnosticRules]
+            .sort((a, b) => a.priority - b.priority)
+            .map(rule => rule.id);
+    }
+
+    /**
+     * Labels may be a rule id or a rule name, in any case
+     */
+    resolveLabel(label) {
+        if (label === undefined || label === null || String(label).trim() === '') return null;
+        const normalized = String(label).trim().toLowerCase();
+        const rule = this.engine.data.diagnosticRules.find(r =>
+            r.id.toLowerCase() === normalized || r.name.toLowerCase() === normalized
+        );
+        return rule ? rule.id : null;
+    }
+
+    /**
+     * cases: [{ id, inputs, expected }]. options.topK (default 3) and
+     * options.conflictResolution are passed through.
+     */
+    evaluate(cases, options = {}) {
+        const topK = options.topK || 3;
+        const matrix = Object.fromEntries(this.ruleIds.map(id => [id, {}]));
+        const topKHits = new Array(topK).fill(0);
+        const misclassified = [];
+        const skipped = [];
+        let correct = 0;
+
+        console.log(`🧪 Evaluating ${cases.length} labelled cases...`);
+
+        cases.forEach(testCase => {
+            const expected = this.resolveLabel(testCase.expected);
+            if (!expected) {
+                skipped.push({ id: testCase.id, label: testCase.expected, reason: testCase.expected ? 'unknown label' : 'no label' });
+                return;
+            }
+
+            const diagnosis = this.engine.runDiagnosis(testCase.inputs, {
+                conflictResolution: options.conflictResolution,
+                persist: false
+            });
+            const predicted = diagnosis.ruleId;
+            const ranking = diagnosis.differential.length > 0
+                ? diagnosis.differential.map(entry => entry.ruleId)
+                : [predicted];
+
+            matrix[expected][predicted] = (matrix[expected][predicted] || 0) + 1;
+            const rank = ranking.indexOf(expected);
+            for (let k = Math.max(rank, 0); rank !== -1 && k < topK; k++) {
+                topKHits[k]++;
+            }
+
+            if (predicted === expected) {
+                correct++;
+            } else {
+                misclassified.push({
+                    id: testCase.id,
+                    expected,
+                    predicted,
+                    expectedRank: rank === -1 ? null : rank + 1,
+                    differential: ranking,
+                    inputs: testCase.inputs,
+                    explanation: diagnosis.logicExplanation,
+                    whyNotExpected: this.engine.explainWhyNot(expected, testCase.inputs)
+                });
+            }
+        });
+
+        const evaluated = cases.length - skipped.length;
+        const rate = count => evaluated > 0 ? count / evaluated : 0;
+
+        return {
+            strategy: options.conflictResolution || 'priority',
+            total: cases.length,
+            evaluated,
+            correct,
+            accuracy: rate(correct),
+            topKAccuracy: topKHits.map((hits, index) => ({ k: index + 1, accuracy: rate(hits) })),
+            confusionMatrix: { labels: this.ruleIds, counts: matrix },
+            perRule: this.summarizePerRule(matrix),
+            misclassified,
+            skipped,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Recall and precision for every rule that was expected or predicted
+     */
+    summarizePerRule(matrix) {
+        return this.ruleIds.map(ruleId => {
+            const support = Object.values(matrix[ruleId]).reduce((sum, n) => sum + n, 0);
+            const predictedCount = this.ruleIds.reduce((sum, expected) => sum + (matrix[expected][ruleId] || 0), 0);
+            const truePositives = matrix[ruleId][ruleId] || 0;
+            return {
+                ruleId,
+                support,
+                predicted: predictedCount,
+                recall: support > 0 ? truePositives / support : null,
+                precision: predictedCount > 0 ? truePositives / predictedCount : null
+            };
+        }).filter(entry => entry.support > 0 || entry.predicted > 0);
+    }
+
+    formatReport(report) {
+        const percent = value => value === null ? '—' : `${Math.round(value * 1000) / 10}%`;
+        let text = `Batch Evaluation (${report.strategy} conflict resolution)\n\n`;
+        text += `📊 Cases: ${report.total} (${report.evaluated} labelled, ${report.skipped.length} skipped)\n`;
+        text += `🎯 Accuracy: ${percent(report.accuracy)} (${report.correct}/${report.evaluated})\n`;
+        text += `🏅 Top-k: ${report.topKAccuracy.map(entry => `top-${entry.k} ${percent(entry.accuracy)}`).join(', ')}\n\n`;
+
+        text += `📋 Per rule (support / recall / precision):\n`;
+        report.perRule.forEach(entry => {
+            text += `   ${entry.ruleId}: ${entry.support} / ${percent(entry.recall)} / ${percent(entry.precision)}\n`;
+        });
+
+        // Only rules that occur, numbered so the grid stays readable
+        const labels = report.perRule.map(entry => entry.ruleId);
+        const counts = report.confusionMatrix.counts;
+        const width = Math.max(3, ...labels.map(expected =>
+            Math.max(...labels.map(predicted => String(counts[expected][predicted] || 0).length))
+        ));
+        text += `\n🔢 Confusion matrix (rows expected, columns predicted):\n`;
+        text += `      ${labels.map((_, i) => String(i + 1).padStart(width)).join(' ')}\n`;
+        labels.forEach((expected, i) => {
+            text += `  ${String(i + 1).padStart(3)} ${labels.map(predicted => String(counts[expected][predicted] || '·').padStart(width)).join(' ')}  ${expected}\n`;
+        });
+
+        if (report.misclassified.length > 0) {
+            text += `\n❌ Misclassified:\n`;
+            report.misclassified.forEach(entry => {
+                text += `   ${entry.id}: expected ${entry.expected}, got ${entry.predicted}`;
+                text += entry.expectedRank ? ` (expected ranked #${entry.expectedRank})\n` : ' (expected not in the differential)\n';
+                text += `      why not ${entry.expected}: ${entry.whyNotExpected.summary}\n`;
+                entry.whyNotExpected.unmetPremises.forEach(unmet => {
+                    text += `         ✗ ${unmet.description}\n`;
+                });
+            });
+        }
+
+        if (report.skipped.length > 0) {
+            text += `\n⏭️ Skipped: ${report.skipped.map(entry => `${entry.id} (${entry.reason}${entry.label ? `: ${entry.label}` : ''})`).join(', ')}\n`;
+        }
+        return text;
+    }
+}
+
+// Export for use in other files: a browser global, or module.exports under Node
+if (typeof window !== 'undefined') {
+    window.FelineNeuroBatchEvaluator = FelineNeuroBatchEvaluator;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FelineNeuroBatchEvaluator;
+}
@@ -0,0 +1,493 @@
+/**
+ * AI chat assistant for the diagnosis on screen. Replies come from a chat
+ * provider chosen in the chat settings: Gemini, an OpenAI-compatible server
+ * (e.g. a local model) or an offline mock. A provider is anything with
+ * isConfigured() and send(systemPrompt, messages, context), so a stub can
+ * stand in for tests. The system prompt is rebuilt from the engine's
+ * lastDiagnosis for every message, with the medical-safety rules the assistant
+ * must follow. Conversations are kept in memory only.
+ */
+
+const CHAT_SETTINGS_STORAGE_KEY = 'felineNeuroChatSettings';
+
+const DEFAULT_CHAT_PROVIDER = 'gemini';
+
+const GEMINI_DEFAULT_MODEL = 'gemini-1.5-flash';
+const GEMINI_DEFAULT_ENDPOINT = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Ollama's OpenAI-compatible API; LM Studio and llama.cpp serve the same routes
+const OPENAI_COMPATIBLE_DEFAULT_ENDPOINT = 'http://localhost:11434/v1';
+
+// Turns sent with each message; older ones are dropped to keep the request small
+const CHAT_HISTORY_LIMIT = 20;
+
+const CHAT_SAFETY_RULES = [
+    'You are an educational assistant inside a feline neurology expert system. You are not a veterinarian.',
+    'The expert system result is a rule-based suggestion from the signs the user entered, not a definitive diagnosis. Never present it as one.',
+    'Always recommend that the cat is examined by a licensed veterinarian before any treatment decision.',
+    'Do not give drug names with doses, prescriptions or home treatment instructions.',
+    'If the urgency is EMERGENCY or HIGH, or the user describes collapse, breathing difficulty, continuous seizures or trauma, tell them to contact a veterinarian or emergency clinic now.',
+    'Stay within feline health and the current case; politely decline unrelated requests.',
+    'Explain medical terms in plain language and say when something is uncertain.'
+];
+
+const CHAT_DISCLAIMER = 'Educational information only, not veterinary advice. Always consult a licensed veterinarian.';
+
+/**
+ * Parsed JSON body of a provider response; throws with the server's error
+ * message when the request failed
+ */
+async function readChatResponse(response, providerName) {
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+        const error = body && body.error;
+        const detail = error && (typeof error === 'string' ? error : error.message);
+        throw new Error(`${providerName} request failed (${response.status})${detail ? `: ${detail}` : ''}`);
+    }
+    return body || {};
+}
+
+/**
+ * Google Gemini generateContent API. endpoint can point at a local stub that
+ * answers the same requests (see GEMINI_SETUP.md).
+ */
+class GeminiChatProvider {
+    constructor({ apiKey = '', model = '', endpoint = '' } = {}) {
+        this.name = 'Gemini';
+        this.apiKey = apiKey;
+        this.model = model || GEMINI_DEFAULT_MODEL;
+        this.endpoint = endpoint || GEMINI_DEFAULT_ENDPOINT;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * messages are { role: 'user' | 'assistant', content }; resolves to the reply text
+     */
+    async send(systemPrompt, messages) {
+        if (!this.isConfigured()) {
+            throw new Error('No Gemini API key configured');
+        }
+
+        const url = `${this.endpoint.replace(/\/+$/, '')}/models/${encodeURIComponent(this.model)}:generateContent`;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-goog-api-key': this.apiKey
+            },
+            body: JSON.stringify({
+                systemInstruction: { parts: [{ text: systemPrompt }] },
+                contents: messages.map(message => ({
+                    role: message.role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: message.content }]
+                }))
+            })
+        });
+
+        const body = await readChatResponse(response, this.name);
+        const candidate = body.candidates && body.candidates[0];
+        const text = candidate && candidate.content
+            ? (candidate.content.parts || []).map(part => part.text || '').join('').trim()
+            : '';
+        if (!text) {
+            throw new Error(`Gemini returned no answer${candidate && candidate.finishReason ? ` (${candidate.finishReason})` : ''}`);
+        }
+        return text;
+    }
+}
+
+/**
+ * Any server with the OpenAI chat completions route: a local Ollama, LM Studio
+ * or llama.cpp server, or a hosted one. The API key is optional for local servers.
+ */
+class OpenAICompatibleChatProvider {
+    constructor({ apiKey = '', model = '', endpoint = '' } = {}) {
+        this.name = 'OpenAI-compatible server';
+        this.apiKey = apiKey;
+        this.model = model;
+        this.endpoint = endpoint || OPENAI_COMPATIBLE_DEFAULT_ENDPOINT;
+    }
+
+    isConfigured() {
+        return Boolean(this.model);
+    }
+
+    async send(systemPrompt, messages) {
+        if (!this.isConfigured()) {
+            throw new Error('No model configured for the OpenAI-compatible server');
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        const response = await fetch(`${this.endpoint.replace(/\/+$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: this.model,
+                messages: [
+                    { role: 'system', content: systemPrompt },
+                    ...messages.map(message => ({ role: message.role, content: message.content }))
+                ]
+            })
+        });
+
+        const body = await readChatResponse(response, this.name);
+        const choice = body.choices && body.choices[0];
+        const content = choice && choice.message && choice.message.content;
+        const text = typeof content === 'string' ? content.trim() : '';
+        if (!text) {
+            throw new Error(`${this.name} returned no answer${choice && choice.finish_reason ? ` (${choice.finish_reason})` : ''}`);
+        }
+        return text;
+    }
+}
+
+/**
+ * Offline canned answers from the current rule's description, clinicalNotes and
+ * nextSteps. The same question about the same diagnosis always gets the same
+ * answer, so the chat UI can be exercised with no network or key.
+ */
+class MockChatProvider {
+    constructor() {
+        this.name = 'Offline mock';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async send(systemPrompt, messages, context = {}) {
+        const diagnosis = context.diagnosis;
+        if (!diagnosis) {
+            return `Offline mode can only answer about a diagnosis. Complete the assessment form and run a diagnosis first.\n\n${CHAT_DISCLAIMER}`;
+        }
+
+        const question = messages[messages.length - 1].content.toLowerCase();
+        // Next-step phrasing only: "what do these notes mean" is about the notes
+        const asksNextSteps = /\b(next|tests?|steps?|treat\w*|plan|workup)\b|\b(what|should|can) (should |can )?(i|we) do\b|\bwhat to do\b/.test(question);
+        const asksNotes = /\b(why|what|means?|meaning|causes?|explain|notes?)\b/.test(question);
+        const sections = [`${diagnosis.diagnosis} (${diagnosis.urgency}): ${diagnosis.description}`];
+
+        // A question about next steps ("what should we do next?") gets only those
+        if (!asksNextSteps && diagnosis.clinicalNotes && diagnosis.clinicalNotes.length > 0) {
+            sections.push(`Clinical notes:\n${diagnosis.clinicalNotes.map(note => `- ${note}`).join('\n')}`);
+        }
+        if ((asksNextSteps || !asksNotes) && diagnosis.nextSteps && diagnosis.nextSteps.length > 0) {
+            sections.push(`Steps a veterinarian may take:\n${diagnosis.nextSteps.map(step => `- ${step}`).join('\n')}`);
+        }
+        if (diagnosis.urgency === 'EMERGENCY' || diagnosis.urgency === 'HIGH') {
+            sections.push('This result is urgent: contact a veterinarian or emergency clinic now.');
+        }
+
+        sections.push(CHAT_DISCLAIMER);
+        return sections.join('\n\n');
+    }
+}
+
+const CHAT_SETTING_LABELS = {
+    apiKey: 'API key',
+    model: 'Model',
+    endpoint: 'Server URL'
+};
+
+/**
+ * Providers offered in the chat settings. fields are the settings each one
+ * takes, required the ones it cannot work without, defaults the values used
+ * when a field is left empty.
+ */
+const CHAT_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        description: 'Needs an API key from Google AI Studio. Case details are sent to Google.',
+        fields: ['apiKey', 'model', 'endpoint'],
+        required: ['apiKey'],
+        defaults: { model: GEMINI_DEFAULT_MODEL, endpoint: GEMINI_DEFAULT_ENDPOINT },
+        create: settings => new GeminiChatProvider(settings)
+    },
+    openai: {
+        label: 'OpenAI-compatible server',
+        description: 'A local model server such as Ollama or LM Studio, or a hosted OpenAI-compatible API.',
+        fields: ['endpoint', 'model', 'apiKey'],
+        required: ['model'],
+        defaults: { endpoint: OPENAI_COMPATIBLE_DEFAULT_ENDPOINT },
+        create: settings => new OpenAICompatibleChatProvider(settings)
+    },
+    mock: {
+        label: 'Offline mock',
+        description: 'Canned answers from the current rule\'s clinical notes and next steps. No network needed.',
+        fields: [],
+        required: [],
+        defaults: {},
+        create: () => new MockChatProvider()
+    }
+};
+
+class FelineNeuroChatAssistant {
+    constructor(engine, storage = null, provider = null, guardrails = null) {
+        this.engine = engine;
+        this.storage = storage;
+        this.provider = provider || this.createProvider(this.getSettings());
+        // FelineNeuroChatGuardrails, or null to pass questions and replies through unchecked
+        this.guardrails = guardrails;
+        this.messages = [];
+        this.contextDiagnosis = null;
+        this.contextRecord = Promise.resolve(null);
+    }
+
+    createProvider(settings) {
+        const id = CHAT_PROVIDERS[settings.provider] ? settings.provider : DEFAULT_CHAT_PROVIDER;
+        return CHAT_PROVIDERS[id].create(settings.providers[id] || {});
+    }
+
+    /**
+     * Providers for the settings form, as { id, label, description, fields, required, defaults }
+     */
+    getProviderOptions() {
+        return Object.entries(CHAT_PROVIDERS).map(([id, { create, ...option }]) => ({ id, ...option }));
+    }
+
+    getSettingLabel(field) {
+        return CHAT_SETTING_LABELS[field];
+    }
+
+    /**
+     * { provider, providers: { <id>: { apiKey, model, endpoint } } } saved in
+     * localStorage. Each provider keeps its own settings, so switching back and
+     * forth does not lose a key.
+     */
+    getSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse((this.storage && this.storage.getItem(CHAT_SETTINGS_STORAGE_KEY)) || '{}') || {};
+        } catch (error) {
+            console.warn('⚠️ Saved chat settings are not valid JSON, ignoring them:', error);
+        }
+
+        // Settings saved before there was a provider choice were Gemini's
+        if (!saved.providers && (saved.apiKey || saved.model || saved.endpoint)) {
+            const { apiKey, model, endpoint } = saved;
+            saved = { provider: 'gemini', providers: { gemini: { apiKey, model, endpoint } } };
+        }
+
+        return {
+            provider: CHAT_PROVIDERS[saved.provider] ? saved.provider : DEFAULT_CHAT_PROVIDER,
+            providers: saved.providers && typeof saved.providers === 'object' ? saved.providers : {}
+        };
+    }
+
+    /**
+     * Make providerId the active provider with the given settings. Throws if a
+     * required setting is missing; empty optional ones fall back to the defaults.
+     */
+    saveSettings(providerId, providerSettings = {}) {
+        const option = CHAT_PROVIDERS[providerId];
+        if (!option) {
+            throw new Error(`Unknown chat provider: ${providerId}`);
+        }
+
+        const values = {};
+        option.fields.forEach(field => {
+            const value = String(providerSettings[field] || '').trim();
+            if (value) values[field] = value;
+        });
+        const missing = option.required.filter(field => !values[field]);
+        if (missing.length > 0) {
+            throw new Error(`${option.label} needs: ${missing.map(field => CHAT_SETTING_LABELS[field]).join(', ')}`);
+        }
+
+        const settings = this.getSettings();
+        settings.provider = providerId;
+        settings.providers[providerId] = values;
+
+        if (this.storage) {
+            this.storage.setItem(CHAT_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+        } else {
+            console.warn('⚠️ No localStorage; chat settings only last for this session');
+        }
+        this.provider = this.createProvider(settings);
+        console.log(`💬 Chat provider: ${this.provider.name}`);
+        return settings;
+    }
+
+    /**
+     * Forget a provider's settings (e.g. its API key). The active provider stays
+     * selected, so clearing Gemini's key leaves the chat unconfigured.
+     */
+    clearSettings(providerId) {
+        const settings = this.getSettings();
+        delete settings.providers[providerId];
+        if (this.storage) {
+            this.storage.setItem(CHAT_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+        }
+        this.provider = this.createProvider(settings);
+        return settings;
+    }
+
+    isConfigured() {
+        return this.provider.isConfigured();
+    }
+
+    /**
+     * Start a new conversation when the diagnosis on screen has changed, so an
+     * earlier case's answers do not leak into this one. Returns true if it did.
+     */
+    syncContext() {
+        const diagnosis = this.engine.lastDiagnosis;
+        if (diagnosis === this.contextDiagnosis) return false;
+
+        this.contextDiagnosis = diagnosis;
+        // Resolves to the stored run's id, which guardrail interventions are logged with
+        this.contextRecord = diagnosis ? Promise.resolve(this.engine.lastStoreOperation).catch(() => null) : Promise.resolve(null);
+        this.reset();
+        return true;
+    }
+
+    reset() {
+        this.messages = [];
+    }
+
+    /**
+     * Send a question with the conversation so far; resolves to the reply as
+     * shown, after the guardrails. A blocked question is answered without asking
+     * the provider. A failed request leaves the conversation as it was, so it can
+     * be retried.
+     */
+    async ask(question) {
+        const content = String(question || '').trim();
+        if (!content) {
+            throw new Error('Type a question first');
+        }
+
+        this.syncContext();
+        const diagnosis = this.engine.lastDiagnosis;
+        let checked = this.guardrails ? this.guardrails.checkQuestion(content, diagnosis) : null;
+        if (!checked || !checked.blocked) {
+            const messages = [...this.messages, { role: 'user', content }].slice(-CHAT_HISTORY_LIMIT);
+            const reply = await this.provider.send(this.buildSystemPrompt(), messages, {
+                diagnosis,
+                inputs: this.engine.lastInputs
+            });
+            checked = this.guardrails ? this.guardrails.checkReply(reply, diagnosis) : { text: reply, interventions: [] };
+        }
+
+        this.messages.push(
+            { role: 'user', content },
+            { role: 'assistant', content: checked.text, interventions: checked.interventions }
+        );
+        if (checked.interventions.length > 0) {
+            await this.logInterventions(checked.interventions);
+        }
+        return checked.text;
+    }
+
+    /**
+     * Interventions are stored with the consultation record the conversation is
+     * about; an imported report has none, so they are only logged to the console
+     */
+    async logInterventions(interventions) {
+        interventions.forEach(intervention => {
+            console.log(`🛡️ Chat guardrail ${intervention.guardrail} (${intervention.action}): ${intervention.reason}`);
+        });
+        const recordId = await this.contextRecord;
+        return this.engine.logChatInterventions(recordId, interventions);
+    }
+
+    /**
+     * Safety rules plus the current case: rule, urgency, certainty, clinical notes,
+     * next steps, the inputs and the facts forward chaining derived from them
+     */
+    buildSystemPrompt(diagnosis = this.engine.lastDiagnosis, inputs = this.engine.lastInputs) {
+        const lines = [
+            'Rules:',
+            ...CHAT_SAFETY_RULES.map(rule => `- ${rule}`),
+            ''
+        ];
+
+        if (!diagnosis) {
+            lines.push('No diagnosis has been run yet. Answer general questions about neurological signs in cats and suggest completing the assessment form for a case-specific result.');
+            return lines.join('\n');
+        }
+
+        const urgency = this.engine.data.urgencyLevels[diagnosis.urgency];
+        lines.push(
+            'Current case (expert system result):',
+            `- Result: ${diagnosis.diagnosis} [${diagnosis.ruleId}], priority ${diagnosis.priority}`,
+            `- Urgency: ${urgency ? urgency.label : diagnosis.urgency}`,
+            `- Certainty: ${Math.round((diagnosis.confidence || 0) * 100)}%`,
+            `- Description: ${diagnosis.description}`
+        );
+        if (diagnosis.clinicalNotes && diagnosis.clinicalNotes.length > 0) {
+            lines.push('- Clinical notes:', ...diagnosis.clinicalNotes.map(note => `  - ${note}`));
+        }
+        if (diagnosis.nextSteps && diagnosis.nextSteps.length > 0) {
+            lines.push('- Recommended next steps:', ...diagnosis.nextSteps.map(step => `  - ${step}`));
+        }
+        if (inputs) {
+            lines.push(`- Inputs entered: ${this.describeInputs(inputs)}`);
+        }
+        if (diagnosis.derivedFacts && diagnosis.derivedFacts.length > 0) {
+            const facts = diagnosis.derivedFacts.filter(fact => !fact.startsWith('no_'));
+            lines.push(`- Facts derived by forward chaining: ${facts.join(', ')}`);
+        }
+        const others = (diagnosis.differential || []).slice(1);
+        if (others.length > 0) {
+            lines.push(`- Other rules that also matched: ${others.map(entry => `${entry.name} (${entry.urgency})`).join('; ')}`);
+        }
+
+        lines.push('', `Disclaimer to keep in mind: ${CHAT_DISCLAIMER}`);
+        return lines.join('\n');
+    }
+
+    describeInputs(inputs) {
+        const values = [];
+        const present = [];
+        const absent = [];
+        const certainties = inputs.certainties || {};
+        Object.entries(inputs).forEach(([field, value]) => {
+            if (field === 'certainties') return;
+            const label = field.replace(/_/g, ' ') +
+                (certainties[field] !== undefined ? ` (certainty ${Math.round(certainties[field] * 100)}%)` : '');
+            if (typeof value === 'boolean') {
+                (value ? present : absent).push(label);
+                return;
+            }
+            const definition = this.engine.getFieldDefinition(field);
+            if (definition && definition.type === 'number') {
+                const range = this.engine.findRange(definition, value);
+                values.push(`${label}: ${value}${definition.unit ? ` ${definition.unit}` : ''}${range ? ` (${this.engine.describeFieldValue(field, range)})` : ''}`);
+            } else if (Array.isArray(value)) {
+                values.push(`${label}: ${value.map(option => this.engine.describeFieldValue(field, option)).join(', ')}`);
+            } else {
+                const descriptions = this.engine.data.inputDescriptions[field] || {};
+                values.push(`${label}: ${value}${descriptions[value] ? ` (${descriptions[value]})` : ''}`);
+            }
+        });
+
+        return [
+            ...values,
+            `signs present: ${present.join(', ') || 'none'}`,
+            `signs absent: ${absent.join(', ') || 'none'}`
+        ].join('; ');
+    }
+}
+
+// Export for use in other files: a browser global, or module.exports under Node
+if (typeof window !== 'undefined') {
+    window.FelineNeuroChatAssistant = FelineNeuroChatAssistant;
+    window.GeminiChatProvider = GeminiChatProvider;
+    window.OpenAICompatibleChatProvider = OpenAICompatibleChatProvider;
+    window.MockChatProvider = MockChatProvider;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FelineNeuroChatAssistant;
+    module.exports.GeminiChatProvider = GeminiChatProvider;
+    module.exports.OpenAICompatibleChatProvider = OpenAICompatibleChatProvider;
+    module.exports.MockChatProvider = MockChatProvider;
+    module.exports.CHAT_PROVIDERS = CHAT_PROVIDERS;
+    module.exports.CHAT_DISCLAIMER = CHAT_DISCLAIMER;
+}
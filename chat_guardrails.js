@@ -0,0 +1,251 @@
+/**
+ * Safety checks around the AI chat. Questions are checked before they are sent
+ * to the provider and replies before they are shown. A guardrail either blocks
+ * (the whole message is replaced), rewrites (the offending sentences are
+ * removed) or annotates (a note is added). Every intervention is returned as a
+ * record so it can be logged with the consultation.
+ */
+
+const CHAT_GUARDRAILS = {
+    scope: { label: 'Out-of-scope request', stage: 'question' },
+    dosage: { label: 'Dosage advice', stage: 'reply' },
+    urgency: { label: 'Urgency contradiction', stage: 'reply' }
+};
+
+const DOSE_UNITS = 'mg|mcg|µg|ug|ml|cc|iu|units?|milligrams?|micrograms?|millilit(?:re|er)s?|tablets?|tabs?|capsules?|pills?|drops?';
+
+// Amounts as digits or words: "2.5", "five", "half"
+const DOSE_NUMBER = '(?:\\d+(?:[.,]\\d+)?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|twenty|fifty|hundred|half|a quarter)';
+
+// An amount with a dosing unit ("5 mg/kg", "0.5 ml", "five milligrams", "1-2 tablets")
+// or per body weight ("1 milligram per kilogram"); lab values such as "60 mg/dL"
+// or "8 milligrams per decilitre" are concentrations, not doses
+const DOSE_AMOUNT_PATTERN = new RegExp(
+    `\\b${DOSE_NUMBER}(?:\\s*(?:-|–|to)\\s*${DOSE_NUMBER})?\\s*` +
+    `(?:(?:${DOSE_UNITS})\\b(?!\\s*(?:\\/|per)\\s*(?:d?l|(?:deci)?lit(?:re|er)s?)\\b)|(?:\\w+\\s*)?(?:\\/|per)\\s*(?:kg|kilo(?:gram)?s?)\\b)`,
+    'i'
+);
+
+// A dosing schedule only counts next to a medication word, so "check every 2 hours" passes
+const DOSE_SCHEDULE_PATTERN = /\b(?:once|twice|three times|[1-4] times)\s+(?:a|per)\s+day\b|\b(?:once|twice) daily\b|\bevery\s+\d+(?:\s*-\s*\d+)?\s*hours?\b|\b(?:q\d{1,2}h|sid|bid|tid|qid)\b/i;
+const MEDICATION_PATTERN = /\b(?:give|giving|administer\w*|doses?|dosing|dosage|medicat\w*|drugs?|tablets?|pills?|injections?|prescri\w*)\b/i;
+
+// A later time to see the vet: tomorrow, a weekday, later this week, a span of
+// days or a count of hours ("the next 24 hours"); "two days ago" is not a deferral
+const DEFERRAL_TIME = '(?:overnight|until (?:the )?morning|tomorrow|in the morning|(?:later )?this week(?:end)?|next week|' +
+    '(?:on |until |by )(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)|' +
+    'a (?:day|week) or two|(?:in|within|over|for) (?:the next )?(?:a |one |two |three |(?:a )?few |(?:a )?couple of |\\d+ |twenty[- ]four |forty[- ]eight )(?:hours|days?))' +
+    '\\b(?!\\s+ago)';
+
+const URGENCY_DOWNPLAY_PATTERNS = [
+    /\bnot (?:an? )?(?:emergency|urgent|serious|life[- ]threatening)\b/i,
+    /\bno (?:need|rush|hurry)\b/i,
+    /\b(?:can|could) (?:safely )?wait\b/i,
+    /\bwait and see\b/i,
+    /\b(?:monitor|watch|treat|manage) (?:(?:him|her|them|it|your cat|the cat) )?at home\b/i,
+    /\bnothing (?:to worry about|serious)\b/i,
+    /\bdon'?t (?:need to )?worry\b/i,
+    /\b(?:resolve|go away|clear up|get better) (?:on (?:its|their) own|by itself)\b/i,
+    /(?<!not )\b(?:fine|ok(?:ay)?|safe) to wait\b/i,
+    // Deferrals: "keep her comfortable overnight", "see your vet in the morning",
+    // "wait until Monday", "within the next 24 hours"; "do not wait until the morning" is the opposite
+    new RegExp(`(?<!(?:not|never|n't) )\\b(?:keep|wait|monitor|watch|rest|leave)\\b[^.!?]*\\b${DEFERRAL_TIME}`, 'i'),
+    new RegExp(`\\b(?:see(?:ing)?|call|contact|visit|book|schedule|check|examine|(?:get|take) (?:(?:him|her|them|it|your cat|the cat) )?to)\\b[^.!?]*\\b${DEFERRAL_TIME}`, 'i')
+];
+
+const VET_REFERRAL_PATTERN = /\b(?:vets?|veterinar\w*|emergency clinic|animal hospital)\b/i;
+
+const FELINE_PATTERN = /\b(?:cats?|kittens?|kitty|kitties|feline)\b/i;
+
+// Another animal or a person as the patient, not merely mentioned: "my dog",
+// "the dog is limping", "my son has a fever", "I have a headache". Owners
+// write "I have noticed she..." or "my daughter found him..." about the cat.
+const OTHER_SPECIES = '(?:dogs?|pupp(?:y|ies)|horses?|rabbits?|birds?|parrots?|hamsters?|guinea pigs?|ferrets?|reptiles?|snakes?)';
+const OTHER_SPECIES_PATTERN = new RegExp(
+    `\\b(?:my|our) ${OTHER_SPECIES}\\b|\\b(?:the|a|an) ${OTHER_SPECIES} (?:is|was|has|had|keeps|seems|won'?t|can'?t|isn'?t|doesn'?t)\\b`,
+    'i'
+);
+const HUMAN_PATIENT_PATTERN = new RegExp(
+    "\\b(?:my (?:son|daughter|child|kid|baby|husband|wife|partner|mother|father|mom|dad) (?:is|was|has|had|feels|keeps|got)|i (?:am|was|have|had|feel|got|keep)|i'm|i've(?: got| had)?)" +
+    '(?: (?:a|an|been|having|feeling|got|really|very|so|bad|terrible))* ' +
+    '(?:sick|ill|unwell|fevers?|headaches?|migraines?|rash(?:es)?|cough(?:ing)?|cold|flu|pregnant|dizzy|nauseous|vomiting|seizures?)\\b',
+    'i'
+);
+const OFF_TOPIC_PATTERN = /\b(?:write (?:me )?(?:a |an )?(?:poem|story|essay|song|code|program|script)|homework|recipes?|stocks?|crypto\w*|bitcoin|lottery|politic\w*|elections?|weather forecast)\b/i;
+
+const SCOPE_REFUSAL = 'I can only help with questions about your cat and this neurological assessment. ' +
+    'For other animals or for people, please ask a veterinarian or doctor.';
+
+const DOSAGE_NOTICE = 'Dosage details were removed: only a veterinarian who has examined your cat can prescribe medication and doses.';
+
+class FelineNeuroChatGuardrails {
+    constructor(engine) {
+        this.engine = engine;
+    }
+
+    /**
+     * Returns { blocked, text, interventions }; text is the reply to show
+     * instead of asking the provider when the question is blocked
+     */
+    checkQuestion(question, diagnosis = null) {
+        const finding = this.checkScope(question);
+        if (!finding) {
+            return { blocked: false, text: question, interventions: [] };
+        }
+        return { blocked: true, text: finding.text, interventions: [this.toIntervention(finding, diagnosis)] };
+    }
+
+    /**
+     * Run the reply guardrails in order, each on the previous one's output.
+     * A block ends the pipeline. Returns { blocked, text, interventions }.
+     */
+    checkReply(reply, diagnosis = null) {
+        let text = reply;
+        const interventions = [];
+
+        for (const check of [this.checkDosage, this.checkUrgency]) {
+            const finding = check.call(this, text, diagnosis);
+            if (!finding) continue;
+
+            interventions.push(this.toIntervention(finding, diagnosis));
+            text = finding.text;
+            if (finding.action === 'block') {
+                return { blocked: true, text, interventions };
+            }
+        }
+        return { blocked: false, text, interventions };
+    }
+
+    /**
+     * Other species, human patients or unrelated tasks. A question that also
+     * mentions a cat stays in scope (e.g. "can my dog catch this from my cat?").
+     */
+    checkScope(question) {
+        const offTopic = question.match(OFF_TOPIC_PATTERN);
+        const otherPatient = !FELINE_PATTERN.test(question) &&
+            (question.match(OTHER_SPECIES_PATTERN) || question.match(HUMAN_PATIENT_PATTERN));
+        const match = offTopic || otherPatient;
+        if (!match) return null;
+
+        return {
+            guardrail: 'scope',
+            action: 'block',
+            reason: offTopic ? `unrelated request ("${match[0]}")` : `not about a cat ("${match[0]}")`,
+            excerpts: [question],
+            text: SCOPE_REFUSAL
+        };
+    }
+
+    checkDosage(reply) {
+        const { text, removed } = this.removeSentences(reply, sentence =>
+            DOSE_AMOUNT_PATTERN.test(sentence) || (DOSE_SCHEDULE_PATTERN.test(sentence) && MEDICATION_PATTERN.test(sentence))
+        );
+        if (removed.length === 0) return null;
+
+        return {
+            guardrail: 'dosage',
+            action: 'rewrite',
+            reason: `${removed.length} sentence${removed.length === 1 ? '' : 's'} with doses removed`,
+            excerpts: removed,
+            text: text ? `${text}\n\n${DOSAGE_NOTICE}` : DOSAGE_NOTICE
+        };
+    }
+
+    /**
+     * For EMERGENCY and HIGH results: a reply that downplays the urgency is
+     * blocked (EMERGENCY) or has those sentences removed (HIGH); one that never
+     * sends the owner to a vet gets a reminder.
+     */
+    checkUrgency(reply, diagnosis) {
+        if (!diagnosis || (diagnosis.urgency !== 'EMERGENCY' && diagnosis.urgency !== 'HIGH')) {
+            return null;
+        }
+
+        const level = this.engine.data.urgencyLevels[diagnosis.urgency];
+        const label = level ? level.label : diagnosis.urgency;
+        const isEmergency = diagnosis.urgency === 'EMERGENCY';
+        const downplays = sentence => URGENCY_DOWNPLAY_PATTERNS.some(pattern => pattern.test(sentence));
+        const { text, removed } = this.removeSentences(reply, downplays);
+
+        if (removed.length > 0 && isEmergency) {
+            return {
+                guardrail: 'urgency',
+                action: 'block',
+                reason: `reply downplays this ${label} result`,
+                excerpts: removed,
+                text: [
+                    `${diagnosis.diagnosis} is marked ${label}. Contact a veterinarian or emergency clinic now; do not wait to see if it improves.`,
+                    diagnosis.nextSteps && diagnosis.nextSteps.length > 0 ? `First step: ${diagnosis.nextSteps[0]}` : null
+                ].filter(Boolean).join('\n\n')
+            };
+        }
+
+        const notice = `⚠️ This result is marked ${label}. Contact a veterinarian ${isEmergency ? 'now' : 'promptly'}.`;
+        if (removed.length > 0) {
+            return {
+                guardrail: 'urgency',
+                action: 'rewrite',
+                reason: `reply downplays this ${label} result`,
+                excerpts: removed,
+                text: text ? `${notice}\n\n${text}` : notice
+            };
+        }
+        if (!VET_REFERRAL_PATTERN.test(reply)) {
+            return {
+                guardrail: 'urgency',
+                action: 'annotate',
+                reason: `no veterinary referral for this ${label} result`,
+                excerpts: [],
+                text: `${reply}\n\n${notice}`
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Drop every sentence matching the predicate, keeping the line structure
+     * (paragraphs, bullet lists) of the rest
+     */
+    removeSentences(text, predicate) {
+        const removed = [];
+        const lines = text.split('\n').map(line => {
+            // Split after . ! ? followed by a capital, so "0.5 ml" stays whole
+            const sentences = line.split(/(?<=[.!?])\s+(?=[A-Z(])/);
+            const kept = sentences.filter(sentence => {
+                if (!sentence.trim() || !predicate(sentence)) return true;
+                removed.push(sentence.trim());
+                return false;
+            });
+            return kept.length === sentences.length ? line : kept.join(' ').trim() || null;
+        });
+
+        return {
+            text: lines.filter(line => line !== null).join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+            removed
+        };
+    }
+
+    toIntervention(finding, diagnosis) {
+        return {
+            timestamp: new Date().toISOString(),
+            guardrail: finding.guardrail,
+            label: CHAT_GUARDRAILS[finding.guardrail].label,
+            stage: CHAT_GUARDRAILS[finding.guardrail].stage,
+            action: finding.action,
+            reason: finding.reason,
+            // Enough to review the decision without storing whole conversations
+            excerpts: finding.excerpts.map(excerpt => excerpt.length > 200 ? `${excerpt.slice(0, 197)}...` : excerpt),
+            ruleId: diagnosis ? diagnosis.ruleId : null,
+            urgency: diagnosis ? diagnosis.urgency : null
+        };
+    }
+}
+
+// Export for use in other files: a browser global, or module.exports under Node
+if (typeof window !== 'undefined') {
+    window.FelineNeuroChatGuardrails = FelineNeuroChatGuardrails;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FelineNeuroChatGuardrails;
+    module.exports.CHAT_GUARDRAILS = CHAT_GUARDRAILS;
+}
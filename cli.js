@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+/**
+ * Command-line diagnosis. Inputs come from flags for a single case or from a
+ * JSON/CSV file of cases; results are printed as text or, with --json, as JSON.
+ *
+ *   node cli.js --age_group adult --onset_speed sudden --mobility_status paralyzed \
+ *       --seizures none --pain_signs --cold_limbs
+ *   node cli.js --file cases.csv --json
+ *   node cli.js --file labelled.csv --evaluate --label final_diagnosis
+ *   node cli.js --pack packs/core-1.1.0.json --file cases.csv
+ *
+ * Engine logging goes to stderr with --verbose and is otherwise suppressed, so
+ * stdout only carries results.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = `Usage: node cli.js [options] [--<field> <value> ...]
+
+Inputs:
+  --age_group, --onset_speed, --mobility_status, --seizures <value>
+  --eye_signs, --pain_signs, --head_tilt, --recent_trauma,
+  --cold_limbs, --neck_flexion, --ear_issues      sign present (--no-<sign> for absent)
+  --temperature, --heart_rate, --blood_glucose, --calcium <number>
+  --limbs_affected <option,...>                   e.g. hind_left,hind_right
+  --seizure_frequency, --vaccination_status, --outdoor_access <value>
+                                                  optional findings; a pack's inputSchema may define others
+  --certainty <field>=<0-1>                       how sure the observer is (repeatable)
+  --file <cases.json|cases.csv>                   run every case in the file
+  --pack <pack.json>                              use a knowledge-base pack instead of the built-in rules
+
+Options:
+  --strategy <name>   conflict resolution (priority, specificity, recency, confidence, urgency)
+  --evaluate          score the file's cases against their labels (batch evaluation)
+  --label <column>    column holding the vet's diagnosis, rule id or name (default: expected)
+  --top-k <n>         report top-1..n accuracy over the differential (default: 3)
+  --diff-pack <file>  show what changes from the rules in use to the pack in <file>
+  --json              print results as JSON
+  --verbose           show engine logs on stderr
+  --help              show this message`;
+
+class CliUsageError extends Error {}
+
+/**
+ * Minimal RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF line ends
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (!header) return [];
+    return records.map(values => Object.fromEntries(header.map((name, i) => [name.trim(), (values[i] || '').trim()])));
+}
+
+/**
+ * engine.parseInputValue, reporting a bad value as a usage error
+ */
+function parseInputValue(engine, field, value) {
+    try {
+        return engine.parseInputValue(field, value);
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+}
+
+/**
+ * A certainty for a known field, as a number from 0 to 1; anything else is a usage error
+ */
+function parseCertainty(engine, field, value) {
+    if (!engine.getFieldDefinition(field)) {
+        throw new CliUsageError(`Unknown certainty field: ${field}`);
+    }
+    const cf = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof cf !== 'number' || !(cf >= 0 && cf <= 1)) {
+        throw new CliUsageError(`Certainty for ${field} must be a number from 0 to 1, got ${value}`);
+    }
+    return cf;
+}
+
+/**
+ * Turn one raw case (flags, a JSON object or a CSV row) into engine inputs.
+ * Unknown columns are kept on the case as metadata, e.g. an id or expected rule.
+ * A case missing a required field is a usage error.
+ */
+function normalizeCase(raw, engine, index) {
+    const inputs = {};
+    const metadata = {};
+    const certainties = {};
+    Object.entries(raw.certainties || {}).forEach(([field, value]) => {
+        certainties[field] = parseCertainty(engine, field, value);
+    });
+
+    Object.entries(raw).forEach(([key, value]) => {
+        if (key === 'certainties') return;
+
+        const certaintyMatch = /^certainty[._:](\w+)$/.exec(key);
+        if (certaintyMatch) {
+            if (value !== '') certainties[certaintyMatch[1]] = parseCertainty(engine, certaintyMatch[1], value);
+            return;
+        }
+
+        if (!engine.getFieldDefinition(key)) {
+            metadata[key] = value;
+            return;
+        }
+        if (!engine.isAnswered(value)) return;
+
+        inputs[key] = parseInputValue(engine, key, value);
+    });
+
+    if (Object.keys(certainties).length > 0) {
+        inputs.certainties = certainties;
+    }
+
+    const id = metadata.id !== undefined ? String(metadata.id) : String(index + 1);
+    const problems = engine.validateInputs(inputs);
+    if (problems.length > 0) {
+        throw new CliUsageError(`Case ${id}: ${problems.map(problem => problem.message).join('; ')}`);
+    }
+
+    return { id, inputs, metadata };
+}
+
+function loadCasesFromFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (path.extname(file).toLowerCase() === '.csv') {
+        return parseCsv(text);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new CliUsageError(`${file} is not valid JSON: ${error.message}`);
+    }
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.cases)) return data.cases;
+    return [data];
+}
+
+function parseArgs(argv, engine) {
+    const options = {
+        json: false,
+        verbose: false,
+        help: false,
+        strategy: undefined,
+        file: null,
+        evaluate: false,
+        label: 'expected',
+        topK: 3,
+        pack: null,
+        diffPack: null
+    };
+    const flagCase = {};
+    const certainties = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+                throw new CliUsageError(`${arg} needs a value`);
+            }
+            return argv[++i];
+        };
+
+        if (arg === '--help' || arg === '-h') options.help = true;
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--verbose') options.verbose = true;
+        else if (arg === '--strategy') options.strategy = next();
+        else if (arg === '--file') options.file = next();
+        else if (arg === '--evaluate') options.evaluate = true;
+        else if (arg === '--label') options.label = next();
+        else if (arg === '--pack') options.pack = next();
+        else if (arg === '--diff-pack') options.diffPack = next();
+        else if (arg === '--top-k') {
+            options.topK = parseInt(next(), 10);
+            if (!(options.topK > 0)) throw new CliUsageError('--top-k needs a positive number');
+        }
+        else if (arg === '--certainty') {
+            const match = /^(\w+)=(.+)$/.exec(next());
+            if (!match) {
+                throw new CliUsageError('--certainty needs <field>=<0-1>');
+            }
+            certainties[match[1]] = parseCertainty(engine, match[1], match[2]);
+        } else if (arg.startsWith('--')) {
+            const negated = arg.startsWith('--no-');
+            const [name, inlineValue] = arg.slice(negated ? 5 : 2).split('=');
+            const field = name.replace(/-/g, '_');
+            const definition = engine.getFieldDefinition(field);
+            if (!definition) {
+                throw new CliUsageError(`Unknown option: ${arg}`);
+            }
+
+            if (definition.type === 'boolean') {
+                flagCase[field] = negated ? false : (inlineValue !== undefined ? parseInputValue(engine, field, inlineValue) : true);
+            } else {
+                flagCase[field] = inlineValue !== undefined ? inlineValue : next();
+            }
+        } else {
+            throw new CliUsageError(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (Object.keys(certainties).length > 0) {
+        flagCase.certainties = certainties;
+    }
+    if (options.strategy && !engine.conflictResolutionStrategies[options.strategy]) {
+        throw new CliUsageError(`Unknown strategy: ${options.strategy}`);
+    }
+    if (options.evaluate && !options.file) {
+        throw new CliUsageError('--evaluate needs a --file of labelled cases');
+    }
+    if (!options.help && !options.file && !options.diffPack && Object.keys(flagCase).length === 0) {
+        throw new CliUsageError('No inputs given; pass field flags or --file');
+    }
+
+    return { options, flagCase };
+}
+
+function readPack(packs, file) {
+    try {
+        return packs.parsePack(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new CliUsageError(`${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Load --pack before the other arguments are parsed, since field flags are
+ * checked against the pack's input values
+ */
+function loadPack(engine, argv) {
+    const index = argv.indexOf('--pack');
+    if (index === -1) return;
+    if (index + 1 >= argv.length) {
+        throw new CliUsageError('--pack needs a value');
+    }
+
+    const FelineNeuroKnowledgeBasePacks = require('./knowledge_base_pack.js');
+    const packs = new FelineNeuroKnowledgeBasePacks(engine, engine.baseData);
+    engine.loadKnowledgeBase(packs.packToData(readPack(packs, argv[index + 1])));
+}
+
+function diffPack(engine, options, log) {
+    const FelineNeuroKnowledgeBasePacks = require('./knowledge_base_pack.js');
+    const packs = new FelineNeuroKnowledgeBasePacks(engine, engine.baseData);
+    const diff = packs.diffPacks(packs.builtInPack, readPack(packs, options.diffPack));
+    log(options.json ? JSON.stringify(diff, null, 2) : packs.formatDiff(diff));
+    return 0;
+}
+
+function runCase(engine, testCase, options) {
+    const diagnosis = engine.runDiagnosis(testCase.inputs, { conflictResolution: options.strategy });
+    return {
+        id: testCase.id,
+        inputs: testCase.inputs,
+        metadata: testCase.metadata,
+        ruleId: diagnosis.ruleId,
+        diagnosis: diagnosis.diagnosis,
+        urgency: diagnosis.urgency,
+        priority: diagnosis.priority,
+        confidence: diagnosis.confidence,
+        differential: diagnosis.differential.map(entry => entry.ruleId),
+        nextSteps: diagnosis.nextSteps,
+        explanation: diagnosis.logicExplanation
+    };
+}
+
+function formatResult(result, engine) {
+    const level = engine.data.urgencyLevels[result.urgency] || {};
+    return [
+        `Case ${result.id}: ${result.diagnosis} [${result.ruleId}]`,
+        `Urgency: ${level.label || result.urgency} · Certainty ${Math.round(result.confidence * 100)}%`,
+        '',
+        result.explanation
+    ].join('\n');
+}
+
+function evaluateCases(engine, rawCases, options, log) {
+    const FelineNeuroBatchEvaluator = require('./batch_evaluator.js');
+    const evaluator = new FelineNeuroBatchEvaluator(engine);
+    const cases = rawCases.map((raw, index) => {
+        const testCase = normalizeCase(raw, engine, index);
+        return { ...testCase, expected: testCase.metadata[options.label] };
+    });
+
+    const report = evaluator.evaluate(cases, { topK: options.topK, conflictResolution: options.strategy });
+    log(options.json ? JSON.stringify(report, null, 2) : evaluator.formatReport(report));
+    return 0;
+}
+
+function main(argv = process.argv.slice(2)) {
+    // Engine and knowledge base log to console.log while loading and running
+    const log = console.log;
+    const verbose = argv.includes('--verbose');
+    console.log = verbose ? console.error : () => {};
+
+    const FelineNeuroDiagnosisData = require('./data.js');
+    const FelineNeuroForwardChainingEngine = require('./forward_chaining_engine.js');
+    const engine = new FelineNeuroForwardChainingEngine(FelineNeuroDiagnosisData);
+
+    try {
+        loadPack(engine, argv);
+        const { options, flagCase } = parseArgs(argv, engine);
+        if (options.help) {
+            log(USAGE);
+            return 0;
+        }
+        if (options.diffPack) {
+            return diffPack(engine, options, log);
+        }
+
+        const rawCases = options.file ? loadCasesFromFile(options.file) : [flagCase];
+        if (options.evaluate) {
+            return evaluateCases(engine, rawCases, options, log);
+        }
+        const results = rawCases.map((raw, index) => runCase(engine, normalizeCase(raw, engine, index), options));
+
+        if (options.json) {
+            log(JSON.stringify(options.file ? results : results[0], null, 2));
+        } else {
+            log(results.map(result => formatResult(result, engine)).join('\n\n' + '─'.repeat(60) + '\n\n'));
+        }
+        return 0;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (error instanceof CliUsageError) {
+            console.error(`\n${USAGE}`);
+            return 2;
+        }
+        return 1;
+    } finally {
+        console.log = log;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = { parseCsv, normalizeCase, loadCasesFromFile, runCase, main };
@@ -0,0 +1,191 @@
+/**
+ * Guided consultation: asks one question at a time, always the unanswered field
+ * that best splits the diagnostic rules still in play, and stops as soon as the
+ * priority waterfall has a winner. Every question can be answered 'unknown'.
+ * The questions come from the knowledge base's inputSchema, so a pack's own
+ * fields are asked too.
+ */
+
+const UNKNOWN_ANSWER = 'unknown';
+
+class FelineNeuroConsultation {
+    constructor(engine) {
+        this.engine = engine;
+        this.answers = {};
+        this.unknownFields = new Set();
+        this.history = [];
+        this.diagnosticRules = engine.forwardChainingRules
+            .filter(rule => rule.isDiagnosticRule)
+            .sort((a, b) => a.originalRule.priority - b.originalRule.priority);
+    }
+
+    getFields() {
+        return this.engine.getInputFields();
+    }
+
+    /**
+     * Three-valued status of every diagnostic rule under the answers so far
+     */
+    getRuleStatuses(answers = this.answers) {
+        return this.diagnosticRules.map(rule => ({
+            rule,
+            status: this.engine.provePremise(rule.premise, answers, new Set()).status
+        }));
+    }
+
+    getCandidates(answers = this.answers) {
+        return this.getRuleStatuses(answers).filter(entry => entry.status !== 'contradicted');
+    }
+
+    /**
+     * The waterfall winner once it is settled: every higher priority rule is
+     * contradicted and this one is satisfied. Null while still open.
+     */
+    getDeterminedRule() {
+        const [first] = this.getCandidates();
+        return first && first.status === 'satisfied' ? first.rule : null;
+    }
+
+    getAskableFields() {
+        return this.getFields().filter(field => !(field in this.answers) && !this.unknownFields.has(field));
+    }
+
+    /**
+     * Pick the askable field with the smallest expected number of remaining
+     * candidates over its possible answers. Ties go to the field needed by the
+     * highest priority unresolved rule. Fields whose answer would not change any
+     * rule's status are never asked.
+     */
+    nextQuestion() {
+        if (this.getDeterminedRule()) return null;
+
+        const candidates = this.getCandidates();
+        const currentStatuses = this.describeStatuses(candidates);
+        let best = null;
+
+        this.getAskableFields().forEach(field => {
+            const domain = this.engine.getAnswerValues(field);
+            const outcomes = domain.map(value => this.getCandidates({ ...this.answers, [field]: value }));
+            if (outcomes.every(outcome => this.describeStatuses(outcome) === currentStatuses)) return;
+
+            const expectedRemaining = outcomes.reduce((sum, outcome) => sum + outcome.length, 0) / domain.length;
+            const firstUse = candidates.findIndex(entry => this.ruleUsesField(entry.rule, field));
+            const score = { field, expectedRemaining, firstUse: firstUse === -1 ? Infinity : firstUse };
+
+            if (!best ||
+                score.expectedRemaining < best.expectedRemaining ||
+                (score.expectedRemaining === best.expectedRemaining && score.firstUse < best.firstUse)) {
+                best = score;
+            }
+        });
+
+        return best ? this.describeQuestion(best.field, candidates.length) : null;
+    }
+
+    describeStatuses(candidates) {
+        return candidates.map(entry => `${entry.rule.id}:${entry.status}`).join(',');
+    }
+
+    /**
+     * Whether the rule rests on the field, directly or through a finding drawn from it
+     */
+    ruleUsesField(rule, field) {
+        const goalTree = this.engine.provePremise(rule.premise, {}, new Set());
+        return this.engine.collectGoalLeaves(goalTree).some(leaf => leaf.field === field);
+    }
+
+    /**
+     * A select or sign is answered by picking an option. A measurement is typed
+     * in (its ranges are listed as a guide) and a multiselect takes any of its
+     * options, none included.
+     */
+    describeQuestion(field, candidateCount) {
+        const definition = this.engine.getFieldDefinition(field);
+        const optionLabels = definition.optionLabels || {};
+        const descriptions = this.engine.data.inputDescriptions[field] || {};
+        const options = {
+            select: () => definition.domain.map(value => ({ value, label: optionLabels[value] || value, description: descriptions[value] })),
+            boolean: () => [{ value: true, label: 'Yes' }, { value: false, label: 'No' }],
+            number: () => definition.domain.map(value => ({ value, label: this.engine.describeFieldValue(field, value) })),
+            multiselect: () => definition.domain.map(value => ({ value, label: this.engine.describeFieldValue(field, value) }))
+        }[definition.type]();
+
+        return {
+            field,
+            type: definition.type,
+            prompt: definition.question || `${definition.label}?`,
+            options: [...options, { value: UNKNOWN_ANSWER, label: 'Unknown / not checked' }],
+            unit: definition.unit,
+            min: definition.min,
+            max: definition.max,
+            step: definition.step,
+            questionNumber: this.history.length + 1,
+            candidateCount
+        };
+    }
+
+    /**
+     * Record an answer: UNKNOWN_ANSWER, or a value parseInputValue accepts
+     * (an option, a measurement, a list of multiselect options). Throws when invalid.
+     */
+    answer(field, value) {
+        if (!this.getFields().includes(field)) {
+            throw new Error(`Unknown consultation field: ${field}`);
+        }
+
+        if (value === UNKNOWN_ANSWER) {
+            delete this.answers[field];
+            this.unknownFields.add(field);
+        } else {
+            value = this.engine.parseInputValue(field, value);
+            this.unknownFields.delete(field);
+            this.answers[field] = value;
+        }
+        this.history.push({ field, value });
+    }
+
+    isComplete() {
+        return this.nextQuestion() === null;
+    }
+
+    /**
+     * Run the engine on the collected answers. Unknown fields are left out of
+     * the inputs, where closed-world NOT premises would read them as not
+     * observed, so a rule is only reported once the three-valued statuses prove
+     * it. Otherwise the result is undetermined and lists the rules still open.
+     */
+    finish(options = {}) {
+        const determinedRule = this.getDeterminedRule();
+        const remainingCandidates = this.getCandidates();
+        const diagnosis = this.engine.runDiagnosis({ ...this.answers }, determinedRule
+            ? options
+            : { ...options, verify: false, undetermined: true });
+
+        const openRules = remainingCandidates.filter(entry => entry.status === 'unknown');
+        if (!determinedRule && openRules.length > 0) {
+            diagnosis.clinicalNotes = [
+                `Not ruled out by the unknown answers: ${openRules.map(entry => entry.rule.name).join(', ')}`,
+                ...diagnosis.clinicalNotes
+            ];
+        }
+
+        diagnosis.consultation = {
+            determined: Boolean(determinedRule),
+            questionsAsked: this.history.length,
+            answers: this.history.map(entry => ({ ...entry })),
+            unknownFields: Array.from(this.unknownFields),
+            remainingCandidates: remainingCandidates.map(entry => ({ ruleId: entry.rule.id, status: entry.status }))
+        };
+        return diagnosis;
+    }
+}
+
+FelineNeuroConsultation.UNKNOWN_ANSWER = UNKNOWN_ANSWER;
+
+// Export for use in other files: a browser global, or module.exports under Node
+if (typeof window !== 'undefined') {
+    window.FelineNeuroConsultation = FelineNeuroConsultation;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FelineNeuroConsultation;
+}
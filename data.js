@@ -2,7 +2,22 @@ console.log('📊 Loading FelineNeuroDiagnosisData...');
 
 const FelineNeuroDiagnosisData = {
     
-
+    // Rule base version, stored with every saved diagnosis
+    version: '1.0.0',
+    
+    // Pack identity when this rule base is exported as a knowledge-base pack
+    metadata: {
+        id: 'feline-neuro-core',
+        name: 'Feline Neurology Core Rules',
+        author: 'FelineES',
+        description: 'Built-in rule base: diagnostic rules in priority tiers from trauma to exclusion conditions'
+    },
+    
+    // conditionTree is what the engine compiles into forward chaining premises:
+    // { all: [...] }, { any: [...] } and { not: node } over { field, equals } comparisons.
+    // condition() is kept as the original priority waterfall predicate.
+    // certainty (0-1) is the rule's strength: the diagnosis certainty is it times the weakest
+    // finding the premise rests on. Rules without one count as certain.
     diagnosticRules: [
         
 
@@ -10,11 +25,19 @@ const FelineNeuroDiagnosisData = {
             priority: 1,
             id: 'TRAUMATIC_BRAIN_INJURY',
             name: 'Traumatic Brain Injury',
+            certainty: 0.9,
             
             
             condition: (inputs) => {
                 return inputs.recent_trauma === true && inputs.seizures === 'severe';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'recent_trauma', equals: true },
+                    { field: 'seizures', equals: 'severe' }
+                ]
+            },
             
             description: 'Critical brain trauma with severe seizures indicating intracranial bleeding or swelling',
             
@@ -41,10 +64,18 @@ const FelineNeuroDiagnosisData = {
             priority: 2,
             id: 'SPINAL_FRACTURE',
             name: 'Spinal Fracture',
+            certainty: 0.85,
             
             condition: (inputs) => {
                 return inputs.recent_trauma === true && inputs.mobility_status === 'paralyzed';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'recent_trauma', equals: true },
+                    { field: 'mobility_status', equals: 'paralyzed' }
+                ]
+            },
             
             description: 'Traumatic spinal cord injury with complete loss of motor function', 
            
@@ -71,10 +102,17 @@ const FelineNeuroDiagnosisData = {
             priority: 3,
             id: 'GENERAL_TRAUMA',
             name: 'General Traumatic Injury',
+            certainty: 0.7,
             
             condition: (inputs) => {
                 return inputs.recent_trauma === true;
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'recent_trauma', equals: true }
+                ]
+            },
             
             description: 'Neurological signs secondary to recent physical trauma',
             
@@ -101,12 +139,21 @@ const FelineNeuroDiagnosisData = {
             priority: 4,
             id: 'SADDLE_THROMBUS',
             name: 'Feline Aortic Thromboembolism (Saddle Thrombus)',
+            certainty: 0.9,
             
             condition: (inputs) => {
                 return inputs.mobility_status !== 'normal' && 
                        inputs.pain_signs === true && 
                        inputs.cold_limbs === true;
             },
+
+            conditionTree: {
+                all: [
+                    { not: { field: 'mobility_status', equals: 'normal' } },
+                    { field: 'pain_signs', equals: true },
+                    { field: 'cold_limbs', equals: true }
+                ]
+            },
             
             description: 'Blood clot blocking aortic blood flow to hind limbs - extremely painful emergency',
             
@@ -133,12 +180,21 @@ const FelineNeuroDiagnosisData = {
             priority: 5,
             id: 'ACUTE_TOXICITY',
             name: 'Acute Toxicity (Poisoning)',
+            certainty: 0.6,
             
             condition: (inputs) => {
                 return inputs.onset_speed === 'sudden' && 
                        inputs.seizures === 'severe' && 
                        inputs.eye_signs === true;
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'onset_speed', equals: 'sudden' },
+                    { field: 'seizures', equals: 'severe' },
+                    { field: 'eye_signs', equals: true }
+                ]
+            },
             
             description: 'Severe neurological reaction to toxic substances',
             
@@ -166,12 +222,24 @@ const FelineNeuroDiagnosisData = {
             priority: 6,
             id: 'HYPOGLYCEMIA',
             name: 'Severe Hypoglycemia',
+            certainty: 0.7,
             
             condition: (inputs) => {
-                return inputs.age_group === 'kitten' && 
+                return (inputs.age_group === 'kitten' || (typeof inputs.blood_glucose === 'number' && inputs.blood_glucose < 60)) && 
                        inputs.onset_speed === 'sudden' && 
                        inputs.seizures !== 'none';
             },
+
+            conditionTree: {
+                all: [
+                    { any: [
+                        { field: 'age_group', equals: 'kitten' },
+                        { field: 'blood_glucose', equals: 'low' }
+                    ] },
+                    { field: 'onset_speed', equals: 'sudden' },
+                    { not: { field: 'seizures', equals: 'none' } }
+                ]
+            },
             
             description: 'Critically low blood sugar causing neurological dysfunction',
             
@@ -198,10 +266,17 @@ const FelineNeuroDiagnosisData = {
             priority: 7,
             id: 'THIAMINE_DEFICIENCY',
             name: 'Thiamine Deficiency (Vitamin B1)',
+            certainty: 0.8,
             
             condition: (inputs) => {
                 return inputs.neck_flexion === true;
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'neck_flexion', equals: true }
+                ]
+            },
             
             description: 'Nutritional deficiency causing characteristic neck curling and neurological signs',
             
@@ -228,6 +303,7 @@ const FelineNeuroDiagnosisData = {
             priority: 8,
             id: 'HYPERTENSION',
             name: 'Systemic Hypertension (High Blood Pressure)',
+            certainty: 0.6,
             
             condition: (inputs) => {
                 return inputs.age_group === 'senior' && 
@@ -235,6 +311,18 @@ const FelineNeuroDiagnosisData = {
                        (inputs.seizures === 'mild' || inputs.eye_signs === true) && 
                        inputs.mobility_status === 'normal';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'age_group', equals: 'senior' },
+                    { field: 'onset_speed', equals: 'sudden' },
+                    { any: [
+                        { field: 'seizures', equals: 'mild' },
+                        { field: 'eye_signs', equals: true }
+                    ] },
+                    { field: 'mobility_status', equals: 'normal' }
+                ]
+            },
             
             description: 'High blood pressure causing acute neurological signs in senior cats',
             
@@ -261,12 +349,24 @@ const FelineNeuroDiagnosisData = {
             priority: 9,
             id: 'HEPATIC_ENCEPHALOPATHY',
             name: 'Hepatic Encephalopathy (Liver Shunt)',
+            certainty: 0.5,
             
             condition: (inputs) => {
                 return (inputs.age_group === 'kitten' || inputs.age_group === 'adult') && 
                        inputs.seizures === 'mild' && 
                        inputs.mobility_status === 'wobbly';
             },
+
+            conditionTree: {
+                all: [
+                    { any: [
+                        { field: 'age_group', equals: 'kitten' },
+                        { field: 'age_group', equals: 'adult' }
+                    ] },
+                    { field: 'seizures', equals: 'mild' },
+                    { field: 'mobility_status', equals: 'wobbly' }
+                ]
+            },
             
             description: 'Liver dysfunction causing toxic buildup and neurological signs',
             
@@ -293,12 +393,21 @@ const FelineNeuroDiagnosisData = {
             priority: 10,
             id: 'HYPOCALCEMIA',
             name: 'Acute Hypocalcemia (Eclampsia)',
+            certainty: 0.55,
             
             condition: (inputs) => {
                 return inputs.onset_speed === 'sudden' && 
                        inputs.seizures === 'mild' && 
                        inputs.mobility_status === 'wobbly';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'onset_speed', equals: 'sudden' },
+                    { field: 'seizures', equals: 'mild' },
+                    { field: 'mobility_status', equals: 'wobbly' }
+                ]
+            },
             
             description: 'Low blood calcium causing muscle tremors and mild seizures',
             
@@ -325,6 +434,7 @@ const FelineNeuroDiagnosisData = {
             priority: 11,
             id: 'BOTULISM_TICK_PARALYSIS',
             name: 'Botulism / Tick Paralysis',
+            certainty: 0.6,
             
             condition: (inputs) => {
                 return inputs.mobility_status === 'paralyzed' && 
@@ -332,6 +442,15 @@ const FelineNeuroDiagnosisData = {
                        inputs.onset_speed === 'sudden' && 
                        inputs.seizures === 'none';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'mobility_status', equals: 'paralyzed' },
+                    { field: 'pain_signs', equals: false },
+                    { field: 'onset_speed', equals: 'sudden' },
+                    { field: 'seizures', equals: 'none' }
+                ]
+            },
             
             description: 'Flaccid paralysis without pain from neurotoxins or tick-borne toxins',
             
@@ -359,12 +478,24 @@ const FelineNeuroDiagnosisData = {
             priority: 12,
             id: 'NEURO_FIP',
             name: 'Feline Infectious Peritonitis (Neurological Form)',
+            certainty: 0.5,
             
             condition: (inputs) => {
                 return inputs.age_group === 'kitten' && 
                        inputs.onset_speed === 'gradual' && 
                        (inputs.mobility_status === 'wobbly' || inputs.seizures === 'mild');
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'age_group', equals: 'kitten' },
+                    { field: 'onset_speed', equals: 'gradual' },
+                    { any: [
+                        { field: 'mobility_status', equals: 'wobbly' },
+                        { field: 'seizures', equals: 'mild' }
+                    ] }
+                ]
+            },
             
             description: 'Viral infection causing progressive neurological inflammation in young cats',
             
@@ -391,12 +522,21 @@ const FelineNeuroDiagnosisData = {
             priority: 13,
             id: 'TOXOPLASMOSIS',
             name: 'Toxoplasmosis',
+            certainty: 0.45,
             
             condition: (inputs) => {
                 return inputs.age_group !== 'senior' && 
                        inputs.onset_speed === 'gradual' && 
                        inputs.eye_signs === true;
             },
+
+            conditionTree: {
+                all: [
+                    { not: { field: 'age_group', equals: 'senior' } },
+                    { field: 'onset_speed', equals: 'gradual' },
+                    { field: 'eye_signs', equals: true }
+                ]
+            },
             
             description: 'Protozoal infection causing neurological and ocular signs',
             
@@ -423,11 +563,22 @@ const FelineNeuroDiagnosisData = {
             priority: 14,
             id: 'OTITIS_INTERNA',
             name: 'Otitis Interna (Inner Ear Infection)',
+            certainty: 0.8,
             
             condition: (inputs) => {
                 return inputs.ear_issues === true && 
                        (inputs.head_tilt === true || inputs.mobility_status === 'wobbly');
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'ear_issues', equals: true },
+                    { any: [
+                        { field: 'head_tilt', equals: true },
+                        { field: 'mobility_status', equals: 'wobbly' }
+                    ] }
+                ]
+            },
             
             description: 'Deep ear infection affecting the vestibular system and balance',
             
@@ -454,6 +605,7 @@ const FelineNeuroDiagnosisData = {
             priority: 15,
             id: 'NASOPHARYNGEAL_POLYP',
             name: 'Nasopharyngeal Polyp',
+            certainty: 0.7,
             
             condition: (inputs) => {
                 return (inputs.age_group === 'kitten' || inputs.age_group === 'adult') && 
@@ -461,6 +613,18 @@ const FelineNeuroDiagnosisData = {
                        inputs.head_tilt === true && 
                        inputs.onset_speed === 'gradual';
             },
+
+            conditionTree: {
+                all: [
+                    { any: [
+                        { field: 'age_group', equals: 'kitten' },
+                        { field: 'age_group', equals: 'adult' }
+                    ] },
+                    { field: 'ear_issues', equals: true },
+                    { field: 'head_tilt', equals: true },
+                    { field: 'onset_speed', equals: 'gradual' }
+                ]
+            },
             
             description: 'Benign growth in nasopharynx causing ear and vestibular signs',
             
@@ -487,12 +651,21 @@ const FelineNeuroDiagnosisData = {
             priority: 16,
             id: 'MENINGITIS_ENCEPHALITIS',
             name: 'Meningitis/Encephalitis',
+            certainty: 0.5,
             
             condition: (inputs) => {
                 return inputs.onset_speed === 'sudden' && 
                        inputs.pain_signs === true && 
                        inputs.seizures !== 'none';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'onset_speed', equals: 'sudden' },
+                    { field: 'pain_signs', equals: true },
+                    { not: { field: 'seizures', equals: 'none' } }
+                ]
+            },
             
             description: 'Inflammation of brain and/or meninges causing pain and seizures',
             
@@ -520,12 +693,21 @@ const FelineNeuroDiagnosisData = {
             priority: 17,
             id: 'BRAIN_TUMOR_MENINGIOMA',
             name: 'Brain Tumor (Meningioma)',
+            certainty: 0.65,
             
             condition: (inputs) => {
                 return inputs.age_group === 'senior' && 
                        inputs.onset_speed === 'gradual' && 
                        inputs.seizures === 'mild';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'age_group', equals: 'senior' },
+                    { field: 'onset_speed', equals: 'gradual' },
+                    { field: 'seizures', equals: 'mild' }
+                ]
+            },
             
             description: 'Benign brain tumor causing progressive mild neurological signs',
             
@@ -552,12 +734,21 @@ const FelineNeuroDiagnosisData = {
             priority: 18,
             id: 'HIGH_GRADE_BRAIN_TUMOR',
             name: 'High-Grade Brain Tumor',
+            certainty: 0.55,
             
             condition: (inputs) => {
                 return inputs.age_group === 'senior' && 
                        inputs.onset_speed === 'gradual' && 
                        inputs.seizures === 'severe';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'age_group', equals: 'senior' },
+                    { field: 'onset_speed', equals: 'gradual' },
+                    { field: 'seizures', equals: 'severe' }
+                ]
+            },
             
             description: 'Aggressive brain tumor causing severe progressive neurological signs',
             
@@ -584,12 +775,21 @@ const FelineNeuroDiagnosisData = {
             priority: 19,
             id: 'SPINAL_TUMOR_LYMPHOMA',
             name: 'Spinal Tumor (Lymphoma)',
+            certainty: 0.55,
             
             condition: (inputs) => {
                 return inputs.age_group === 'senior' && 
                        inputs.mobility_status === 'paralyzed' && 
                        inputs.onset_speed === 'gradual';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'age_group', equals: 'senior' },
+                    { field: 'mobility_status', equals: 'paralyzed' },
+                    { field: 'onset_speed', equals: 'gradual' }
+                ]
+            },
             
             description: 'Spinal lymphoma causing progressive paralysis in senior cats',
             
@@ -616,6 +816,7 @@ const FelineNeuroDiagnosisData = {
             priority: 20,
             id: 'SPINAL_TUMOR_EARLY',
             name: 'Spinal Tumor (Early Stage)',
+            certainty: 0.45,
             
             condition: (inputs) => {
                 return inputs.age_group === 'senior' && 
@@ -623,6 +824,15 @@ const FelineNeuroDiagnosisData = {
                        inputs.pain_signs === false && 
                        inputs.onset_speed === 'gradual';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'age_group', equals: 'senior' },
+                    { field: 'mobility_status', equals: 'wobbly' },
+                    { field: 'pain_signs', equals: false },
+                    { field: 'onset_speed', equals: 'gradual' }
+                ]
+            },
             
             description: 'Early-stage spinal tumor causing mild ataxia without pain',
             
@@ -649,6 +859,7 @@ const FelineNeuroDiagnosisData = {
             priority: 21,
             id: 'HYDROCEPHALUS',
             name: 'Hydrocephalus',
+            certainty: 0.6,
             
             condition: (inputs) => {
                 return inputs.age_group === 'kitten' && 
@@ -656,6 +867,15 @@ const FelineNeuroDiagnosisData = {
                        inputs.seizures === 'mild' && 
                        inputs.onset_speed === 'gradual';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'age_group', equals: 'kitten' },
+                    { field: 'head_tilt', equals: true },
+                    { field: 'seizures', equals: 'mild' },
+                    { field: 'onset_speed', equals: 'gradual' }
+                ]
+            },
             
             description: 'Abnormal accumulation of cerebrospinal fluid in brain ventricles',
             
@@ -683,12 +903,21 @@ const FelineNeuroDiagnosisData = {
             priority: 22,
             id: 'IVDD',
             name: 'Intervertebral Disc Disease (IVDD)',
+            certainty: 0.65,
             
             condition: (inputs) => {
                 return inputs.mobility_status !== 'normal' && 
                        inputs.pain_signs === true && 
                        inputs.onset_speed === 'sudden';
             },
+
+            conditionTree: {
+                all: [
+                    { not: { field: 'mobility_status', equals: 'normal' } },
+                    { field: 'pain_signs', equals: true },
+                    { field: 'onset_speed', equals: 'sudden' }
+                ]
+            },
             
             description: 'Acute disc herniation causing spinal cord compression and pain',
             
@@ -715,12 +944,21 @@ const FelineNeuroDiagnosisData = {
             priority: 23,
             id: 'FELINE_HYPERESTHESIA',
             name: 'Feline Hyperesthesia Syndrome',
+            certainty: 0.6,
             
             condition: (inputs) => {
                 return inputs.age_group === 'adult' && 
                        inputs.seizures === 'mild' && 
                        inputs.pain_signs === true;
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'age_group', equals: 'adult' },
+                    { field: 'seizures', equals: 'mild' },
+                    { field: 'pain_signs', equals: true }
+                ]
+            },
             
             description: 'Neurological condition causing rolling skin syndrome and painful episodes',
             
@@ -747,12 +985,21 @@ const FelineNeuroDiagnosisData = {
             priority: 24,
             id: 'IDIOPATHIC_EPILEPSY',
             name: 'Idiopathic Epilepsy',
+            certainty: 0.7,
             
             condition: (inputs) => {
                 return inputs.age_group === 'adult' && 
                        inputs.seizures === 'severe' && 
                        inputs.mobility_status === 'normal';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'age_group', equals: 'adult' },
+                    { field: 'seizures', equals: 'severe' },
+                    { field: 'mobility_status', equals: 'normal' }
+                ]
+            },
             
             description: 'Primary seizure disorder with no identifiable structural cause',
             
@@ -779,6 +1026,7 @@ const FelineNeuroDiagnosisData = {
             priority: 25,
             id: 'CEREBELLAR_HYPOPLASIA',
             name: 'Cerebellar Hypoplasia',
+            certainty: 0.75,
             
             condition: (inputs) => {
                 return inputs.age_group === 'kitten' && 
@@ -786,6 +1034,15 @@ const FelineNeuroDiagnosisData = {
                        inputs.onset_speed === 'gradual' && 
                        inputs.seizures === 'none';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'age_group', equals: 'kitten' },
+                    { field: 'mobility_status', equals: 'wobbly' },
+                    { field: 'onset_speed', equals: 'gradual' },
+                    { field: 'seizures', equals: 'none' }
+                ]
+            },
             
             description: 'Congenital underdevelopment of cerebellum causing coordination problems',
             
@@ -813,6 +1070,7 @@ const FelineNeuroDiagnosisData = {
             priority: 26,
             id: 'ISCHEMIC_STROKE',
             name: 'Ischemic Stroke',
+            certainty: 0.5,
             
             condition: (inputs) => {
                 return inputs.age_group === 'senior' && 
@@ -820,6 +1078,15 @@ const FelineNeuroDiagnosisData = {
                        inputs.head_tilt === true && 
                        inputs.ear_issues === false;
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'age_group', equals: 'senior' },
+                    { field: 'onset_speed', equals: 'sudden' },
+                    { field: 'head_tilt', equals: true },
+                    { field: 'ear_issues', equals: false }
+                ]
+            },
             
             description: 'Acute loss of blood flow to brain region causing sudden neurological deficits',
             
@@ -846,12 +1113,24 @@ const FelineNeuroDiagnosisData = {
             priority: 27,
             id: 'IDIOPATHIC_VESTIBULAR',
             name: 'Idiopathic Vestibular Syndrome',
+            certainty: 0.7,
             
             condition: (inputs) => {
                 return inputs.onset_speed === 'sudden' && 
                        (inputs.head_tilt === true || inputs.eye_signs === true) && 
                        inputs.mobility_status === 'wobbly';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'onset_speed', equals: 'sudden' },
+                    { any: [
+                        { field: 'head_tilt', equals: true },
+                        { field: 'eye_signs', equals: true }
+                    ] },
+                    { field: 'mobility_status', equals: 'wobbly' }
+                ]
+            },
             
             description: 'Sudden vestibular dysfunction of unknown cause - feline "vertigo"',
             
@@ -878,12 +1157,21 @@ const FelineNeuroDiagnosisData = {
             priority: 28,
             id: 'COGNITIVE_DYSFUNCTION',
             name: 'Cognitive Dysfunction Syndrome (Dementia)',
+            certainty: 0.5,
             
             condition: (inputs) => {
                 return inputs.age_group === 'senior' && 
                        inputs.onset_speed === 'gradual' && 
                        inputs.seizures === 'none';
             },
+
+            conditionTree: {
+                all: [
+                    { field: 'age_group', equals: 'senior' },
+                    { field: 'onset_speed', equals: 'gradual' },
+                    { field: 'seizures', equals: 'none' }
+                ]
+            },
             
             description: 'Age-related cognitive decline similar to Alzheimer\'s disease in humans',
             
@@ -910,10 +1198,15 @@ const FelineNeuroDiagnosisData = {
             priority: 29,
             id: 'UNDETERMINED',
             name: 'Undetermined Neurological Anomaly',
+            certainty: 0.2,
             
             condition: (inputs) => {
                 return true;
             },
+
+            conditionTree: {
+                all: []
+            },
             
             description: 'Neurological signs present but pattern does not match established diagnostic criteria',
             
@@ -989,6 +1282,261 @@ const FelineNeuroDiagnosisData = {
             none: 'No seizure activity observed',
             mild: 'Focal twitching, fly-biting, tremors, spacing out',
             severe: 'Full body convulsions, paddling, loss of consciousness'
+        },
+        seizure_frequency: {
+            single: 'Isolated episode with full recovery afterwards',
+            cluster: 'Two or more episodes within 24 hours',
+            continuous: 'Lasting over 5 minutes or without recovery between episodes (status epilepticus)'
+        },
+        vaccination_status: {
+            up_to_date: 'Core vaccines and rabies boosters are current',
+            overdue: 'Vaccinated before but boosters are overdue',
+            unvaccinated: 'Never vaccinated or no records'
+        },
+        outdoor_access: {
+            indoor: 'Lives indoors only',
+            outdoor: 'Goes outside unsupervised (roaming, hunting)'
+        }
+    },
+
+    // The input model the assessment form, input validation and fact conversion
+    // are generated from. Fields appear in this order within their section.
+    //   select       one value from inputDescriptions[field]
+    //   boolean      a sign; unchecked is an explicit "no"
+    //   number       a measurement; each range (min inclusive, max exclusive)
+    //                is a value conditions can test, e.g. temperature 'high'
+    //   multiselect  any of options; conditions test whether one is included
+    // Facts are named factPrefix_value (mobility_status 'wobbly' -> mobility_wobbly).
+    // Only required fields must be answered; blank optional findings add no facts.
+    // question is how the guided consultation asks for the field.
+    inputSchema: {
+        sections: {
+            patient: { title: "Feline's Information", icon: 'fa-info-circle' },
+            mobility: { title: 'Mobility Status', icon: 'fa-walking' },
+            seizures: { title: 'Seizure Activity', icon: 'fa-brain' },
+            signs: { title: 'Specific Clinical Signs', icon: 'fa-clipboard-check' },
+            vitals: { title: 'Vital Signs & Bloodwork', icon: 'fa-heart-pulse' },
+            history: { title: 'Vaccination & Lifestyle', icon: 'fa-house' }
+        },
+        fields: {
+            age_group: {
+                type: 'select',
+                section: 'patient',
+                label: 'Age Group',
+                question: 'How old is the cat?',
+                required: true,
+                factPrefix: 'age',
+                placeholder: 'Select Age Group',
+                hint: "Select the cat's approximate age range (e.g., Kitten 0-1 year, Adult 1-7 years, or Senior 7+ years).",
+                optionLabels: { kitten: 'Kitten (0-1 year)', adult: 'Adult (1-7 years)', senior: 'Senior (7+ years)' }
+            },
+            onset_speed: {
+                type: 'select',
+                section: 'patient',
+                label: 'Onset Speed',
+                question: 'How quickly did the signs appear?',
+                required: true,
+                factPrefix: 'onset',
+                placeholder: 'Select Onset',
+                hint: "Did the problem happen suddenly (e.g., they were fine this morning, now they aren't) or gradually (getting worse over weeks or months)?",
+                optionLabels: { sudden: 'Sudden (Hours to Days)', gradual: 'Gradual (Weeks to Months)' }
+            },
+            mobility_status: {
+                type: 'select',
+                section: 'mobility',
+                label: 'Current Mobility',
+                question: 'How is the cat walking?',
+                required: true,
+                factPrefix: 'mobility',
+                placeholder: 'Select Mobility Status',
+                hint: 'Normal: The cat walks perfectly fine. Wobbly/Unsteady (Ataxia): The cat walks like it is drunk or dizzy. It stumbles but can still stand up. Paralyzed/Dragging Legs: The cat cannot stand up at all. It drags its back legs behind it like dead weight.',
+                optionLabels: { normal: 'Normal (Walking normally)', wobbly: 'Wobbly/Unsteady (Ataxia)', paralyzed: 'Paralyzed/Dragging Legs' }
+            },
+            seizures: {
+                type: 'select',
+                section: 'seizures',
+                label: 'Seizures Present',
+                question: 'Has the cat had any seizure activity?',
+                required: true,
+                factPrefix: 'seizures',
+                placeholder: 'Select Seizure Status',
+                hint: "None Observed: No seizures seen. Mild: Weird behavior like twitching one eye, staring blankly at a wall (zoning out), or snapping at invisible flies. Severe: The 'scary' kind. The cat falls over, shakes violently, and paddles its legs like it is swimming.",
+                optionLabels: {
+                    none: 'None Observed',
+                    mild: 'Mild (Focal twitching, fly-biting, tremors, spacing out)',
+                    severe: 'Severe (Full body convulsions, paddling, loss of consciousness)'
+                }
+            },
+            eye_signs: {
+                type: 'boolean',
+                section: 'signs',
+                label: 'Eye Signs',
+                question: 'Are the eyes jerking or twitching on their own (nystagmus)?',
+                summary: 'Nystagmus/Eye Twitching',
+                icon: 'fa-eye',
+                hint: "Look closely at the cat's eyes. Are the eyeballs jerking back and forth, moving side-to-side, or twitching rapidly on their own? This isn't just blinking; it looks like the eyes can't stay still."
+            },
+            pain_signs: {
+                type: 'boolean',
+                section: 'signs',
+                label: 'Pain Signs',
+                question: 'Is the cat showing signs of pain (crying, hiding, reluctance to move)?',
+                summary: 'Crying/Hiding/Reluctance to Move',
+                icon: 'fa-exclamation-triangle',
+                hint: "Since cats can't talk, look for behavior changes. Is the cat vocalizing (crying/yowling) more than usual? Are they hiding under furniture and refusing to come out? Do they growl or try to get away when you touch them?"
+            },
+            head_tilt: {
+                type: 'boolean',
+                section: 'signs',
+                label: 'Head Tilt',
+                question: 'Is the cat holding its head persistently tilted?',
+                summary: 'Persistent head tilting',
+                icon: 'fa-head-side-virus',
+                hint: "Is the cat holding its head tipped to one side consistently? It might look like they are permanently confused or dizzy. This isn't just a momentary glance; they walk and sit with their head angled sideways."
+            },
+            recent_trauma: {
+                type: 'boolean',
+                section: 'signs',
+                label: 'Recent Trauma',
+                question: 'Has the cat had an injury or accident in the last 48 hours?',
+                summary: 'Injury/Accident within 48 hours',
+                icon: 'fa-bandage',
+                hint: 'Has the cat had an accident in the last 2 days (48 hours)? This covers things like falling from a high place, getting hit by a car, getting stepped on, or being in a fight with another animal.'
+            },
+            cold_limbs: {
+                type: 'boolean',
+                section: 'signs',
+                label: 'Cold Limbs',
+                question: 'Do the hind legs feel cold to the touch?',
+                summary: 'Hind legs feel cold to touch',
+                icon: 'fa-thermometer-empty',
+                hint: "Touch the cat's back feet (paws). Do they feel significantly colder than the rest of the cat's body? This is a specific check for blood flow issues (like a blood clot) to the hind legs."
+            },
+            neck_flexion: {
+                type: 'boolean',
+                section: 'signs',
+                label: 'Neck Flexion',
+                question: 'Is the neck curling downward with the chin tucked to the chest?',
+                summary: 'Neck curling downward',
+                icon: 'fa-arrow-down',
+                hint: 'Is the cat curling its neck downward so its chin is tucked near its chest? It might look like they are staring at their own toes and seem unable or weak when trying to lift their head up.'
+            },
+            ear_issues: {
+                type: 'boolean',
+                section: 'signs',
+                label: 'Ear Issues',
+                question: 'Are there ear problems (discharge, odor, scratching)?',
+                summary: 'Discharge/Odor/Scratching',
+                icon: 'fa-ear-listen',
+                hint: 'Check the ears for obvious signs of infection. Is there a bad smell, fluid/gunk coming out, or is the cat furiously scratching at its ears or shaking its head constantly?'
+            },
+            limbs_affected: {
+                type: 'multiselect',
+                section: 'mobility',
+                label: 'Limbs Affected',
+                question: 'Which legs are weak, unsteady or not used?',
+                factPrefix: 'limb',
+                hint: 'Which legs are weak, unsteady or not used? Leave all unticked if no single leg stands out.',
+                options: { front_left: 'Front left', front_right: 'Front right', hind_left: 'Hind left', hind_right: 'Hind right' }
+            },
+            seizure_frequency: {
+                type: 'select',
+                section: 'seizures',
+                label: 'Seizure Frequency',
+                question: 'How often have the seizures happened?',
+                factPrefix: 'seizure_frequency',
+                placeholder: 'Not applicable / unknown',
+                hint: 'How often have the seizures happened? Clusters (several in one day) and seizures that do not stop are emergencies.',
+                optionLabels: {
+                    single: 'Single episode',
+                    cluster: 'Cluster (2+ within 24 hours)',
+                    continuous: 'Continuous (over 5 minutes)'
+                }
+            },
+            temperature: {
+                type: 'number',
+                section: 'vitals',
+                label: 'Rectal Temperature',
+                question: 'What is the rectal temperature?',
+                unit: '°C',
+                min: 30,
+                max: 43,
+                step: 0.1,
+                hint: 'Normal for a cat is 37.8-39.2 °C.',
+                ranges: {
+                    low: { max: 37.8, label: 'Hypothermic (below 37.8 °C)' },
+                    normal: { min: 37.8, max: 39.3, label: 'Normal (37.8-39.2 °C)' },
+                    high: { min: 39.3, label: 'Fever (39.3 °C and above)' }
+                }
+            },
+            heart_rate: {
+                type: 'number',
+                section: 'vitals',
+                label: 'Heart Rate',
+                question: 'What is the resting heart rate?',
+                unit: 'bpm',
+                min: 40,
+                max: 350,
+                step: 1,
+                hint: 'Beats per minute at rest; normal for a cat in the clinic is 140-220.',
+                ranges: {
+                    low: { max: 140, label: 'Bradycardia (below 140 bpm)' },
+                    normal: { min: 140, max: 221, label: 'Normal (140-220 bpm)' },
+                    high: { min: 221, label: 'Tachycardia (above 220 bpm)' }
+                }
+            },
+            blood_glucose: {
+                type: 'number',
+                section: 'vitals',
+                label: 'Blood Glucose',
+                question: 'What is the blood glucose?',
+                unit: 'mg/dL',
+                min: 10,
+                max: 800,
+                step: 1,
+                hint: 'From a glucometer or blood panel. Stress alone can raise it in cats.',
+                ranges: {
+                    low: { max: 60, label: 'Hypoglycemia (below 60 mg/dL)' },
+                    normal: { min: 60, max: 181, label: 'Normal (60-180 mg/dL)' },
+                    high: { min: 181, label: 'Hyperglycemia (above 180 mg/dL)' }
+                }
+            },
+            calcium: {
+                type: 'number',
+                section: 'vitals',
+                label: 'Total Calcium',
+                question: 'What is the total serum calcium?',
+                unit: 'mg/dL',
+                min: 2,
+                max: 20,
+                step: 0.1,
+                hint: 'Total serum calcium from a blood panel.',
+                ranges: {
+                    low: { max: 8, label: 'Hypocalcemia (below 8.0 mg/dL)' },
+                    normal: { min: 8, max: 11, label: 'Normal (8.0-10.9 mg/dL)' },
+                    high: { min: 11, label: 'Hypercalcemia (11.0 mg/dL and above)' }
+                }
+            },
+            vaccination_status: {
+                type: 'select',
+                section: 'history',
+                label: 'Vaccination Status',
+                question: "Are the cat's vaccinations up to date?",
+                factPrefix: 'vaccination',
+                placeholder: 'Unknown',
+                hint: 'Unvaccinated cats are at higher risk of infectious causes such as rabies.',
+                optionLabels: { up_to_date: 'Up to date', overdue: 'Boosters overdue', unvaccinated: 'Never vaccinated' }
+            },
+            outdoor_access: {
+                type: 'select',
+                section: 'history',
+                label: 'Outdoor Access',
+                question: 'Does the cat go outdoors?',
+                factPrefix: 'lifestyle',
+                placeholder: 'Unknown',
+                hint: 'Outdoor cats are more exposed to trauma, toxins, ticks and infections such as toxoplasmosis.',
+                optionLabels: { indoor: 'Indoor only', outdoor: 'Goes outdoors' }
+            }
         }
     }
 };
@@ -0,0 +1,236 @@
+/**
+ * IndexedDB persistence for diagnosis runs. Every run is stored with its inputs,
+ * the full diagnosis result and the version of the rule base that produced it.
+ */
+
+const DIAGNOSIS_DB_NAME = 'FelineNeuroDiagnosisDB';
+
+// Schema migrations keyed by the version they upgrade to. Bump the version by
+// adding an entry; onupgradeneeded runs every step above the stored version.
+const DIAGNOSIS_DB_MIGRATIONS = {
+    1: (db) => {
+        const diagnoses = db.createObjectStore('diagnoses', { keyPath: 'id', autoIncrement: true });
+        diagnoses.createIndex('timestamp', 'timestamp');
+        diagnoses.createIndex('ruleId', 'ruleId');
+        diagnoses.createIndex('urgency', 'urgency');
+    },
+    2: (db, transaction) => {
+        const patients = db.createObjectStore('patients', { keyPath: 'id', autoIncrement: true });
+        patients.createIndex('name', 'name');
+        transaction.objectStore('diagnoses').createIndex('patientId', 'patientId');
+    }
+};
+
+const DIAGNOSIS_DB_VERSION = Math.max(...Object.keys(DIAGNOSIS_DB_MIGRATIONS).map(Number));
+
+class FelineNeuroDiagnosisDB {
+    constructor(name = DIAGNOSIS_DB_NAME) {
+        this.name = name;
+        this.db = null;
+    }
+
+    /**
+     * Open the database, running any pending migrations
+     */
+    init() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available in this environment'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, DIAGNOSIS_DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const transaction = request.transaction;
+                for (let version = event.oldVersion + 1; version <= DIAGNOSIS_DB_VERSION; version++) {
+                    console.log(`💾 Migrating ${this.name} to schema version ${version}`);
+                    DIAGNOSIS_DB_MIGRATIONS[version](db, transaction);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgrading the schema needs this connection closed
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    console.warn('⚠️ Database schema changed in another tab, connection closed');
+                };
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('⚠️ Database upgrade blocked by another open tab');
+        });
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    getStore(storeName, mode = 'readonly') {
+        if (!this.db) {
+            throw new Error('Database not initialized');
+        }
+        return this.db.transaction(storeName, mode).objectStore(storeName);
+    }
+
+    /**
+     * Store one diagnosis run. Returns the new record id.
+     */
+    storeDiagnosis(diagnosis, inputs, ruleBaseVersion = null) {
+        const record = {
+            timestamp: diagnosis.timestamp || new Date().toISOString(),
+            ruleId: diagnosis.ruleId,
+            diagnosis: diagnosis.diagnosis,
+            urgency: diagnosis.urgency,
+            confidence: diagnosis.confidence,
+            patientId: diagnosis.patientId || null,
+            ruleBaseVersion,
+            inputs: { ...inputs },
+            result: diagnosis
+        };
+        return this.promisify(this.getStore('diagnoses', 'readwrite').add(record));
+    }
+
+    /**
+     * Add AI chat guardrail interventions to a stored run's chatInterventions.
+     * Resolves to false if the record no longer exists.
+     */
+    appendChatInterventions(id, interventions) {
+        return new Promise((resolve, reject) => {
+            const store = this.getStore('diagnoses', 'readwrite');
+            const request = store.get(id);
+            request.onsuccess = () => {
+                const record = request.result;
+                if (!record) {
+                    resolve(false);
+                    return;
+                }
+                record.chatInterventions = [...(record.chatInterventions || []), ...interventions];
+                this.promisify(store.put(record)).then(() => resolve(true), reject);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    getDiagnosis(id) {
+        return this.promisify(this.getStore('diagnoses').get(id));
+    }
+
+    /**
+     * Newest first. offset skips that many matching records, so page n of size
+     * limit is getDiagnosisHistory(limit, n * limit, filters).
+     * filters: { urgency, ruleId, from, to } with from/to as ISO timestamps
+     * (from inclusive, to exclusive).
+     */
+    getDiagnosisHistory(limit = 50, offset = 0, filters = {}) {
+        const index = this.getStore('diagnoses').index('timestamp');
+
+        return new Promise((resolve, reject) => {
+            const records = [];
+            let skipped = 0;
+            const request = index.openCursor(this.getTimestampRange(filters.from, filters.to), 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || records.length >= limit) {
+                    resolve(records);
+                    return;
+                }
+                const record = cursor.value;
+                if ((!filters.urgency || record.urgency === filters.urgency) &&
+                    (!filters.ruleId || record.ruleId === filters.ruleId)) {
+                    if (skipped < offset) skipped++;
+                    else records.push(record);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    getTimestampRange(from, to) {
+        if (from && to) return IDBKeyRange.bound(from, to, false, true);
+        if (from) return IDBKeyRange.lowerBound(from);
+        if (to) return IDBKeyRange.upperBound(to, true);
+        return null;
+    }
+
+    /**
+     * A patient's diagnoses, oldest first
+     */
+    async getPatientDiagnoses(patientId) {
+        const records = await this.promisify(this.getStore('diagnoses').index('patientId').getAll(patientId));
+        return records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    countDiagnoses() {
+        return this.promisify(this.getStore('diagnoses').count());
+    }
+
+    /**
+     * byRule counts winning rules, firedByRule every diagnostic rule that fired
+     * (the differential), urgencyOverTime urgency counts per UTC day
+     */
+    async getAnalytics() {
+        const records = await this.promisify(this.getStore('diagnoses').index('timestamp').getAll());
+        const byRule = {};
+        const firedByRule = {};
+        const byUrgency = {};
+        const byDay = new Map();
+
+        records.forEach(record => {
+            byRule[record.ruleId] = (byRule[record.ruleId] || 0) + 1;
+            byUrgency[record.urgency] = (byUrgency[record.urgency] || 0) + 1;
+            ((record.result && record.result.differential) || []).forEach(entry => {
+                firedByRule[entry.ruleId] = (firedByRule[entry.ruleId] || 0) + 1;
+            });
+
+            const day = record.timestamp.slice(0, 10);
+            const counts = byDay.get(day) || {};
+            counts[record.urgency] = (counts[record.urgency] || 0) + 1;
+            byDay.set(day, counts);
+        });
+
+        return {
+            totalDiagnoses: records.length,
+            byRule,
+            firedByRule,
+            byUrgency,
+            urgencyOverTime: Array.from(byDay, ([date, counts]) => ({ date, counts })),
+            undeterminedRate: records.length > 0 ? (byRule.UNDETERMINED || 0) / records.length : 0,
+            firstDiagnosis: records.length > 0 ? records[0].timestamp : null,
+            lastDiagnosis: records.length > 0 ? records[records.length - 1].timestamp : null
+        };
+    }
+
+    savePatient(patient) {
+        return this.promisify(this.getStore('patients', 'readwrite').put(patient));
+    }
+
+    getPatient(id) {
+        return this.promisify(this.getStore('patients').get(id));
+    }
+
+    getPatients() {
+        return this.promisify(this.getStore('patients').getAll());
+    }
+
+    deleteDiagnosis(id) {
+        return this.promisify(this.getStore('diagnoses', 'readwrite').delete(id));
+    }
+
+    clearHistory() {
+        return this.promisify(this.getStore('diagnoses', 'readwrite').clear());
+    }
+}
+
+// Export for use in other files
+window.FelineNeuroDiagnosisDB = FelineNeuroDiagnosisDB;
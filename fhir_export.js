@@ -0,0 +1,296 @@
+/**
+ * FHIR-like interoperability: maps a diagnosis result onto a collection Bundle of
+ * Patient, Observation (one per input fact), Condition (the concluded rule) and
+ * ServiceRequest (next steps, urgency as priority) resources, and reads such a
+ * bundle back into form inputs.
+ */
+
+const FHIR_SYSTEMS = {
+    finding: 'urn:feline-neuro:fhir:finding',
+    rule: 'urn:feline-neuro:fhir:diagnostic-rule',
+    certainty: 'urn:feline-neuro:fhir:certainty',
+    ruleBaseVersion: 'urn:feline-neuro:fhir:rule-base-version',
+    patientAnimal: 'http://hl7.org/fhir/StructureDefinition/patient-animal',
+    observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+    conditionClinical: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+    conditionVerification: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+    loinc: 'http://loinc.org',
+    ucum: 'http://unitsofmeasure.org'
+};
+
+// urgencyLevels key -> FHIR request priority
+const FHIR_URGENCY_PRIORITIES = {
+    EMERGENCY: 'stat',
+    HIGH: 'asap',
+    MODERATE: 'urgent',
+    LOW: 'routine'
+};
+
+const BODY_WEIGHT_LOINC = '29463-7';
+
+class FelineNeuroFHIRMapper {
+    constructor(engine) {
+        this.engine = engine;
+    }
+
+    toBundle(diagnosis, inputs, patient = null) {
+        if (!diagnosis || !inputs) {
+            throw new Error('No diagnosis to export; run a diagnosis first');
+        }
+
+        const timestamp = diagnosis.timestamp || new Date().toISOString();
+        const ruleBaseVersion = this.engine.getRuleBaseVersion();
+        const subject = patient ? { reference: 'Patient/patient' } : undefined;
+        const resources = [];
+
+        if (patient) {
+            resources.push(this.patientToResource(patient));
+            if (patient.weightKg) {
+                resources.push({
+                    resourceType: 'Observation',
+                    id: 'body-weight',
+                    status: 'final',
+                    category: [this.observationCategory('vital-signs')],
+                    code: { coding: [{ system: FHIR_SYSTEMS.loinc, code: BODY_WEIGHT_LOINC, display: 'Body weight' }] },
+                    subject,
+                    effectiveDateTime: timestamp,
+                    valueQuantity: { value: patient.weightKg, unit: 'kg', system: FHIR_SYSTEMS.ucum, code: 'kg' }
+                });
+            }
+        }
+
+        const facts = this.engine.convertInputsToFacts(inputs);
+        const certainties = this.engine.convertInputsToCertainties(inputs, facts);
+        facts.forEach(fact => resources.push(this.factToObservation(fact, certainties.get(fact), subject, timestamp, inputs)));
+
+        const condition = this.diagnosisToCondition(diagnosis, facts, subject, timestamp);
+        resources.push(condition);
+        resources.push({
+            resourceType: 'ServiceRequest',
+            id: 'next-steps',
+            status: 'active',
+            intent: 'proposal',
+            priority: FHIR_URGENCY_PRIORITIES[diagnosis.urgency] || 'routine',
+            code: { text: `Work-up for ${diagnosis.diagnosis}` },
+            subject,
+            authoredOn: timestamp,
+            reasonReference: [{ reference: 'Condition/diagnosis' }],
+            note: (diagnosis.nextSteps || []).map(step => ({ text: step }))
+        });
+
+        return {
+            resourceType: 'Bundle',
+            type: 'collection',
+            timestamp,
+            meta: {
+                tag: [{ system: FHIR_SYSTEMS.ruleBaseVersion, code: ruleBaseVersion.version, display: ruleBaseVersion.fingerprint }]
+            },
+            entry: resources.map(resource => ({ resource: this.prune(resource) }))
+        };
+    }
+
+    patientToResource(patient) {
+        const [gender, genderStatus] = {
+            female: ['female', 'intact'],
+            female_spayed: ['female', 'neutered'],
+            male: ['male', 'intact'],
+            male_neutered: ['male', 'neutered']
+        }[patient.sex] || ['unknown', null];
+
+        return {
+            resourceType: 'Patient',
+            id: 'patient',
+            name: [{ text: patient.name }],
+            gender,
+            birthDate: patient.dateOfBirth,
+            extension: [{
+                url: FHIR_SYSTEMS.patientAnimal,
+                extension: [
+                    { url: 'species', valueCodeableConcept: { text: 'Cat' } },
+                    patient.breed ? { url: 'breed', valueCodeableConcept: { text: patient.breed } } : null,
+                    genderStatus ? { url: 'genderStatus', valueCodeableConcept: { coding: [{ code: genderStatus }] } } : null
+                ].filter(Boolean)
+            }]
+        };
+    }
+
+    /**
+     * A measurement keeps its value as valueQuantity, with the range it falls in
+     * as the interpretation
+     */
+    factToObservation(fact, certainty, subject, timestamp, inputs = {}) {
+        const { field, value } = this.engine.getInputFactIndex().get(fact);
+        const definition = this.engine.getFieldDefinition(field);
+        const valueCoding = { system: `${FHIR_SYSTEMS.finding}:${field}`, code: value };
+        const observation = {
+            resourceType: 'Observation',
+            id: `finding-${fact}`,
+            status: 'final',
+            category: [this.observationCategory('exam')],
+            code: {
+                coding: [{
+                    system: FHIR_SYSTEMS.finding,
+                    code: fact,
+                    display: typeof value === 'boolean'
+                        ? `${field.replace(/_/g, ' ')} ${value ? 'present' : 'absent'}`
+                        : this.engine.describeFieldValue(field, value)
+                }],
+                text: field.replace(/_/g, ' ')
+            },
+            subject,
+            effectiveDateTime: timestamp
+        };
+
+        if (typeof value === 'boolean') {
+            observation.valueBoolean = value;
+        } else if (definition.type === 'number') {
+            observation.valueQuantity = { value: inputs[field], unit: definition.unit };
+            observation.interpretation = [{ coding: [valueCoding] }];
+        } else {
+            observation.valueCodeableConcept = { coding: [valueCoding] };
+        }
+        if (certainty !== undefined && certainty < 1) {
+            observation.extension = [{ url: FHIR_SYSTEMS.certainty, valueDecimal: certainty }];
+        }
+        return observation;
+    }
+
+    diagnosisToCondition(diagnosis, facts, subject, timestamp) {
+        // Evidence is the input findings the winning rule actually matched
+        const winner = (diagnosis.differential || []).find(entry => entry.ruleId === diagnosis.ruleId);
+        const evidence = winner ? winner.supportingPremises.filter(fact => facts.has(fact)) : [];
+
+        return {
+            resourceType: 'Condition',
+            id: 'diagnosis',
+            clinicalStatus: { coding: [{ system: FHIR_SYSTEMS.conditionClinical, code: 'active' }] },
+            // An expert system suggestion, never a confirmed diagnosis
+            verificationStatus: { coding: [{ system: FHIR_SYSTEMS.conditionVerification, code: 'provisional' }] },
+            code: {
+                coding: [{ system: FHIR_SYSTEMS.rule, code: diagnosis.ruleId, display: diagnosis.diagnosis }],
+                text: diagnosis.diagnosis
+            },
+            subject,
+            recordedDate: timestamp,
+            evidence: evidence.length > 0
+                ? [{ detail: evidence.map(fact => ({ reference: `Observation/finding-${fact}` })) }]
+                : undefined,
+            note: [{ text: diagnosis.description }],
+            extension: [{ url: FHIR_SYSTEMS.certainty, valueDecimal: diagnosis.confidence }]
+        };
+    }
+
+    observationCategory(code) {
+        return { coding: [{ system: FHIR_SYSTEMS.observationCategory, code }] };
+    }
+
+    /**
+     * Drop undefined properties so the bundle serializes without empty keys
+     */
+    prune(resource) {
+        return JSON.parse(JSON.stringify(resource));
+    }
+
+    /**
+     * Read a bundle back into { inputs, patient, ruleId, diagnosis }. Findings are
+     * recognized by their finding code, so resources from other systems are ignored.
+     * Text comes back verbatim and must be escaped wherever it is rendered;
+     * measurements and certainties that are not numbers are dropped.
+     */
+    fromBundle(bundle) {
+        if (typeof bundle === 'string') {
+            try {
+                bundle = JSON.parse(bundle);
+            } catch (error) {
+                throw new Error(`Bundle is not valid JSON: ${error.message}`);
+            }
+        }
+        if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+            throw new Error('Not a FHIR Bundle');
+        }
+
+        const index = this.engine.getInputFactIndex();
+        const resources = bundle.entry.map(entry => entry.resource).filter(Boolean);
+        const inputs = {};
+        const certainties = {};
+        let weightKg = null;
+
+        resources.filter(resource => resource.resourceType === 'Observation').forEach(observation => {
+            const codings = (observation.code && observation.code.coding) || [];
+            if (codings.some(coding => coding.system === FHIR_SYSTEMS.loinc && coding.code === BODY_WEIGHT_LOINC)) {
+                weightKg = this.quantityValue(observation);
+                return;
+            }
+
+            const finding = codings.find(coding => coding.system === FHIR_SYSTEMS.finding && index.has(coding.code));
+            if (!finding) return;
+
+            const { field, value } = index.get(finding.code);
+            const definition = this.engine.getFieldDefinition(field);
+            if (definition.type === 'number') {
+                inputs[field] = this.quantityValue(observation);
+            } else if (definition.type === 'multiselect') {
+                inputs[field] = [...(inputs[field] || []), value];
+            } else {
+                inputs[field] = value;
+            }
+            const certainty = (observation.extension || []).find(extension => extension.url === FHIR_SYSTEMS.certainty);
+            if (certainty && Number.isFinite(certainty.valueDecimal)) certainties[field] = certainty.valueDecimal;
+        });
+
+        if (Object.keys(inputs).length === 0) {
+            throw new Error('Bundle contains no recognized findings');
+        }
+        if (Object.keys(certainties).length > 0) {
+            inputs.certainties = certainties;
+        }
+
+        const condition = resources.find(resource => resource.resourceType === 'Condition');
+        const ruleCoding = condition && condition.code && (condition.code.coding || []).find(coding => coding.system === FHIR_SYSTEMS.rule);
+        const patientResource = resources.find(resource => resource.resourceType === 'Patient');
+
+        return {
+            inputs,
+            patient: patientResource ? this.resourceToPatient(patientResource, weightKg) : null,
+            ruleId: ruleCoding ? this.text(ruleCoding.code) : null,
+            diagnosis: ruleCoding ? this.text(ruleCoding.display) : null
+        };
+    }
+
+    quantityValue(observation) {
+        const value = observation.valueQuantity ? observation.valueQuantity.value : null;
+        return Number.isFinite(value) ? value : null;
+    }
+
+    text(value) {
+        return typeof value === 'string' ? value : '';
+    }
+
+    resourceToPatient(resource, weightKg) {
+        const animal = (resource.extension || []).find(extension => extension.url === FHIR_SYSTEMS.patientAnimal);
+        const part = url => animal && (animal.extension || []).find(extension => extension.url === url);
+        const breed = part('breed');
+        const genderStatus = part('genderStatus');
+        const neutered = Boolean(genderStatus && (genderStatus.valueCodeableConcept.coding || []).some(coding => coding.code === 'neutered'));
+
+        let sex = 'unknown';
+        if (resource.gender === 'female') sex = neutered ? 'female_spayed' : 'female';
+        if (resource.gender === 'male') sex = neutered ? 'male_neutered' : 'male';
+
+        return {
+            name: resource.name && resource.name[0] ? this.text(resource.name[0].text) : '',
+            breed: breed && breed.valueCodeableConcept ? this.text(breed.valueCodeableConcept.text) : '',
+            sex,
+            dateOfBirth: this.text(resource.birthDate),
+            weightKg
+        };
+    }
+}
+
+// Export for use in other files: a browser global, or module.exports under Node
+if (typeof window !== 'undefined') {
+    window.FelineNeuroFHIRMapper = FelineNeuroFHIRMapper;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FelineNeuroFHIRMapper;
+}
@@ -15,30 +15,139 @@
  *      
  */
 
+// Input model of a knowledge base without an inputSchema (packs exported before
+// it existed): every inputDescriptions field is a required select, plus these signs
+const INPUT_FACT_PREFIXES = {
+    age_group: 'age',
+    onset_speed: 'onset',
+    mobility_status: 'mobility',
+    seizures: 'seizures'
+};
+
+const BOOLEAN_INPUT_FIELDS = ['eye_signs', 'pain_signs', 'head_tilt', 'recent_trauma', 'cold_limbs', 'neck_flexion', 'ear_issues'];
+
+const INPUT_FIELD_TYPES = ['select', 'boolean', 'number', 'multiselect'];
+
+// Conflict resolution strategies for choosing between fired diagnostic rules.
+// compare() sorts candidates winner-first; ties always fall back to priority order.
+const CONFLICT_RESOLUTION_STRATEGIES = {
+    priority: {
+        label: 'Priority order',
+        compare: (a, b) => a.priority - b.priority
+    },
+    specificity: {
+        label: 'Specificity (most matched premises wins)',
+        compare: (a, b) => b.specificity - a.specificity
+    },
+    recency: {
+        label: 'Recency (most recently derived facts win)',
+        compare: (a, b) => b.recency - a.recency
+    },
+    confidence: {
+        label: 'Highest confidence',
+        compare: (a, b) => b.confidence - a.confidence
+    },
+    urgency: {
+        label: 'Urgency first',
+        compare: (a, b) => b.urgencyRank - a.urgencyRank
+    }
+};
+
+const DEFAULT_CONFLICT_RESOLUTION = 'priority';
+
+// MYCIN convention: a rule only fires when its premise certainty exceeds this
+const CERTAINTY_THRESHOLD = 0.2;
+
 class FelineNeuroForwardChainingEngine {
     constructor(data) {
-        this.data = data;
+        // Knowledge base the user rule set (if any) is added to; this.data is the merged view
+        this.baseData = this.prepareKnowledgeBase(data);
+        this.data = this.baseData;
+        this.inputSchema = this.buildInputSchema(this.baseData);
+        this.userRules = [];
         this.lastDiagnosis = null;
+        this.lastInputs = null;
         this.database = null;
+        this.conflictResolutionStrategies = { ...CONFLICT_RESOLUTION_STRATEGIES };
         
-        // Initialize database
-        this.initDatabase();
+        // Database calls await this before touching the connection
+        this.ready = this.initDatabase();
         
         // Convert priority rules to forward chaining rules
-        this.forwardChainingRules = this.convertToForwardChainingRules(data.diagnosticRules);
+        this.forwardChainingRules = this.convertToForwardChainingRules(this.data.diagnosticRules);
         
         console.log('🧠 Feline Neuro Forward Chaining Engine initialized');
         console.log(`📋 Loaded ${this.forwardChainingRules.length} forward chaining rules`);
     }
 
+    /**
+     * Replace the user rule set loaded alongside the built-in diagnosticRules.
+     * User rules are plain JSON without condition(), so their priority waterfall
+     * predicate is evaluated from the conditionTree.
+     */
+    setUserRules(rules) {
+        this.userRules = rules.map(rule => ({ ...this.withTreeCondition(rule), isUserRule: true }));
+        this.data = {
+            ...this.baseData,
+            diagnosticRules: [...this.baseData.diagnosticRules, ...this.userRules].sort((a, b) => a.priority - b.priority)
+        };
+        this.forwardChainingRules = this.convertToForwardChainingRules(this.data.diagnosticRules);
+        console.log(`📝 Loaded ${this.userRules.length} user rules (${this.forwardChainingRules.length} forward chaining rules)`);
+    }
+
+    /**
+     * Switch to another knowledge base at runtime, e.g. a loaded pack. The user
+     * rule set stays on top of it; callers re-validate it against the new base.
+     */
+    loadKnowledgeBase(data) {
+        this.baseData = this.prepareKnowledgeBase(data);
+        this.inputSchema = this.buildInputSchema(this.baseData);
+        this.inputFactIndex = null;
+        this.setUserRules(this.userRules);
+        const version = this.getRuleBaseVersion();
+        console.log(`📚 Knowledge base ${version.pack}@${version.version} loaded`);
+    }
+
+    /**
+     * Rules loaded from JSON (packs) only have a conditionTree
+     */
+    prepareKnowledgeBase(data) {
+        if (data.diagnosticRules.every(rule => typeof rule.condition === 'function')) {
+            return data;
+        }
+        return {
+            ...data,
+            diagnosticRules: data.diagnosticRules.map(rule => typeof rule.condition === 'function' ? rule : this.withTreeCondition(rule))
+        };
+    }
+
+    withTreeCondition(rule) {
+        return {
+            ...rule,
+            condition: inputs => this.evaluateConditionTree(rule.conditionTree, inputs)
+        };
+    }
+
+    /**
+     * A condition tree evaluated directly against form inputs, the waterfall
+     * counterpart of compileConditionTree
+     */
+    evaluateConditionTree(node, inputs) {
+        if (node.not) return !this.evaluateConditionTree(node.not, inputs);
+        if (node.all) return node.all.every(child => this.evaluateConditionTree(child, inputs));
+        if (node.any) return node.any.some(child => this.evaluateConditionTree(child, inputs));
+        return this.inputMatches(node.field, inputs[node.field], node.equals);
+    }
+
     /**
      * Initialize database connection
      */
     async initDatabase() {
         try {
             if (typeof FelineNeuroDiagnosisDB !== 'undefined') {
-                this.database = new FelineNeuroDiagnosisDB();
-                await this.database.init();
+                const database = new FelineNeuroDiagnosisDB();
+                await database.init();
+                this.database = database;
                 console.log('💾 Database integration enabled');
             }
         } catch (error) {
@@ -126,7 +235,7 @@ class FelineNeuroForwardChainingEngine {
                 id: 'SENIOR_RISK_FACTORS',
                 name: 'Senior Risk Factors',
                 conditions: ['age_senior'],
-                conclusions: ['increased_tumor_risk', 'degenerative_risk'],
+                conclusions: ['senior_risk', 'increased_tumor_risk', 'degenerative_risk'],
                 confidence: 0.7
             },
             
@@ -134,15 +243,7 @@ class FelineNeuroForwardChainingEngine {
                 id: 'KITTEN_RISK_FACTORS',
                 name: 'Kitten Risk Factors',
                 conditions: ['age_kitten'],
-                conclusions: ['metabolic_vulnerability', 'developmental_risk', 'age_young_or_adult'],
-                confidence: 0.8
-            },
-            
-            {
-                id: 'ADULT_RISK_FACTORS',
-                name: 'Adult Risk Factors',
-                conditions: ['age_adult'],
-                conclusions: ['age_young_or_adult'],
+                conclusions: ['kitten_risk', 'metabolic_vulnerability', 'developmental_risk'],
                 confidence: 0.8
             },
             
@@ -164,67 +265,425 @@ class FelineNeuroForwardChainingEngine {
             }
         );
 
+        // Findings an intermediate rule draws from a single answer, e.g. mobility_paralyzed -> has_paralysis
+        this.chainedFindings = new Map(forwardRules
+            .filter(rule => rule.conditions.length === 1)
+            .map(rule => [rule.conditions[0], rule.conclusions[0]]));
+
         // Convert original diagnostic rules to forward chaining format
         priorityRules.forEach(rule => {
             const forwardRule = {
                 id: rule.id,
                 name: rule.name,
-                conditions: this.extractConditionsFromRule(rule),
+                premise: this.chainPremise(this.extractConditionsFromRule(rule)),
+                conditionSource: rule.conditionTree ? 'tree' : 'legacy',
                 conclusions: [`diagnosis_${rule.id.toLowerCase()}`],
-                confidence: this.calculateRuleConfidence(rule),
+                // Rule strength; the diagnosis certainty comes from the premises it rests on
+                confidence: typeof rule.certainty === 'number' ? rule.certainty : 1,
                 originalRule: rule,
                 isDiagnosticRule: true
             };
+            // An unconditional rule (UNDETERMINED) only wins when nothing else fired
+            forwardRule.isFallback = this.countPremises(forwardRule.premise) === 0;
             forwardRules.push(forwardRule);
         });
 
         return forwardRules;
     }
 
+    /**
+     * Match a premise's answers through the findings drawn from them, so the
+     * intermediate rule's strength carries into the diagnosis certainty. A NOT
+     * stays on the answer itself.
+     */
+    chainPremise(premise) {
+        if (typeof premise === 'string') return this.chainedFindings.get(premise) || premise;
+        if (premise.not) return premise;
+        if (premise.all) return { all: premise.all.map(child => this.chainPremise(child)) };
+        return { any: premise.any.map(child => this.chainPremise(child)) };
+    }
+
+    /**
+     * Compile a diagnostic rule into a forward chaining premise. Rules without a
+     * conditionTree fall back to parsing the condition() source, which is only
+     * trusted after checking it against condition().
+     */
     extractConditionsFromRule(rule) {
-        const conditions = [];
+        if (rule.conditionTree) {
+            return this.compileConditionTree(rule.conditionTree);
+        }
+
+        const premise = this.compileConditionTree(this.parseLegacyCondition(rule));
+        const mismatches = this.validateLegacyConditions(rule, premise);
+        if (mismatches.length > 0) {
+            console.warn(`⚠️ Rule ${rule.id}: extracted premises disagree with condition() for ${mismatches.length} input combinations, e.g.`, mismatches[0]);
+        }
+        return premise;
+    }
+
+    /**
+     * Compile a condition tree into a premise over working memory facts.
+     * A premise is a fact name, { all: [...] }, { any: [...] } or { not: premise }.
+     */
+    compileConditionTree(node) {
+        if (node.not) return { not: this.compileConditionTree(node.not) };
+        if (node.all) return { all: node.all.map(child => this.compileConditionTree(child)) };
+        if (node.any) return { any: node.any.map(child => this.compileConditionTree(child)) };
+        return this.compileComparison(node);
+    }
+
+    compileComparison(node) {
+        const domain = this.getFieldDomain(node.field);
+        if (!domain) {
+            throw new Error(`Unknown input field in condition tree: ${node.field}`);
+        }
+        if (!domain.includes(node.equals)) {
+            throw new Error(`Invalid value for ${node.field} in condition tree: ${node.equals}`);
+        }
+        return this.inputFact(node.field, node.equals);
+    }
+
+    /**
+     * The knowledge base's inputSchema with defaults filled in. Every field gets
+     * its label, factPrefix, required flag and domain: the values a condition
+     * can test (select values, true/false, range names or multiselect options).
+     */
+    buildInputSchema(data) {
+        const schema = data.inputSchema || this.buildLegacyInputSchema(data);
+        const fields = {};
+
+        Object.entries(schema.fields).forEach(([field, definition]) => {
+            if (!INPUT_FIELD_TYPES.includes(definition.type)) {
+                throw new Error(`Unknown type for input field ${field}: ${definition.type}`);
+            }
+            const domains = {
+                select: () => Object.keys(data.inputDescriptions[field] || {}),
+                boolean: () => [true, false],
+                number: () => Object.keys(definition.ranges || {}),
+                multiselect: () => Object.keys(definition.options || {})
+            };
+            fields[field] = {
+                label: field.replace(/_/g, ' '),
+                factPrefix: field,
+                required: false,
+                ...definition,
+                field,
+                domain: domains[definition.type]()
+            };
+        });
+
+        return { sections: schema.sections || {}, fields };
+    }
+
+    buildLegacyInputSchema(data) {
+        const fields = {};
+        Object.keys(data.inputDescriptions).forEach(field => {
+            fields[field] = { type: 'select', required: true, factPrefix: INPUT_FACT_PREFIXES[field] || field };
+        });
+        BOOLEAN_INPUT_FIELDS.forEach(field => {
+            fields[field] = { type: 'boolean' };
+        });
+        return { sections: {}, fields };
+    }
+
+    getInputSchema() {
+        return this.inputSchema;
+    }
+
+    getFieldDefinition(field) {
+        return this.inputSchema.fields[field] || null;
+    }
+
+    /**
+     * Every input field in schema order
+     */
+    getInputFields() {
+        return Object.keys(this.inputSchema.fields);
+    }
+
+    getBooleanInputFields() {
+        return this.getInputFields().filter(field => this.inputSchema.fields[field].type === 'boolean');
+    }
+
+    /**
+     * Values a condition tree can compare the field with; null for unknown fields
+     */
+    getFieldDomain(field) {
+        const definition = this.getFieldDefinition(field);
+        return definition ? [...definition.domain] : null;
+    }
+
+    /**
+     * Human-readable meaning of a domain value, e.g. temperature 'high' -> 'Fever (39.3 °C and above)'
+     */
+    describeFieldValue(field, value) {
+        const definition = this.getFieldDefinition(field);
+        if (!definition) return String(value);
+        if (definition.type === 'boolean') return value ? 'present' : 'absent';
+        if (definition.type === 'number') return (definition.ranges[value] || {}).label || String(value);
+        if (definition.type === 'multiselect') return definition.options[value] || String(value);
+        return (this.data.inputDescriptions[field] || {})[value] || String(value);
+    }
+
+    isAnswered(value) {
+        return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+    }
+
+    /**
+     * Name of the range a measurement falls in (min inclusive, max exclusive), or null
+     */
+    findRange(definition, value) {
+        if (typeof value !== 'number' || !isFinite(value)) return null;
+        const match = Object.entries(definition.ranges || {}).find(([, range]) =>
+            (range.min === undefined || value >= range.min) && (range.max === undefined || value < range.max)
+        );
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Whether an answer satisfies a { field, equals } comparison: a measurement
+     * in the named range, a multiselect including the option, otherwise equality
+     */
+    inputMatches(field, value, expected) {
+        const definition = this.getFieldDefinition(field);
+        if (definition && definition.type === 'number') return this.findRange(definition, value) === expected;
+        if (definition && definition.type === 'multiselect') return Array.isArray(value) && value.includes(expected);
+        return value === expected;
+    }
+
+    /**
+     * Typed value for an answer given as a form value, flag or CSV cell. Signs
+     * accept yes/no, measurements must lie within the field's min and max and
+     * multiselect answers may be a list or comma separated. Throws when invalid.
+     */
+    parseInputValue(field, value) {
+        const definition = this.getFieldDefinition(field);
+        if (!definition) {
+            throw new Error(`Unknown input field: ${field}`);
+        }
+
+        if (definition.type === 'boolean') {
+            if (typeof value === 'boolean') return value;
+            const normalized = String(value).trim().toLowerCase();
+            if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+            if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+            throw new Error(`Invalid value for ${field}: ${value} (expected true/false)`);
+        }
+
+        if (definition.type === 'number') {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            const inLimits = (definition.min === undefined || number >= definition.min) &&
+                (definition.max === undefined || number <= definition.max);
+            if (String(value).trim() === '' || !isFinite(number) || !inLimits) {
+                const limits = definition.min !== undefined && definition.max !== undefined ? ` from ${definition.min} to ${definition.max}` : '';
+                throw new Error(`Invalid value for ${field}: ${value} (expected a number${limits}${definition.unit ? ` ${definition.unit}` : ''})`);
+            }
+            return number;
+        }
+
+        if (definition.type === 'multiselect') {
+            const selected = Array.isArray(value) ? value : String(value).split(',').map(part => part.trim()).filter(Boolean);
+            const unknown = selected.filter(option => !definition.domain.includes(option));
+            if (unknown.length > 0) {
+                throw new Error(`Invalid value for ${field}: ${unknown.join(', ')} (expected any of ${definition.domain.join(', ')})`);
+            }
+            return Array.from(new Set(selected));
+        }
+
+        if (!definition.domain.includes(value)) {
+            throw new Error(`Invalid value for ${field}: ${value} (expected one of ${definition.domain.join(', ')})`);
+        }
+        return value;
+    }
+
+    /**
+     * Every problem with a set of inputs as { field, message }: required fields
+     * left unanswered and answers parseInputValue rejects
+     */
+    validateInputs(inputs) {
+        const problems = [];
+        Object.values(this.inputSchema.fields).forEach(definition => {
+            const value = inputs[definition.field];
+            if (!this.isAnswered(value)) {
+                if (definition.required) {
+                    problems.push({ field: definition.field, message: `Please select a value for ${definition.label.toLowerCase()}` });
+                }
+                return;
+            }
+            try {
+                this.parseInputValue(definition.field, value);
+            } catch (error) {
+                problems.push({ field: definition.field, message: error.message });
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Fact name for a domain value. Booleans answered "no" become explicit
+     * no_<field> facts, so `no_pain_signs` (known false) is distinct from
+     * `not pain_signs` (absent from working memory, which includes unanswered).
+     */
+    inputFact(field, value) {
+        if (value === true) return field;
+        if (value === false) return `no_${field}`;
+        const definition = this.getFieldDefinition(field);
+        return `${definition ? definition.factPrefix : field}_${value}`;
+    }
+
+    /**
+     * Facts one answer produces: none when unanswered or invalid, the range a
+     * measurement falls in, one per selected multiselect option
+     */
+    getAnswerFacts(field, value) {
+        const definition = this.getFieldDefinition(field);
+        if (!definition) return [];
+
+        if (definition.type === 'boolean') {
+            return typeof value === 'boolean' ? [this.inputFact(field, value)] : [];
+        }
+        if (definition.type === 'number') {
+            const range = this.findRange(definition, value);
+            return range ? [this.inputFact(field, range)] : [];
+        }
+        if (definition.type === 'multiselect') {
+            return Array.isArray(value)
+                ? value.filter(option => definition.domain.includes(option)).map(option => this.inputFact(field, option))
+                : [];
+        }
+        return definition.domain.includes(value) ? [this.inputFact(field, value)] : [];
+    }
+
+    /**
+     * Every { field, equals } comparison in a condition tree
+     */
+    getConditionTreeComparisons(node) {
+        if (node.not) return this.getConditionTreeComparisons(node.not);
+        if (node.all || node.any) return (node.all || node.any).flatMap(child => this.getConditionTreeComparisons(child));
+        return [node];
+    }
+
+    /**
+     * Best-effort condition tree for a rule that only has a condition() function.
+     * Every `inputs.x === / !== literal` comparison is ANDed together; anything
+     * else (OR clauses, other operators) is not understood and will show up in validation.
+     */
+    parseLegacyCondition(rule) {
         const conditionStr = rule.condition.toString();
-        
-        if (conditionStr.includes('recent_trauma === true')) conditions.push('recent_trauma');
-        if (conditionStr.includes('seizures === \'severe\'')) conditions.push('seizures_severe');
-        if (conditionStr.includes('seizures === \'mild\'')) conditions.push('seizures_mild');
-        if (conditionStr.includes('mobility_status === \'paralyzed\'')) conditions.push('mobility_paralyzed');
-        if (conditionStr.includes('mobility_status === \'wobbly\'')) conditions.push('mobility_wobbly');
-        
-        if (conditionStr.includes('mobility_status !== \'normal\'')) {
-            conditions.push('mobility_abnormal');
+        const comparisons = [...conditionStr.matchAll(/inputs\.(\w+)\s*(===|!==)\s*(true|false|'[^']*')/g)];
+
+        return {
+            all: comparisons.map(([, field, operator, literal]) => {
+                const value = literal.startsWith('\'') ? literal.slice(1, -1) : literal === 'true';
+                const comparison = { field, equals: value };
+                return operator === '!==' ? { not: comparison } : comparison;
+            })
+        };
+    }
+
+    /**
+     * Compare a compiled premise against condition() over every possible input.
+     * Returns the inputs on which they disagree.
+     */
+    validateLegacyConditions(rule, premise) {
+        return this.enumerateInputSpace().filter(inputs => {
+            const facts = this.convertInputsToFacts(inputs);
+            const premiseHolds = this.matchPremise(premise, facts) !== null;
+            return premiseHolds !== Boolean(rule.condition(inputs));
+        });
+    }
+
+    /**
+     * Every combination of the required inputs and the boolean clinical signs.
+     * Optional findings only vary over the values the rules test, since any other
+     * answer adds no fact a rule uses: unanswered, plus one answer per tested
+     * value (a measurement in each tested range, each combination of tested options).
+     * Without rules on them the space stays the size of the core assessment.
+     */
+    enumerateInputSpace(rules = this.data.diagnosticRules) {
+        const tested = new Map();
+        rules.filter(rule => rule.conditionTree).forEach(rule => {
+            this.getConditionTreeComparisons(rule.conditionTree).forEach(({ field, equals }) => {
+                tested.set(field, new Set(tested.get(field)).add(equals));
+            });
+        });
+
+        const fields = Object.values(this.inputSchema.fields)
+            .filter(definition => definition.required || definition.type === 'boolean' || tested.has(definition.field))
+            .map(definition => [definition.field, this.getEnumerationValues(definition, tested.get(definition.field))]);
+
+        return fields.reduce((space, [field, values]) =>
+            space.flatMap(inputs => values.map(value => ({ ...inputs, [field]: value }))),
+            [{}]
+        );
+    }
+
+    getEnumerationValues(definition, testedValues = new Set()) {
+        if (definition.required || definition.type === 'boolean') {
+            return [...definition.domain];
         }
-        
-        if (conditionStr.includes('pain_signs === true')) conditions.push('pain_signs');
-        if (conditionStr.includes('cold_limbs === true')) conditions.push('cold_limbs');
-        if (conditionStr.includes('neck_flexion === true')) conditions.push('neck_flexion');
-        if (conditionStr.includes('eye_signs === true')) conditions.push('eye_signs');
-        if (conditionStr.includes('head_tilt === true')) conditions.push('head_tilt');
-        if (conditionStr.includes('ear_issues === true')) conditions.push('ear_issues');
-        
-        const hasKittenOrAdult = conditionStr.includes('age_group === \'kitten\'') && 
-                                 conditionStr.includes('age_group === \'adult\'') &&
-                                 conditionStr.includes('||');
-        
-        if (hasKittenOrAdult) {
-            conditions.push('age_young_or_adult');
-        } else {
-            if (conditionStr.includes('age_group === \'senior\'')) conditions.push('age_senior');
-            if (conditionStr.includes('age_group === \'kitten\'')) conditions.push('age_kitten');
-            if (conditionStr.includes('age_group === \'adult\'')) conditions.push('age_adult');
+
+        const values = definition.domain.filter(value => testedValues.has(value));
+        if (definition.type === 'number') {
+            return [null, ...values.map(name => this.getRangeValue(definition, name))];
         }
-        
-        if (conditionStr.includes('onset_speed === \'sudden\'')) conditions.push('onset_sudden');
-        if (conditionStr.includes('onset_speed === \'gradual\'')) conditions.push('onset_gradual');
-        
-        return conditions;
+        if (definition.type === 'multiselect') {
+            return this.getOptionSubsets(values);
+        }
+        return [null, ...values];
+    }
+
+    /**
+     * One answer per outcome a field can have, for weighing a question before
+     * it is asked: a measurement in each range, every combination of options
+     */
+    getAnswerValues(field) {
+        const definition = this.getFieldDefinition(field);
+        if (definition.type === 'number') {
+            return definition.domain.map(name => this.getRangeValue(definition, name));
+        }
+        if (definition.type === 'multiselect') {
+            return this.getOptionSubsets(definition.domain);
+        }
+        return [...definition.domain];
+    }
+
+    /**
+     * A measurement that falls in the named range
+     */
+    getRangeValue(definition, name) {
+        const range = definition.ranges[name];
+        if (range.min !== undefined) return range.min;
+        return range.max !== undefined ? range.max - (definition.step || 1) : definition.min || 0;
     }
 
-    calculateRuleConfidence(rule) {
-        if (rule.priority <= 5) return 0.95 - (rule.priority - 1) * 0.01;
-        if (rule.priority <= 15) return 0.9 - (rule.priority - 6) * 0.01;
-        if (rule.priority <= 25) return 0.8 - (rule.priority - 16) * 0.01;
-        return 0.7 - (rule.priority - 26) * 0.02;
+    getOptionSubsets(options) {
+        return options.reduce((subsets, option) => subsets.flatMap(subset => [subset, [...subset, option]]), [[]]);
+    }
+
+    /**
+     * MYCIN combination of two certainty factors concluding the same fact
+     */
+    combineCertainty(cf1, cf2) {
+        if (cf1 >= 0 && cf2 >= 0) return cf1 + cf2 * (1 - cf1);
+        if (cf1 < 0 && cf2 < 0) return cf1 + cf2 * (1 + cf1);
+        return (cf1 + cf2) / (1 - Math.min(Math.abs(cf1), Math.abs(cf2)));
+    }
+
+    roundCertainty(cf) {
+        return Math.round(cf * 1000) / 1000;
+    }
+
+
+    /**
+     * Add or replace a conflict resolution strategy, selectable by name through
+     * runDiagnosis(inputs, { conflictResolution: name })
+     */
+    registerConflictResolutionStrategy(name, strategy) {
+        if (typeof strategy.compare !== 'function') {
+            throw new Error(`Conflict resolution strategy ${name} must provide compare(a, b)`);
+        }
+        this.conflictResolutionStrategies[name] = { label: name, ...strategy };
     }
 
     runDiagnosis(inputs, options = {}) {
@@ -234,15 +693,37 @@ class FelineNeuroForwardChainingEngine {
         const initialFacts = this.convertInputsToFacts(inputs);
         console.log('📋 Initial facts:', initialFacts);
         
-        const inferenceResult = this.forwardChaining(initialFacts);
+        const initialCertainties = this.convertInputsToCertainties(inputs, initialFacts);
+        const inferenceResult = this.forwardChaining(initialFacts, initialCertainties);
         console.log('🧠 Inference complete. Derived facts:', inferenceResult.derivedFacts);
         console.log('🔍 Applied rules:', inferenceResult.appliedRules.map(r => r.name));
         
-        const diagnosis = this.selectBestDiagnosis(inferenceResult, inputs);
+        // A caller that knows the inputs settle nothing (a consultation left open by
+        // unknown answers) passes { undetermined: true } instead of letting closed-world
+        // NOT premises read the missing answers as absent.
+        const diagnosis = options.undetermined
+            ? this.createUndeterminedDiagnosis(inferenceResult, inputs)
+            : this.selectBestDiagnosis(inferenceResult, inputs, options.conflictResolution);
         console.log('✅ Selected diagnosis:', diagnosis.diagnosis);
         
-        this.storeDiagnosisInDatabase(diagnosis, inputs);
+        if (options.verify) {
+            diagnosis.verification = this.checkConsistency(inputs, inferenceResult, diagnosis.ruleId);
+            if (!diagnosis.verification.consistent) {
+                console.warn('⚠️ Forward chaining and the priority waterfall disagree:', diagnosis.verification);
+            }
+        }
+        
+        if (options.patientId) {
+            diagnosis.patientId = options.patientId;
+        }
+        
+        // Callers that need the stored record (e.g. to refresh a case timeline) can await this.
+        // Bulk runs such as batch evaluation pass { persist: false } to keep them out of the history.
+        if (options.persist !== false) {
+            this.lastStoreOperation = this.storeDiagnosisInDatabase(diagnosis, inputs);
+        }
         this.lastDiagnosis = diagnosis;
+        this.lastInputs = inputs;
         
         return diagnosis;
     }
@@ -250,67 +731,84 @@ class FelineNeuroForwardChainingEngine {
     convertInputsToFacts(inputs) {
         const facts = new Set();
         
-        if (inputs.recent_trauma === true) facts.add('recent_trauma');
-        if (inputs.pain_signs === true) facts.add('pain_signs');
-        if (inputs.head_tilt === true) facts.add('head_tilt');
-        if (inputs.cold_limbs === true) facts.add('cold_limbs');
-        if (inputs.neck_flexion === true) facts.add('neck_flexion');
-        if (inputs.ear_issues === true) facts.add('ear_issues');
-        if (inputs.eye_signs === true) facts.add('eye_signs');
-        
-        if (inputs.age_group === 'senior') facts.add('age_senior');
-        if (inputs.age_group === 'kitten') facts.add('age_kitten');
-        if (inputs.age_group === 'adult') facts.add('age_adult');
-        
-        if (inputs.onset_speed === 'sudden') facts.add('onset_sudden');
-        if (inputs.onset_speed === 'gradual') facts.add('onset_gradual');
+        this.getInputFields().forEach(field => {
+            this.getAnswerFacts(field, inputs[field]).forEach(fact => facts.add(fact));
+        });
         
-        if (inputs.mobility_status === 'paralyzed') facts.add('mobility_paralyzed');
-        if (inputs.mobility_status === 'wobbly') facts.add('mobility_wobbly');
-        if (inputs.mobility_status === 'normal') facts.add('mobility_normal');
+        return facts;
+    }
+
+    /**
+     * Certainty of each initial fact. inputs.certainties maps a field to how sure
+     * the observer is of its answer (0-1), e.g. { head_tilt: 0.6 }; unlisted fields are certain.
+     */
+    convertInputsToCertainties(inputs, facts) {
+        const certainties = new Map(Array.from(facts, fact => [fact, 1]));
         
-        if (inputs.seizures === 'severe') facts.add('seizures_severe');
-        if (inputs.seizures === 'mild') facts.add('seizures_mild');
-        if (inputs.seizures === 'none') facts.add('seizures_none');
+        Object.entries(inputs.certainties || {}).forEach(([field, cf]) => {
+            if (typeof cf !== 'number' || !(cf >= 0 && cf <= 1)) {
+                throw new Error(`Certainty for ${field} must be a number between 0 and 1`);
+            }
+            this.getAnswerFacts(field, inputs[field]).forEach(fact => {
+                if (facts.has(fact)) certainties.set(fact, cf);
+            });
+        });
         
-        return facts;
+        return certainties;
     }
 
     /**
      * Forward chaining inference engine
      */
-    forwardChaining(initialFacts) {
+    forwardChaining(initialFacts, initialCertainties = new Map(), options = {}) {
+        // Bulk callers (rule base analysis, batch runs) pass { silent: true }.
+        // The rule editor previews a draft by passing its own { rules } list.
+        const log = options.silent ? () => {} : console.log;
         const workingMemory = new Set(initialFacts);
+        const factCertainties = new Map(Array.from(initialFacts, fact => 
+            [fact, initialCertainties.has(fact) ? initialCertainties.get(fact) : 1]
+        ));
+        // Iteration in which each fact entered working memory (0 = user input)
+        const factIterations = new Map(Array.from(initialFacts, fact => [fact, 0]));
         const appliedRules = [];
         let changed = true;
         let iteration = 0;
         
-        console.log('🔄 Starting forward chaining inference...');
-        console.log('📋 Initial facts:', Array.from(initialFacts));
+        log('🔄 Starting forward chaining inference...');
+        log('📋 Initial facts:', Array.from(initialFacts));
         
         while (changed && iteration < 10) {
             changed = false;
             iteration++;
             
-            console.log(`\n--- Iteration ${iteration} ---`);
-            console.log('Current facts:', Array.from(workingMemory));
+            log(`\n--- Iteration ${iteration} ---`);
+            log('Current facts:', Array.from(workingMemory));
             
-            for (const rule of this.forwardChainingRules) {
-                if (this.ruleConditionsSatisfied(rule, workingMemory)) {
+            for (const rule of options.rules || this.forwardChainingRules) {
+                const matchedPremise = this.ruleConditionsSatisfied(rule, workingMemory, factCertainties);
+                if (matchedPremise) {
                     if (!appliedRules.find(r => r.id === rule.id)) {
-                        console.log(`✅ Applying rule: ${rule.name}`);
+                        const certainty = rule.confidence * matchedPremise.cf;
+                        log(`✅ Applying rule: ${rule.name} (CF ${this.roundCertainty(certainty)})`);
                         
                         let newFactsAdded = false;
                         for (const conclusion of rule.conclusions) {
                             if (!workingMemory.has(conclusion)) {
                                 workingMemory.add(conclusion);
+                                factIterations.set(conclusion, iteration);
+                                factCertainties.set(conclusion, certainty);
                                 newFactsAdded = true;
-                                console.log(`  → New fact: ${conclusion}`);
+                                log(`  → New fact: ${conclusion}`);
+                            } else {
+                                // Another rule already concluded this fact: evidence accumulates
+                                factCertainties.set(conclusion, this.combineCertainty(factCertainties.get(conclusion), certainty));
                             }
                         }
                         
                         appliedRules.push({
                             ...rule,
+                            matchedPremise,
+                            certainty,
                             appliedInIteration: iteration
                         });
                         
@@ -322,22 +820,110 @@ class FelineNeuroForwardChainingEngine {
             }
         }
         
-        console.log(`\n🏁 Forward chaining complete after ${iteration} iterations`);
-        console.log('Final facts:', Array.from(workingMemory));
+        log(`\n🏁 Forward chaining complete after ${iteration} iterations`);
+        log('Final facts:', Array.from(workingMemory));
         
         return {
             derivedFacts: workingMemory,
+            factIterations: factIterations,
+            factCertainties: factCertainties,
             appliedRules: appliedRules,
             iterations: iteration
         };
     }
 
-    ruleConditionsSatisfied(rule, workingMemory) {
-        return rule.conditions.every(condition => workingMemory.has(condition));
+    /**
+     * Returns the matched premise trace when the rule can fire, otherwise null.
+     * Intermediate rules list plain `conditions`, which are a conjunction.
+     */
+    ruleConditionsSatisfied(rule, workingMemory, certainties = null) {
+        const trace = this.matchPremise(rule.premise || { all: rule.conditions }, workingMemory, certainties);
+        return trace && trace.cf > CERTAINTY_THRESHOLD ? trace : null;
+    }
+
+    /**
+     * Match a premise against working memory. NOT is closed-world: the fact is
+     * simply absent. The returned trace carries the premise certainty (min over
+     * AND, strongest branch of OR) and records which branch of each `any` held.
+     */
+    matchPremise(premise, workingMemory, certainties = null) {
+        if (typeof premise === 'string') {
+            if (!workingMemory.has(premise)) return null;
+            return { fact: premise, cf: certainties && certainties.has(premise) ? certainties.get(premise) : 1 };
+        }
+
+        if (premise.not) {
+            return this.matchPremise(premise.not, workingMemory, certainties) === null ? { not: premise.not, cf: 1 } : null;
+        }
+
+        if (premise.all) {
+            const traces = [];
+            for (const child of premise.all) {
+                const trace = this.matchPremise(child, workingMemory, certainties);
+                if (trace === null) return null;
+                traces.push(trace);
+            }
+            return { all: traces, cf: Math.min(1, ...traces.map(trace => trace.cf)) };
+        }
+
+        if (premise.any) {
+            let best = null;
+            premise.any.forEach((child, branch) => {
+                const trace = this.matchPremise(child, workingMemory, certainties);
+                if (trace !== null && (best === null || trace.cf > best.cf)) {
+                    best = { any: premise.any, branch, matched: trace, cf: trace.cf };
+                }
+            });
+            return best;
+        }
+
+        return null;
+    }
+
+    countPremises(premise) {
+        if (typeof premise === 'string') return 1;
+        if (premise.not) return 1;
+        return (premise.all || premise.any).reduce((count, child) => count + this.countPremises(child), 0);
+    }
+
+    /**
+     * Facts a match trace actually relied on (negated facts are absent, so excluded)
+     */
+    collectMatchedFacts(trace) {
+        if (trace.fact) return [trace.fact];
+        if (trace.not) return [];
+        if (trace.all) return trace.all.flatMap(t => this.collectMatchedFacts(t));
+        return this.collectMatchedFacts(trace.matched);
+    }
+
+    /**
+     * Number of premises a match trace satisfied, counting only the taken OR branch
+     */
+    countMatchedPremises(trace) {
+        if (trace.fact || trace.not) return 1;
+        if (trace.all) return trace.all.reduce((count, t) => count + this.countMatchedPremises(t), 0);
+        return this.countMatchedPremises(trace.matched);
+    }
+
+    describePremise(premise) {
+        if (typeof premise === 'string') return premise;
+        if (premise.not) return `NOT ${this.describePremise(premise.not)}`;
+        if (premise.all) return premise.all.length ? premise.all.map(p => this.describePremise(p)).join(' AND ') : '(always)';
+        return `(${premise.any.map(p => this.describePremise(p)).join(' OR ')})`;
     }
 
-    selectBestDiagnosis(inferenceResult, originalInputs) {
-        const { derivedFacts, appliedRules } = inferenceResult;
+    /**
+     * Human readable form of a match trace, naming the branch taken for each OR
+     */
+    describeMatchedPremise(trace) {
+        if (trace.fact) return trace.fact;
+        if (trace.not) return `NOT ${this.describePremise(trace.not)}`;
+        if (trace.all) return trace.all.length ? trace.all.map(t => this.describeMatchedPremise(t)).join(' AND ') : '(always)';
+        return `${this.describeMatchedPremise(trace.matched)} [branch ${trace.branch + 1} of ${this.describePremise({ any: trace.any })}]`;
+    }
+
+    selectBestDiagnosis(inferenceResult, originalInputs, strategyName = DEFAULT_CONFLICT_RESOLUTION) {
+        const { derivedFacts } = inferenceResult;
         
         const diagnosticFacts = Array.from(derivedFacts).filter(fact => 
             fact.startsWith('diagnosis_')
@@ -349,27 +935,61 @@ class FelineNeuroForwardChainingEngine {
             return this.createUndeterminedDiagnosis(inferenceResult, originalInputs);
         }
         
-        let bestDiagnosis = null;
-        let highestConfidence = 0;
+        const resolution = this.resolveConflicts(inferenceResult, strategyName);
+        console.log(`⚖️ Conflict resolution (${resolution.label}):`, resolution.ranked.map(c => c.ruleId));
         
-        for (const diagnosticFact of diagnosticFacts) {
-            const ruleId = diagnosticFact.replace('diagnosis_', '').toUpperCase();
-            const appliedRule = appliedRules.find(r => r.id === ruleId);
-            
-            if (appliedRule && appliedRule.confidence > highestConfidence) {
-                highestConfidence = appliedRule.confidence;
-                bestDiagnosis = appliedRule;
-            }
-        }
-        
-        if (bestDiagnosis && bestDiagnosis.originalRule) {
-            return this.createDiagnosisResult(bestDiagnosis.originalRule, inferenceResult, originalInputs);
+        const [best] = resolution.ranked;
+        if (best) {
+            return this.createDiagnosisResult(best.rule.originalRule, inferenceResult, originalInputs, resolution);
         }
         
         return this.createUndeterminedDiagnosis(inferenceResult, originalInputs);
     }
 
-    createDiagnosisResult(rule, inferenceResult, originalInputs) {
+    /**
+     * Rank every fired diagnostic rule with the named strategy, ties broken by priority
+     */
+    resolveConflicts(inferenceResult, strategyName = DEFAULT_CONFLICT_RESOLUTION) {
+        const strategy = this.conflictResolutionStrategies[strategyName];
+        if (!strategy) {
+            throw new Error(`Unknown conflict resolution strategy: ${strategyName}`);
+        }
+
+        const fired = inferenceResult.appliedRules.filter(r => r.isDiagnosticRule && r.originalRule);
+        const specific = fired.filter(r => !r.isFallback);
+        const candidates = (specific.length > 0 ? specific : fired).map(rule => this.describeCandidate(rule, inferenceResult));
+
+        const ranked = candidates.sort((a, b) =>
+            strategy.compare(a, b) || CONFLICT_RESOLUTION_STRATEGIES.priority.compare(a, b)
+        );
+
+        return {
+            strategy: strategyName,
+            label: strategy.label,
+            ranked
+        };
+    }
+
+    describeCandidate(rule, inferenceResult) {
+        const urgencies = Object.keys(this.data.urgencyLevels);
+        const urgencyIndex = urgencies.indexOf(rule.originalRule.urgency);
+        const matchedFacts = this.collectMatchedFacts(rule.matchedPremise);
+
+        return {
+            rule,
+            ruleId: rule.id,
+            name: rule.name,
+            priority: rule.originalRule.priority,
+            urgency: rule.originalRule.urgency,
+            // An urgency the knowledge base does not list ranks lowest
+            urgencyRank: urgencyIndex === -1 ? 0 : urgencies.length - urgencyIndex,
+            confidence: rule.certainty,
+            specificity: this.countMatchedPremises(rule.matchedPremise),
+            recency: Math.max(0, ...matchedFacts.map(fact => inferenceResult.factIterations.get(fact) || 0))
+        };
+    }
+
+    createDiagnosisResult(rule, inferenceResult, originalInputs, resolution = null) {
         return {
             diagnosis: rule.name,
             priority: rule.priority,
@@ -381,13 +1001,57 @@ class FelineNeuroForwardChainingEngine {
             derivedFacts: Array.from(inferenceResult.derivedFacts),
             appliedRules: inferenceResult.appliedRules.map(r => r.name),
             iterations: inferenceResult.iterations,
-            logicExplanation: this.generateForwardChainingExplanation(rule, inferenceResult, originalInputs),
+            logicExplanation: this.generateForwardChainingExplanation(rule, inferenceResult, originalInputs, resolution),
+            explanation: this.buildStructuredExplanation(rule, inferenceResult, originalInputs, resolution),
             ruleId: rule.id,
-            confidence: this.calculateRuleConfidence(rule),
+            confidence: this.roundCertainty(this.getRuleCertainty(rule, inferenceResult)),
+            certaintyFactors: this.summarizeCertainties(inferenceResult),
+            conflictResolution: resolution ? this.summarizeResolution(resolution) : null,
+            differential: resolution ? this.buildDifferential(resolution) : [],
             timestamp: new Date().toISOString()
         };
     }
 
+    /**
+     * Every fired diagnostic rule in resolution order; the first entry is the primary diagnosis
+     */
+    buildDifferential(resolution) {
+        return resolution.ranked.map((candidate, index) => ({
+            rank: index + 1,
+            ruleId: candidate.ruleId,
+            name: candidate.name,
+            priority: candidate.priority,
+            score: this.roundCertainty(candidate.confidence),
+            urgency: candidate.urgency,
+            urgencyLevel: this.data.urgencyLevels[candidate.urgency] || null,
+            supportingPremises: this.collectMatchedFacts(candidate.rule.matchedPremise),
+            premiseSummary: this.describeMatchedPremise(candidate.rule.matchedPremise)
+        }));
+    }
+
+    getRuleCertainty(rule, inferenceResult) {
+        const appliedRule = inferenceResult.appliedRules.find(r => r.id === rule.id);
+        return appliedRule ? appliedRule.certainty : 0;
+    }
+
+    summarizeCertainties(inferenceResult) {
+        const certainties = {};
+        inferenceResult.factCertainties.forEach((cf, fact) => {
+            certainties[fact] = this.roundCertainty(cf);
+        });
+        return certainties;
+    }
+
+    summarizeResolution(resolution) {
+        return {
+            strategy: resolution.strategy,
+            label: resolution.label,
+            losingCandidates: resolution.ranked.slice(1).map(({ ruleId, name, priority, urgency, confidence, specificity, recency }) => (
+                { ruleId, name, priority, urgency, confidence, specificity, recency }
+            ))
+        };
+    }
+
     createUndeterminedDiagnosis(inferenceResult, originalInputs) {
         return {
             diagnosis: 'Undetermined Neurological Condition',
@@ -410,13 +1074,18 @@ class FelineNeuroForwardChainingEngine {
             appliedRules: inferenceResult.appliedRules.map(r => r.name),
             iterations: inferenceResult.iterations,
             logicExplanation: this.generateUndeterminedExplanation(inferenceResult, originalInputs),
+            explanation: this.buildStructuredExplanation(null, inferenceResult, originalInputs, null),
             ruleId: 'UNDETERMINED',
-            confidence: 0.6,
+            // No rule concluded anything
+            confidence: 0,
+            certaintyFactors: this.summarizeCertainties(inferenceResult),
+            conflictResolution: null,
+            differential: [],
             timestamp: new Date().toISOString()
         };
     }
 
-    generateForwardChainingExplanation(rule, inferenceResult, originalInputs) {
+    generateForwardChainingExplanation(rule, inferenceResult, originalInputs, resolution = null) {
         let explanation = `Forward Chaining Inference Result:\n\n`;
         explanation += `🎯 DIAGNOSIS: ${rule.name}\n`;
         explanation += `📊 Priority Level: ${rule.priority}\n`;
@@ -426,15 +1095,25 @@ class FelineNeuroForwardChainingEngine {
         explanation += `1. Started with ${Array.from(this.convertInputsToFacts(originalInputs)).length} initial facts from user input\n`;
         explanation += `2. Applied ${inferenceResult.appliedRules.length} inference rules\n`;
         explanation += `3. Derived ${inferenceResult.derivedFacts.size} total facts\n`;
-        explanation += `4. Selected highest confidence diagnosis\n\n`;
+        explanation += `4. Selected diagnosis by ${resolution ? resolution.label.toLowerCase() : 'priority order'}\n\n`;
         explanation += `🧠 Applied Rules:\n`;
         inferenceResult.appliedRules.forEach((rule, index) => {
-            explanation += `  ${index + 1}. ${rule.name} (Iteration ${rule.appliedInIteration})\n`;
+            explanation += `  ${index + 1}. ${rule.name} (Iteration ${rule.appliedInIteration}, CF ${this.roundCertainty(rule.certainty)})\n`;
         });
         explanation += `\n🎯 Why this diagnosis was selected:\n`;
         explanation += `• Forward chaining derived the fact: diagnosis_${rule.id.toLowerCase()}\n`;
-        explanation += `• This diagnosis has confidence level: ${this.calculateRuleConfidence(rule)}\n`;
+        explanation += `• Certainty factor propagated through the chain: ${this.roundCertainty(this.getRuleCertainty(rule, inferenceResult))}\n`;
         explanation += `• Rule conditions were satisfied through inference chain\n`;
+        const appliedRule = inferenceResult.appliedRules.find(r => r.id === rule.id);
+        if (appliedRule && appliedRule.matchedPremise) {
+            explanation += `• Premises matched: ${this.describeMatchedPremise(appliedRule.matchedPremise)}\n`;
+        }
+        if (resolution && resolution.ranked.length > 1) {
+            explanation += `\n⚖️ Other fired rules (${resolution.label}):\n`;
+            resolution.ranked.slice(1).forEach(candidate => {
+                explanation += `  • ${candidate.name} (Priority ${candidate.priority}, ${candidate.urgency})\n`;
+            });
+        }
         return explanation;
     }
 
@@ -458,14 +1137,516 @@ class FelineNeuroForwardChainingEngine {
         return explanation;
     }
 
+    /**
+     * Structured explanation of a result: a "How?" proof tree for the chosen
+     * diagnosis and a "Why not?" entry for every higher priority rule.
+     */
+    buildStructuredExplanation(rule, inferenceResult, originalInputs, resolution) {
+        const goal = rule ? `diagnosis_${rule.id.toLowerCase()}` : null;
+        const higherPriorityRules = this.data.diagnosticRules.filter(r => !rule || r.priority < rule.priority);
+
+        return {
+            diagnosis: rule ? rule.id : 'UNDETERMINED',
+            strategy: resolution ? resolution.label : null,
+            how: goal ? this.buildProofTree(goal, inferenceResult, originalInputs, new Set()) : null,
+            whyNot: higherPriorityRules.map(r => this.explainRuleOutcome(r.id, inferenceResult, originalInputs, resolution))
+        };
+    }
+
+    /**
+     * How a fact came to be in working memory: either an input answer, or
+     * derived by one or more rules whose matched premises are proven in turn.
+     */
+    buildProofTree(fact, inferenceResult, inputs, path) {
+        const certainty = this.roundCertainty(inferenceResult.factCertainties.get(fact) || 0);
+        const derivations = inferenceResult.appliedRules.filter(r => r.conclusions.includes(fact));
+
+        if (derivations.length === 0 || path.has(fact)) {
+            const inputFact = this.getInputFactIndex().get(fact);
+            return {
+                type: 'input',
+                fact,
+                field: inputFact ? inputFact.field : null,
+                value: inputFact ? inputFact.value : null,
+                description: this.describeFact(fact, inputs),
+                certainty
+            };
+        }
+
+        const branchPath = new Set(path).add(fact);
+        return {
+            type: 'derived',
+            fact,
+            description: fact,
+            certainty,
+            derivations: derivations.map(r => ({
+                ruleId: r.id,
+                name: r.name,
+                iteration: r.appliedInIteration,
+                certainty: this.roundCertainty(r.certainty),
+                premise: this.describeMatchedPremise(r.matchedPremise),
+                absentFacts: this.collectNegatedPremises(r.matchedPremise),
+                supports: this.collectMatchedFacts(r.matchedPremise)
+                    .map(supportFact => this.buildProofTree(supportFact, inferenceResult, inputs, branchPath))
+            }))
+        };
+    }
+
+    collectNegatedPremises(trace) {
+        if (trace.fact) return [];
+        if (trace.not) return [this.describePremise(trace.not)];
+        if (trace.all) return trace.all.flatMap(t => this.collectNegatedPremises(t));
+        return this.collectNegatedPremises(trace.matched);
+    }
+
+    /**
+     * "Why not X?" for any diagnostic rule against the given inputs
+     * (defaults to the inputs of the last diagnosis).
+     */
+    explainWhyNot(ruleId, inputs = this.lastInputs) {
+        if (!inputs) {
+            throw new Error('No inputs to explain against; run a diagnosis first');
+        }
+        const initialFacts = this.convertInputsToFacts(inputs);
+        const inferenceResult = this.forwardChaining(initialFacts, this.convertInputsToCertainties(inputs, initialFacts));
+        const hasDiagnosis = inferenceResult.appliedRules.some(r => r.isDiagnosticRule);
+        const resolution = hasDiagnosis ? this.resolveConflicts(inferenceResult) : null;
+        return this.explainRuleOutcome(ruleId, inferenceResult, inputs, resolution);
+    }
+
+    explainRuleOutcome(ruleId, inferenceResult, inputs, resolution) {
+        const forwardRule = this.forwardChainingRules.find(r => r.id === ruleId && r.isDiagnosticRule);
+        if (!forwardRule) {
+            throw new Error(`Unknown diagnostic rule: ${ruleId}`);
+        }
+
+        const entry = {
+            ruleId,
+            name: forwardRule.name,
+            priority: forwardRule.originalRule.priority,
+            premise: this.describePremise(forwardRule.premise),
+            unmetPremises: []
+        };
+        const applied = inferenceResult.appliedRules.find(r => r.id === ruleId);
+        const winner = resolution && resolution.ranked[0];
+
+        if (applied) {
+            if (winner && winner.ruleId === ruleId) {
+                return { ...entry, outcome: 'selected', summary: 'This rule was selected' };
+            }
+            const outrankedBy = winner ? winner.name : null;
+            return {
+                ...entry,
+                outcome: 'outranked',
+                outrankedBy,
+                summary: `Rule fired but was outranked by ${outrankedBy} (${resolution ? resolution.label : 'priority order'})`
+            };
+        }
+
+        const trace = this.matchPremise(forwardRule.premise, inferenceResult.derivedFacts, inferenceResult.factCertainties);
+        if (trace) {
+            return {
+                ...entry,
+                outcome: 'low_certainty',
+                summary: `Premises hold but with certainty ${this.roundCertainty(trace.cf)}, below the ${CERTAINTY_THRESHOLD} threshold`
+            };
+        }
+
+        const unmetPremises = this.collectUnmetPremises(forwardRule.premise, inferenceResult.derivedFacts, inputs);
+        return {
+            ...entry,
+            outcome: 'unmet_premises',
+            unmetPremises,
+            summary: `${unmetPremises.length} premise${unmetPremises.length === 1 ? '' : 's'} not met`
+        };
+    }
+
+    /**
+     * Premises that failed against working memory, described against the inputs
+     */
+    collectUnmetPremises(premise, workingMemory, inputs) {
+        if (typeof premise === 'string') {
+            return workingMemory.has(premise) ? [] : [{ premise, description: this.describeFact(premise, inputs) }];
+        }
+        if (premise.not) {
+            if (this.matchPremise(premise.not, workingMemory) === null) return [];
+            const description = typeof premise.not === 'string'
+                ? `NOT ${this.describeFact(premise.not, inputs)}`
+                : this.describePremise(premise);
+            return [{ premise: this.describePremise(premise), description }];
+        }
+        if (premise.all) {
+            return premise.all.flatMap(child => this.collectUnmetPremises(child, workingMemory, inputs));
+        }
+        if (this.matchPremise(premise, workingMemory) !== null) return [];
+        return [{
+            premise: this.describePremise(premise),
+            description: `none of: ${premise.any.map(child => typeof child === 'string' ? this.describeFact(child, inputs) : this.describePremise(child)).join('; ')}`
+        }];
+    }
+
+    /**
+     * Input facts read as "seizures = mild (answered: none)", findings by the
+     * answer they are drawn from, other derived facts by name
+     */
+    describeFact(fact, inputs) {
+        const inputFact = this.getInputFactIndex().get(fact);
+        if (!inputFact) {
+            const chained = Array.from(this.chainedFindings).find(([, finding]) => finding === fact);
+            return chained ? `${fact} from ${this.describeFact(chained[0], inputs)}` : fact;
+        }
+
+        const actual = inputs ? inputs[inputFact.field] : undefined;
+        return `${inputFact.field} = ${inputFact.value} (${this.isAnswered(actual) ? `answered: ${actual}` : 'not answered'})`;
+    }
+
+    /**
+     * The original priority waterfall: the first rule by priority whose condition() holds
+     */
+    evaluatePriorityWaterfall(inputs) {
+        const rules = [...this.data.diagnosticRules].sort((a, b) => a.priority - b.priority);
+        return rules.find(rule => rule.condition(inputs)) || null;
+    }
+
+    /**
+     * Verification mode: evaluate both the priority waterfall and the forward
+     * chaining pipeline for one input and report every divergence.
+     */
+    verifyConsistency(inputs, options = {}) {
+        const initialFacts = this.convertInputsToFacts(inputs);
+        const inferenceResult = this.forwardChaining(
+            initialFacts,
+            this.convertInputsToCertainties(inputs, initialFacts),
+            { silent: options.silent }
+        );
+        const hasDiagnosis = inferenceResult.appliedRules.some(r => r.isDiagnosticRule);
+        const selectedRuleId = hasDiagnosis
+            ? this.resolveConflicts(inferenceResult, options.conflictResolution).ranked[0].ruleId
+            : 'UNDETERMINED';
+
+        return this.checkConsistency(inputs, inferenceResult, selectedRuleId);
+    }
+
+    checkConsistency(inputs, inferenceResult, selectedRuleId) {
+        const waterfallRule = this.evaluatePriorityWaterfall(inputs);
+        const waterfallRuleId = waterfallRule ? waterfallRule.id : 'UNDETERMINED';
+        const ruleDivergences = this.compareRuleInterpretations(inputs, inferenceResult);
+
+        return {
+            inputs,
+            waterfallRuleId,
+            forwardChainingRuleId: selectedRuleId,
+            outcomeMatches: waterfallRuleId === selectedRuleId,
+            ruleDivergences,
+            consistent: waterfallRuleId === selectedRuleId && ruleDivergences.length === 0
+        };
+    }
+
+    /**
+     * Rules whose condition() and compiled premises disagree on these inputs,
+     * with the premises that differ
+     */
+    compareRuleInterpretations(inputs, inferenceResult) {
+        return this.forwardChainingRules.filter(rule => rule.isDiagnosticRule).map(rule => {
+            const conditionHolds = Boolean(rule.originalRule.condition(inputs));
+            const applied = inferenceResult.appliedRules.find(r => r.id === rule.id);
+            if (conditionHolds === Boolean(applied)) return null;
+
+            let differingPremises;
+            if (applied) {
+                differingPremises = [{
+                    premise: this.describeMatchedPremise(applied.matchedPremise),
+                    description: 'premises matched but condition() rejects these inputs'
+                }];
+            } else {
+                differingPremises = this.collectUnmetPremises(rule.premise, inferenceResult.derivedFacts, inputs);
+                if (differingPremises.length === 0) {
+                    differingPremises = [{
+                        premise: this.describePremise(rule.premise),
+                        description: `premises hold but certainty is below the ${CERTAINTY_THRESHOLD} threshold`
+                    }];
+                }
+            }
+
+            return {
+                ruleId: rule.id,
+                conditionHolds,
+                premisesHold: Boolean(applied),
+                differingPremises
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Verification over every enumerated input. Returns divergence counts per
+     * rule and up to options.limit (default 20) inconsistent examples.
+     */
+    verifyConsistencyOverInputSpace(options = {}) {
+        const limit = options.limit !== undefined ? options.limit : 20;
+        const inputSpace = this.enumerateInputSpace();
+        const byRule = new Map();
+        const examples = [];
+        let inconsistent = 0;
+        let outcomeMismatches = 0;
+
+        console.log(`🔬 Verifying consistency over ${inputSpace.length} input combinations...`);
+
+        inputSpace.forEach(inputs => {
+            const result = this.verifyConsistency(inputs, { ...options, silent: true });
+            if (result.consistent) return;
+
+            inconsistent++;
+            if (!result.outcomeMatches) outcomeMismatches++;
+            if (examples.length < limit) examples.push(result);
+
+            result.ruleDivergences.forEach(divergence => {
+                const entry = byRule.get(divergence.ruleId) || { ruleId: divergence.ruleId, count: 0, example: divergence };
+                entry.count++;
+                byRule.set(divergence.ruleId, entry);
+            });
+        });
+
+        console.log(`🔬 ${inconsistent} inconsistent input combinations found`);
+
+        return {
+            checked: inputSpace.length,
+            inconsistent,
+            outcomeMismatches,
+            consistent: inconsistent === 0,
+            byRule: Array.from(byRule.values()).sort((a, b) => b.count - a.count),
+            examples
+        };
+    }
+
+    /**
+     * Backward chaining: work from a hypothesis (a diagnostic rule id such as
+     * 'HYPOCALCEMIA', or any fact such as 'vascular_compromise') back through the
+     * same rule base to the inputs. Unanswered inputs stay unknown rather than
+     * being treated as absent, so partial assessments can be checked.
+     */
+    verifyHypothesis(hypothesis, inputs = {}) {
+        const goal = this.resolveHypothesisGoal(hypothesis);
+        console.log(`🔙 Verifying hypothesis by backward chaining: ${goal}`);
+        
+        const goalTree = this.proveGoal(goal, inputs, new Set());
+        const premises = this.collectGoalLeaves(goalTree);
+        const diagnosticRule = this.data.diagnosticRules.find(r => `diagnosis_${r.id.toLowerCase()}` === goal);
+        
+        const result = {
+            hypothesis: diagnosticRule ? diagnosticRule.id : goal,
+            name: diagnosticRule ? diagnosticRule.name : goal,
+            goal,
+            status: goalTree.status,
+            satisfied: premises.filter(p => p.status === 'satisfied'),
+            contradicted: premises.filter(p => p.status === 'contradicted'),
+            unknown: premises.filter(p => p.status === 'unknown'),
+            goalTree,
+            inferenceMethod: 'Backward Chaining',
+            timestamp: new Date().toISOString()
+        };
+        result.explanation = this.generateBackwardChainingExplanation(result);
+        
+        return result;
+    }
+
+    resolveHypothesisGoal(hypothesis) {
+        const candidates = [hypothesis, `diagnosis_${String(hypothesis).toLowerCase()}`];
+        const goal = candidates.find(fact => this.forwardChainingRules.some(rule => rule.conclusions.includes(fact)));
+        if (!goal) {
+            throw new Error(`No rule concludes hypothesis: ${hypothesis}`);
+        }
+        return goal;
+    }
+
+    /**
+     * Map from input fact name back to the field and value that produce it
+     */
+    getInputFactIndex() {
+        if (!this.inputFactIndex) {
+            this.inputFactIndex = new Map();
+            this.getInputFields().forEach(field => {
+                this.getFieldDomain(field).forEach(value => {
+                    this.inputFactIndex.set(this.inputFact(field, value), { field, value });
+                });
+            });
+        }
+        return this.inputFactIndex;
+    }
+
+    /**
+     * Goal tree node for a fact: input facts are checked against the answers,
+     * derived facts are proven through every rule that concludes them.
+     */
+    proveGoal(goal, inputs, path) {
+        const inputFact = this.getInputFactIndex().get(goal);
+        if (inputFact) {
+            const actual = inputs[inputFact.field];
+            // A multiselect answered with an empty list means none of the options
+            const answered = this.isAnswered(actual) || Array.isArray(actual);
+            return {
+                type: 'input',
+                goal,
+                field: inputFact.field,
+                expected: inputFact.value,
+                actual: answered ? actual : null,
+                status: !answered ? 'unknown' : (this.inputMatches(inputFact.field, actual, inputFact.value) ? 'satisfied' : 'contradicted')
+            };
+        }
+
+        const rules = this.forwardChainingRules.filter(rule => rule.conclusions.includes(goal));
+        if (rules.length === 0 || path.has(goal)) {
+            return { type: 'derived', goal, rules: [], status: 'unknown' };
+        }
+
+        const branchPath = new Set(path).add(goal);
+        const ruleNodes = rules.map(rule => ({
+            type: 'rule',
+            ruleId: rule.id,
+            name: rule.name,
+            premise: this.provePremise(rule.premise || { all: rule.conditions }, inputs, branchPath)
+        }));
+        ruleNodes.forEach(node => { node.status = node.premise.status; });
+
+        return {
+            type: 'derived',
+            goal,
+            rules: ruleNodes,
+            status: this.combineAlternatives(ruleNodes.map(node => node.status))
+        };
+    }
+
+    provePremise(premise, inputs, path) {
+        if (typeof premise === 'string') {
+            return this.proveGoal(premise, inputs, path);
+        }
+
+        if (premise.not) {
+            const child = this.provePremise(premise.not, inputs, path);
+            const inverted = { satisfied: 'contradicted', contradicted: 'satisfied', unknown: 'unknown' };
+            return { type: 'not', children: [child], status: inverted[child.status] };
+        }
+
+        if (premise.all) {
+            const children = premise.all.map(child => this.provePremise(child, inputs, path));
+            const statuses = children.map(child => child.status);
+            let status = 'unknown';
+            if (statuses.includes('contradicted')) status = 'contradicted';
+            else if (statuses.every(s => s === 'satisfied')) status = 'satisfied';
+            return { type: 'all', children, status };
+        }
+
+        const children = premise.any.map(child => this.provePremise(child, inputs, path));
+        return { type: 'any', children, status: this.combineAlternatives(children.map(child => child.status)) };
+    }
+
+    combineAlternatives(statuses) {
+        if (statuses.includes('satisfied')) return 'satisfied';
+        if (statuses.includes('unknown')) return 'unknown';
+        return statuses.length > 0 ? 'contradicted' : 'unknown';
+    }
+
+    /**
+     * Input-level premises of a goal tree; a NOT directly over an input counts as one premise
+     */
+    collectGoalLeaves(node, negated = false) {
+        if (node.type === 'input') {
+            const statusFlip = { satisfied: 'contradicted', contradicted: 'satisfied', unknown: 'unknown' };
+            return [{
+                fact: node.goal,
+                field: node.field,
+                expected: node.expected,
+                negated,
+                actual: node.actual,
+                status: negated ? statusFlip[node.status] : node.status
+            }];
+        }
+        if (node.type === 'not') return this.collectGoalLeaves(node.children[0], !negated);
+        if (node.type === 'derived') return node.rules.flatMap(rule => this.collectGoalLeaves(rule.premise, negated));
+        return node.children.flatMap(child => this.collectGoalLeaves(child, negated));
+    }
+
+    generateBackwardChainingExplanation(result) {
+        const statusIcons = { satisfied: '✅', contradicted: '❌', unknown: '❔' };
+        const describeLeaf = leaf => `${leaf.field} ${leaf.negated ? '≠' : '='} ${leaf.expected}` +
+            (leaf.actual === null ? ' (not answered)' : ` (answered: ${leaf.actual})`);
+
+        let explanation = `Backward Chaining Verification:\n\n`;
+        explanation += `🎯 HYPOTHESIS: ${result.name}\n`;
+        explanation += `🔄 Inference Method: Backward Chaining from ${result.goal}\n`;
+        explanation += `${statusIcons[result.status]} Status: ${result.status.toUpperCase()}\n\n`;
+        explanation += `🌳 Goal Tree:\n`;
+        explanation += this.describeGoalTree(result.goalTree, 1, statusIcons);
+        explanation += `\n📋 Premises:\n`;
+        ['satisfied', 'contradicted', 'unknown'].forEach(status => {
+            result[status].forEach(leaf => {
+                explanation += `  ${statusIcons[status]} ${describeLeaf(leaf)}\n`;
+            });
+        });
+        return explanation;
+    }
+
+    describeGoalTree(node, depth, statusIcons) {
+        const indent = '  '.repeat(depth);
+        const icon = statusIcons[node.status];
+
+        if (node.type === 'input') {
+            return `${indent}${icon} ${node.goal}\n`;
+        }
+        if (node.type === 'derived') {
+            return `${indent}${icon} ${node.goal}\n` + node.rules.map(rule =>
+                `${indent}  ↳ via ${rule.name}\n` + this.describeGoalTree(rule.premise, depth + 2, statusIcons)
+            ).join('');
+        }
+        const labels = { all: 'ALL of', any: 'ANY of', not: 'NOT' };
+        if (node.type === 'all' && node.children.length === 0) {
+            return `${indent}${icon} (always)\n`;
+        }
+        return `${indent}${icon} ${labels[node.type]}\n` +
+            node.children.map(child => this.describeGoalTree(child, depth + 1, statusIcons)).join('');
+    }
+
+    /**
+     * Make a stored diagnosis the current one again, so why-not questions are
+     * answered against its inputs
+     */
+    restoreDiagnosis(diagnosis, inputs, recordId = null) {
+        this.lastDiagnosis = diagnosis;
+        this.lastInputs = inputs;
+        // The stored run this result came from, if any (null for an imported report)
+        this.lastStoreOperation = Promise.resolve(recordId);
+    }
+
+    /**
+     * Rule base version stored with every diagnosis: the pack id and declared
+     * version plus a fingerprint of the rules, so edits without a version bump
+     * (including user rules) still show
+     */
+    getRuleBaseVersion() {
+        const source = JSON.stringify(this.data.diagnosticRules.map(rule => [
+            rule.id, rule.priority, rule.urgency, rule.certainty, rule.conditionTree
+        ]));
+        let hash = 5381;
+        for (let i = 0; i < source.length; i++) {
+            hash = ((hash << 5) + hash + source.charCodeAt(i)) | 0;
+        }
+
+        return {
+            pack: this.data.metadata ? this.data.metadata.id : 'unnamed',
+            version: this.data.version || 'unversioned',
+            fingerprint: (hash >>> 0).toString(16).padStart(8, '0')
+        };
+    }
+
     /**
      * Store diagnosis in database
      */
     async storeDiagnosisInDatabase(diagnosis, inputs) {
+        await this.ready;
         if (this.database) {
             try {
-                await this.database.storeDiagnosis(diagnosis, inputs);
+                const id = await this.database.storeDiagnosis(diagnosis, inputs, this.getRuleBaseVersion());
                 console.log('💾 Diagnosis stored in database');
+                return id;
             } catch (error) {
                 console.error('❌ Failed to store diagnosis in database:', error);
             }
@@ -473,12 +1654,29 @@ class FelineNeuroForwardChainingEngine {
     }
 
     /**
-     * Get diagnosis history from database
+     * Log AI chat guardrail interventions with the stored diagnosis run recordId
+     */
+    async logChatInterventions(recordId, interventions) {
+        await this.ready;
+        if (this.database && recordId != null) {
+            try {
+                return await this.database.appendChatInterventions(recordId, interventions);
+            } catch (error) {
+                console.error('❌ Failed to log chat interventions:', error);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get diagnosis history from database, newest first, one page of limit records
+     * matching filters ({ urgency, ruleId, from, to })
      */
-    async getDiagnosisHistory(limit = 50) {
+    async getDiagnosisHistory(limit = 50, offset = 0, filters = {}) {
+        await this.ready;
         if (this.database) {
             try {
-                return await this.database.getDiagnosisHistory(limit);
+                return await this.database.getDiagnosisHistory(limit, offset, filters);
             } catch (error) {
                 console.error('❌ Failed to get diagnosis history:', error);
                 return [];
@@ -487,10 +1685,27 @@ class FelineNeuroForwardChainingEngine {
         return [];
     }
 
+    /**
+     * Get one stored diagnosis record by id
+     */
+    async getStoredDiagnosis(id) {
+        await this.ready;
+        if (this.database) {
+            try {
+                return await this.database.getDiagnosis(id);
+            } catch (error) {
+                console.error('❌ Failed to get stored diagnosis:', error);
+                return null;
+            }
+        }
+        return null;
+    }
+
     /**
      * Get analytics from database
      */
     async getDatabaseAnalytics() {
+        await this.ready;
         if (this.database) {
             try {
                 return await this.database.getAnalytics();
@@ -503,5 +1718,15 @@ class FelineNeuroForwardChainingEngine {
     }
 }
 
-// Export for use in other files
-window.FelineNeuroForwardChainingEngine = FelineNeuroForwardChainingEngine;
\ No newline at end of file
+// Export for use in other files: a browser global, or module.exports under Node
+// (forward_chaining_engine.mjs re-exports it for ES modules)
+if (typeof window !== 'undefined') {
+    window.FelineNeuroForwardChainingEngine = FelineNeuroForwardChainingEngine;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FelineNeuroForwardChainingEngine;
+    module.exports.FelineNeuroForwardChainingEngine = FelineNeuroForwardChainingEngine;
+    module.exports.CONFLICT_RESOLUTION_STRATEGIES = CONFLICT_RESOLUTION_STRATEGIES;
+    module.exports.DEFAULT_CONFLICT_RESOLUTION = DEFAULT_CONFLICT_RESOLUTION;
+    module.exports.CERTAINTY_THRESHOLD = CERTAINTY_THRESHOLD;
+}
\ No newline at end of file
@@ -0,0 +1,16 @@
+// ES module entry point for Node:
+// import { FelineNeuroForwardChainingEngine, FelineNeuroDiagnosisData } from './forward_chaining_engine.mjs';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const FelineNeuroForwardChainingEngine = require('./forward_chaining_engine.js');
+const FelineNeuroDiagnosisData = require('./data.js');
+
+export const {
+    CONFLICT_RESOLUTION_STRATEGIES,
+    DEFAULT_CONFLICT_RESOLUTION,
+    CERTAINTY_THRESHOLD
+} = FelineNeuroForwardChainingEngine;
+
+export { FelineNeuroForwardChainingEngine, FelineNeuroDiagnosisData };
+export default FelineNeuroForwardChainingEngine;
@@ -0,0 +1,588 @@
+/**
+ * Knowledge-base packs: a rule base as one versioned JSON document (metadata,
+ * input descriptions and schema, urgency levels and diagnostic rules with condition trees).
+ * Packs are validated against KNOWLEDGE_BASE_PACK_SCHEMA plus the checks a schema
+ * cannot express, diffed against each other and switched at runtime. The built-in
+ * FelineNeuroDiagnosisData is always available as a pack; imported packs are kept
+ * in localStorage.
+ */
+
+const KNOWLEDGE_BASE_PACK_FORMAT = 'feline-neuro-knowledge-base';
+
+// Bump when the pack shape changes and teach packToData to read the old one
+const KNOWLEDGE_BASE_PACK_FORMAT_VERSION = 1;
+
+const KNOWLEDGE_BASE_PACKS_STORAGE_KEY = 'felineNeuroKnowledgeBasePacks';
+const ACTIVE_PACK_STORAGE_KEY = 'felineNeuroActivePack';
+
+const STRING_LIST_SCHEMA = { type: 'array', items: { type: 'string' } };
+const STRING_MAP_SCHEMA = { type: 'object', propertyNames: { pattern: '^[a-z0-9_]+$' }, additionalProperties: { type: 'string' } };
+
+// Input field names and values end up in element ids and fact names
+const NAME_SCHEMA = { pattern: '^[a-z][a-z0-9_]*$' };
+
+// Optional: a pack without one gets the original form (see engine.buildLegacyInputSchema)
+const INPUT_SCHEMA_SCHEMA = {
+    type: 'object',
+    required: ['fields'],
+    properties: {
+        sections: {
+            type: 'object',
+            propertyNames: NAME_SCHEMA,
+            additionalProperties: {
+                type: 'object',
+                required: ['title'],
+                properties: { title: { type: 'string', minLength: 1 }, icon: { type: 'string' } },
+                additionalProperties: false
+            }
+        },
+        fields: {
+            type: 'object',
+            minProperties: 1,
+            propertyNames: NAME_SCHEMA,
+            additionalProperties: {
+                type: 'object',
+                required: ['type'],
+                additionalProperties: false,
+                properties: {
+                    type: { enum: ['select', 'boolean', 'number', 'multiselect'] },
+                    section: { type: 'string' },
+                    label: { type: 'string', minLength: 1 },
+                    question: { type: 'string' },
+                    required: { type: 'boolean' },
+                    factPrefix: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+                    placeholder: { type: 'string' },
+                    hint: { type: 'string' },
+                    summary: { type: 'string' },
+                    icon: { type: 'string' },
+                    optionLabels: STRING_MAP_SCHEMA,
+                    options: { ...STRING_MAP_SCHEMA, minProperties: 1 },
+                    unit: { type: 'string' },
+                    min: { type: 'number' },
+                    max: { type: 'number' },
+                    step: { type: 'number', exclusiveMinimum: 0 },
+                    ranges: {
+                        type: 'object',
+                        minProperties: 1,
+                        propertyNames: NAME_SCHEMA,
+                        additionalProperties: {
+                            type: 'object',
+                            properties: { min: { type: 'number' }, max: { type: 'number' }, label: { type: 'string' } },
+                            additionalProperties: false
+                        }
+                    }
+                }
+            }
+        }
+    },
+    additionalProperties: false
+};
+
+// The JSON Schema subset checked by validateSchema: type, enum, required,
+// properties, additionalProperties (a schema, or false to reject undeclared
+// properties), propertyNames (pattern only), items, minItems, minProperties,
+// minLength, pattern, minimum, maximum and exclusiveMinimum. Every string a
+// pack can carry is declared, so nothing else reaches the UI.
+const KNOWLEDGE_BASE_PACK_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['format', 'formatVersion', 'metadata', 'inputDescriptions', 'urgencyLevels', 'diagnosticRules'],
+    properties: {
+        format: { enum: [KNOWLEDGE_BASE_PACK_FORMAT] },
+        formatVersion: { type: 'integer', minimum: 1, maximum: KNOWLEDGE_BASE_PACK_FORMAT_VERSION },
+        metadata: {
+            type: 'object',
+            required: ['id', 'name', 'version', 'author'],
+            properties: {
+                id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' },
+                name: { type: 'string', minLength: 1 },
+                version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+' },
+                author: { type: 'string', minLength: 1 },
+                description: { type: 'string' },
+                created: { type: 'string' }
+            },
+            additionalProperties: false
+        },
+        inputDescriptions: {
+            type: 'object',
+            propertyNames: NAME_SCHEMA,
+            additionalProperties: { ...STRING_MAP_SCHEMA, minProperties: 1 }
+        },
+        inputSchema: INPUT_SCHEMA_SCHEMA,
+        urgencyLevels: {
+            type: 'object',
+            minProperties: 1,
+            propertyNames: { pattern: '^[A-Z][A-Z0-9_]*$' },
+            additionalProperties: {
+                type: 'object',
+                required: ['label', 'color'],
+                properties: {
+                    label: { type: 'string', minLength: 1 },
+                    color: { type: 'string' },
+                    bgColor: { type: 'string' },
+                    borderColor: { type: 'string' },
+                    icon: { type: 'string' }
+                },
+                additionalProperties: false
+            }
+        },
+        diagnosticRules: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'priority', 'urgency', 'conditionTree', 'description'],
+                properties: {
+                    id: { type: 'string', pattern: '^[A-Z][A-Z0-9_]*$' },
+                    name: { type: 'string', minLength: 1 },
+                    priority: { type: 'number', exclusiveMinimum: 0 },
+                    urgency: { type: 'string' },
+                    conditionTree: { type: 'object' },
+                    certainty: { type: 'number', minimum: 0, maximum: 1 },
+                    description: { type: 'string' },
+                    clinicalNotes: STRING_LIST_SCHEMA,
+                    nextSteps: STRING_LIST_SCHEMA,
+                    icon: { type: 'string' },
+                    color: { type: 'string' }
+                },
+                additionalProperties: false
+            }
+        }
+    }
+};
+
+// Rule properties a pack carries; condition() is code and never exported
+const PACK_RULE_FIELDS = ['priority', 'id', 'name', 'conditionTree', 'certainty', 'description', 'clinicalNotes', 'nextSteps', 'urgency', 'icon', 'color'];
+
+class FelineNeuroKnowledgeBasePacks {
+    constructor(engine, builtInData, storage = null) {
+        this.engine = engine;
+        this.builtInData = builtInData;
+        this.builtInPack = this.createPack(builtInData);
+        this.storage = storage;
+    }
+
+    /**
+     * Pack from a data object such as FelineNeuroDiagnosisData
+     */
+    createPack(data, metadata = {}) {
+        return {
+            format: KNOWLEDGE_BASE_PACK_FORMAT,
+            formatVersion: KNOWLEDGE_BASE_PACK_FORMAT_VERSION,
+            metadata: {
+                id: 'unnamed',
+                name: 'Unnamed rule base',
+                author: 'unknown',
+                ...(data.metadata || {}),
+                version: data.version || '0.0.0',
+                ...metadata
+            },
+            inputDescriptions: data.inputDescriptions,
+            ...(data.inputSchema ? { inputSchema: data.inputSchema } : {}),
+            urgencyLevels: data.urgencyLevels,
+            diagnosticRules: data.diagnosticRules.map(rule => Object.fromEntries(
+                PACK_RULE_FIELDS.filter(field => rule[field] !== undefined).map(field => [field, rule[field]])
+            ))
+        };
+    }
+
+    /**
+     * Data object the engine loads (see engine.loadKnowledgeBase)
+     */
+    packToData(pack) {
+        return {
+            version: pack.metadata.version,
+            metadata: pack.metadata,
+            diagnosticRules: pack.diagnosticRules.map(rule => ({ ...rule })),
+            urgencyLevels: pack.urgencyLevels,
+            inputDescriptions: pack.inputDescriptions,
+            inputSchema: pack.inputSchema
+        };
+    }
+
+    getPackKey(pack) {
+        return `${pack.metadata.id}@${pack.metadata.version}`;
+    }
+
+    /**
+     * Every problem with a pack as { path, message }; empty when it can be loaded
+     */
+    validatePack(pack) {
+        const errors = this.validateSchema(pack, KNOWLEDGE_BASE_PACK_SCHEMA, '');
+        if (errors.length > 0) {
+            return errors;
+        }
+        if (pack.inputSchema) {
+            this.validateInputSchema(pack, errors);
+            if (errors.length > 0) {
+                return errors;
+            }
+        }
+        const inputFields = this.engine.buildInputSchema(pack).fields;
+
+        const seenIds = new Map();
+        const seenPriorities = new Map();
+        const fallbacks = [];
+        pack.diagnosticRules.forEach((rule, index) => {
+            const path = `diagnosticRules[${index}]`;
+            if (seenIds.has(rule.id)) {
+                errors.push({ path: `${path}.id`, message: `duplicate rule id ${rule.id} (also ${seenIds.get(rule.id)})` });
+            }
+            seenIds.set(rule.id, path);
+            if (seenPriorities.has(rule.priority)) {
+                errors.push({ path: `${path}.priority`, message: `priority ${rule.priority} is also used by ${seenPriorities.get(rule.priority)}` });
+            }
+            seenPriorities.set(rule.priority, rule.id);
+
+            if (!pack.urgencyLevels[rule.urgency]) {
+                errors.push({ path: `${path}.urgency`, message: `unknown urgency level ${rule.urgency}` });
+            }
+            this.validateConditionNode(rule.conditionTree, inputFields, `${path}.conditionTree`, errors);
+            if (this.isEmptyTree(rule.conditionTree)) {
+                fallbacks.push(rule);
+            }
+        });
+
+        // A catch-all rule is evaluated last by the priority waterfall
+        const lowest = Math.max(...pack.diagnosticRules.map(rule => rule.priority));
+        fallbacks.filter(rule => rule.priority !== lowest).forEach(rule => {
+            errors.push({ path: 'diagnosticRules', message: `catch-all rule ${rule.id} must have the highest priority number (${lowest})` });
+        });
+
+        return errors;
+    }
+
+    /**
+     * What the schema cannot express: select values live in inputDescriptions,
+     * measurements need ranges and multiselects options, sections must exist
+     */
+    validateInputSchema(pack, errors) {
+        const { sections = {}, fields } = pack.inputSchema;
+        Object.entries(fields).forEach(([field, definition]) => {
+            const path = `inputSchema.fields.${field}`;
+            if (definition.type === 'select' && !pack.inputDescriptions[field]) {
+                errors.push({ path, message: `select field needs its values in inputDescriptions.${field}` });
+            }
+            if (definition.type === 'number' && !definition.ranges) {
+                errors.push({ path, message: 'number field needs ranges' });
+            }
+            if (definition.type === 'multiselect' && !definition.options) {
+                errors.push({ path, message: 'multiselect field needs options' });
+            }
+            if (definition.section && !sections[definition.section]) {
+                errors.push({ path: `${path}.section`, message: `unknown section ${definition.section}` });
+            }
+        });
+        Object.keys(pack.inputDescriptions).forEach(field => {
+            if (!fields[field] || fields[field].type !== 'select') {
+                errors.push({ path: `inputDescriptions.${field}`, message: `${field} is not a select field in inputSchema` });
+            }
+        });
+    }
+
+    validateConditionNode(node, inputFields, path, errors) {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            errors.push({ path, message: 'condition must be an object' });
+            return;
+        }
+        if (node.not) {
+            this.validateConditionNode(node.not, inputFields, `${path}.not`, errors);
+            return;
+        }
+        const children = node.all || node.any;
+        if (children) {
+            if (!Array.isArray(children)) {
+                errors.push({ path, message: 'all/any must be a list of conditions' });
+                return;
+            }
+            const key = node.all ? 'all' : 'any';
+            if (key === 'any' && children.length === 0) {
+                errors.push({ path, message: 'an empty any never matches; use an empty all for a catch-all rule' });
+            }
+            children.forEach((child, index) => this.validateConditionNode(child, inputFields, `${path}.${key}[${index}]`, errors));
+            return;
+        }
+
+        const definition = inputFields[node.field];
+        if (!definition) {
+            errors.push({ path, message: `unknown input field ${node.field}` });
+        } else if (definition.type === 'boolean') {
+            if (typeof node.equals !== 'boolean') {
+                errors.push({ path, message: `${node.field} is a yes/no sign; equals must be true or false` });
+            }
+        } else if (!definition.domain.includes(node.equals)) {
+            errors.push({ path, message: `${node.field} has no value ${JSON.stringify(node.equals)}` });
+        }
+    }
+
+    /**
+     * An empty all holds for every input, the catch-all; an empty any never holds
+     */
+    isEmptyTree(node) {
+        return Array.isArray(node.all) && node.all.length === 0;
+    }
+
+    validateSchema(value, schema, path) {
+        const at = path || '(pack)';
+        const errors = [];
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            return [{ path: at, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` }];
+        }
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            return [{ path: at, message: `must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}` }];
+        }
+
+        if (schema.type === 'string') {
+            if (schema.minLength && value.length < schema.minLength) errors.push({ path: at, message: 'must not be empty' });
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ path: at, message: `must match ${schema.pattern}` });
+        }
+        if (schema.type === 'number' || schema.type === 'integer') {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ path: at, message: `must be greater than ${schema.exclusiveMinimum}` });
+        }
+        if (schema.type === 'array') {
+            if (schema.minItems && value.length < schema.minItems) errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+            if (schema.items) {
+                value.forEach((item, index) => errors.push(...this.validateSchema(item, schema.items, `${path}[${index}]`)));
+            }
+        }
+        if (schema.type === 'object') {
+            const keys = Object.keys(value);
+            if (schema.minProperties && keys.length < schema.minProperties) errors.push({ path: at, message: `must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}` });
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) errors.push({ path: at, message: `missing required property ${key}` });
+            });
+            keys.forEach(key => {
+                const childPath = path ? `${path}.${key}` : key;
+                const declared = schema.properties && schema.properties[key];
+                const childSchema = declared || schema.additionalProperties;
+                if (schema.propertyNames && !new RegExp(schema.propertyNames.pattern).test(key)) {
+                    errors.push({ path: childPath, message: `name must match ${schema.propertyNames.pattern}` });
+                }
+                if (childSchema === false) {
+                    errors.push({ path: childPath, message: 'is not a known property' });
+                } else if (childSchema) {
+                    errors.push(...this.validateSchema(value[key], childSchema, childPath));
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    matchesType(value, type) {
+        if (type === 'array') return Array.isArray(value);
+        if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (type === 'integer') return Number.isInteger(value);
+        if (type === 'number') return typeof value === 'number' && isFinite(value);
+        return typeof value === type;
+    }
+
+    /**
+     * Parse and validate pack JSON. Throws listing every problem.
+     */
+    parsePack(text) {
+        let pack;
+        try {
+            pack = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Pack is not valid JSON: ${error.message}`);
+        }
+
+        const errors = this.validatePack(pack);
+        if (errors.length > 0) {
+            throw new Error(`Invalid knowledge-base pack:\n${errors.map(error => `  ${error.path}: ${error.message}`).join('\n')}`);
+        }
+        return pack;
+    }
+
+    toJSON(pack) {
+        return JSON.stringify(pack, null, 2);
+    }
+
+    /**
+     * What changes going from one pack to another: metadata, added/removed/changed
+     * rules (field by field), urgency levels, input fields and input values
+     */
+    diffPacks(from, to) {
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const fromRules = new Map(from.diagnosticRules.map(rule => [rule.id, rule]));
+        const toRules = new Map(to.diagnosticRules.map(rule => [rule.id, rule]));
+
+        const changedRules = [];
+        toRules.forEach((rule, id) => {
+            const previous = fromRules.get(id);
+            if (!previous) return;
+            const changes = PACK_RULE_FIELDS
+                .filter(field => !same(previous[field], rule[field]))
+                .map(field => ({ field, from: previous[field], to: rule[field] }));
+            if (changes.length > 0) {
+                changedRules.push({ ruleId: id, name: rule.name, changes });
+            }
+        });
+
+        const inputValues = pack => Object.entries(pack.inputDescriptions)
+            .flatMap(([field, values]) => Object.keys(values).map(value => `${field}=${value}`));
+        const fromInputs = inputValues(from);
+        const toInputs = inputValues(to);
+        const fromLevels = Object.keys(from.urgencyLevels);
+        const toLevels = Object.keys(to.urgencyLevels);
+        const fromFields = this.engine.buildInputSchema(from).fields;
+        const toFields = this.engine.buildInputSchema(to).fields;
+
+        const diff = {
+            from: this.getPackKey(from),
+            to: this.getPackKey(to),
+            metadata: ['name', 'version', 'author', 'description']
+                .filter(field => from.metadata[field] !== to.metadata[field])
+                .map(field => ({ field, from: from.metadata[field], to: to.metadata[field] })),
+            rules: {
+                added: to.diagnosticRules.filter(rule => !fromRules.has(rule.id)).map(rule => ({ ruleId: rule.id, name: rule.name, priority: rule.priority })),
+                removed: from.diagnosticRules.filter(rule => !toRules.has(rule.id)).map(rule => ({ ruleId: rule.id, name: rule.name, priority: rule.priority })),
+                changed: changedRules
+            },
+            urgencyLevels: {
+                added: toLevels.filter(level => !fromLevels.includes(level)),
+                removed: fromLevels.filter(level => !toLevels.includes(level)),
+                changed: toLevels.filter(level => fromLevels.includes(level) && !same(from.urgencyLevels[level], to.urgencyLevels[level]))
+            },
+            inputFields: {
+                added: Object.keys(toFields).filter(field => !fromFields[field]),
+                removed: Object.keys(fromFields).filter(field => !toFields[field]),
+                changed: Object.keys(toFields).filter(field => fromFields[field] && !same(fromFields[field], toFields[field]))
+            },
+            inputValues: {
+                added: toInputs.filter(value => !fromInputs.includes(value)),
+                removed: fromInputs.filter(value => !toInputs.includes(value))
+            }
+        };
+        diff.identical = diff.metadata.length === 0 &&
+            [diff.rules, diff.urgencyLevels, diff.inputFields, diff.inputValues].every(section => Object.values(section).every(list => list.length === 0));
+        return diff;
+    }
+
+    formatDiff(diff) {
+        if (diff.identical) {
+            return `${diff.from} → ${diff.to}: no differences\n`;
+        }
+
+        const show = value => typeof value === 'object' ? JSON.stringify(value) : String(value);
+        let text = `Knowledge base diff ${diff.from} → ${diff.to}\n`;
+
+        diff.metadata.forEach(change => {
+            text += `   ${change.field}: ${show(change.from)} → ${show(change.to)}\n`;
+        });
+        diff.rules.added.forEach(rule => {
+            text += ` + ${rule.priority}. ${rule.name} [${rule.ruleId}]\n`;
+        });
+        diff.rules.removed.forEach(rule => {
+            text += ` - ${rule.priority}. ${rule.name} [${rule.ruleId}]\n`;
+        });
+        diff.rules.changed.forEach(rule => {
+            text += ` ~ ${rule.name} [${rule.ruleId}]\n`;
+            rule.changes.forEach(change => {
+                text += `      ${change.field}: ${show(change.from)} → ${show(change.to)}\n`;
+            });
+        });
+        if (diff.urgencyLevels.added.length || diff.urgencyLevels.removed.length || diff.urgencyLevels.changed.length) {
+            text += `   urgency levels: +[${diff.urgencyLevels.added.join(', ')}] -[${diff.urgencyLevels.removed.join(', ')}] ~[${diff.urgencyLevels.changed.join(', ')}]\n`;
+        }
+        if (diff.inputFields.added.length || diff.inputFields.removed.length || diff.inputFields.changed.length) {
+            text += `   input fields: +[${diff.inputFields.added.join(', ')}] -[${diff.inputFields.removed.join(', ')}] ~[${diff.inputFields.changed.join(', ')}]\n`;
+        }
+        if (diff.inputValues.added.length || diff.inputValues.removed.length) {
+            text += `   input values: +[${diff.inputValues.added.join(', ')}] -[${diff.inputValues.removed.join(', ')}]\n`;
+        }
+        return text;
+    }
+
+    /**
+     * The built-in pack first, then imported packs by id and version
+     */
+    listPacks() {
+        return [this.builtInPack, ...this.readStoredPacks()];
+    }
+
+    getPack(key) {
+        return this.listPacks().find(pack => this.getPackKey(pack) === key) || null;
+    }
+
+    readStoredPacks() {
+        if (!this.storage) return [];
+        try {
+            const packs = JSON.parse(this.storage.getItem(KNOWLEDGE_BASE_PACKS_STORAGE_KEY) || '[]');
+            return packs.filter(pack => this.validatePack(pack).length === 0);
+        } catch (error) {
+            console.warn('⚠️ Stored knowledge-base packs are not valid JSON, ignoring them:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Keep an imported pack. A pack with the same id and version replaces the
+     * stored one; the built-in pack's id and version cannot be reused.
+     */
+    savePack(pack) {
+        const errors = this.validatePack(pack);
+        if (errors.length > 0) {
+            throw new Error(`Invalid knowledge-base pack: ${errors[0].path}: ${errors[0].message}`);
+        }
+        const key = this.getPackKey(pack);
+        if (key === this.getPackKey(this.builtInPack)) {
+            throw new Error(`${key} is the built-in rule base; give the pack a new version`);
+        }
+        if (!this.storage) {
+            throw new Error('No localStorage to keep knowledge-base packs in');
+        }
+
+        const packs = this.readStoredPacks().filter(stored => this.getPackKey(stored) !== key);
+        packs.push(pack);
+        this.storage.setItem(KNOWLEDGE_BASE_PACKS_STORAGE_KEY, JSON.stringify(packs));
+        console.log(`📦 Saved knowledge-base pack ${key}`);
+        return key;
+    }
+
+    deletePack(key) {
+        if (!this.storage) return;
+        const packs = this.readStoredPacks().filter(stored => this.getPackKey(stored) !== key);
+        this.storage.setItem(KNOWLEDGE_BASE_PACKS_STORAGE_KEY, JSON.stringify(packs));
+        if (this.getActivePackKey() === key) {
+            this.storage.removeItem(ACTIVE_PACK_STORAGE_KEY);
+        }
+    }
+
+    getActivePackKey() {
+        const key = this.storage && this.storage.getItem(ACTIVE_PACK_STORAGE_KEY);
+        return key && this.getPack(key) ? key : this.getPackKey(this.builtInPack);
+    }
+
+    /**
+     * Load a pack into the engine and remember it for the next visit
+     */
+    activatePack(key) {
+        const pack = this.getPack(key);
+        if (!pack) {
+            throw new Error(`No knowledge-base pack ${key}`);
+        }
+
+        // The built-in rules keep their original condition() predicates
+        const isBuiltIn = key === this.getPackKey(this.builtInPack);
+        this.engine.loadKnowledgeBase(isBuiltIn ? this.builtInData : this.packToData(pack));
+        if (this.storage) {
+            this.storage.setItem(ACTIVE_PACK_STORAGE_KEY, key);
+        }
+        return pack;
+    }
+}
+
+// Export for use in other files: a browser global, or module.exports under Node
+if (typeof window !== 'undefined') {
+    window.FelineNeuroKnowledgeBasePacks = FelineNeuroKnowledgeBasePacks;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FelineNeuroKnowledgeBasePacks;
+    module.exports.KNOWLEDGE_BASE_PACK_SCHEMA = KNOWLEDGE_BASE_PACK_SCHEMA;
+    module.exports.KNOWLEDGE_BASE_PACK_FORMAT = KNOWLEDGE_BASE_PACK_FORMAT;
+}
@@ -0,0 +1,196 @@
+/**
+ * Patient profiles and case timelines. A patient's age_group is derived from the
+ * date of birth on the day of each visit, and every stored diagnosis carrying a
+ * patientId becomes one visit on that patient's timeline.
+ */
+
+const PATIENT_SEXES = {
+    female: 'Female',
+    female_spayed: 'Female (spayed)',
+    male: 'Male',
+    male_neutered: 'Male (neutered)',
+    unknown: 'Unknown'
+};
+
+class FelineNeuroPatientRecords {
+    constructor(engine) {
+        this.engine = engine;
+    }
+
+    async getDatabase() {
+        await this.engine.ready;
+        if (!this.engine.database) {
+            throw new Error('Patient records need the diagnosis database, which is not available');
+        }
+        return this.engine.database;
+    }
+
+    /**
+     * Parse a YYYY-MM-DD date as local midnight (new Date() would read it as UTC)
+     */
+    parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(NaN);
+    }
+
+    /**
+     * Whole years between the date of birth and onDate
+     */
+    getAgeInYears(dateOfBirth, onDate = new Date()) {
+        const born = this.parseDate(dateOfBirth);
+        let years = onDate.getFullYear() - born.getFullYear();
+        const birthdayPassed = onDate.getMonth() > born.getMonth() ||
+            (onDate.getMonth() === born.getMonth() && onDate.getDate() >= born.getDate());
+        if (!birthdayPassed) years--;
+        return years;
+    }
+
+    /**
+     * Map a date of birth onto inputDescriptions.age_group, matching the form:
+     * kitten under 1 year, adult 1-7 years, senior 7+ years
+     */
+    deriveAgeGroup(dateOfBirth, onDate = new Date()) {
+        const years = this.getAgeInYears(dateOfBirth, onDate);
+        if (years < 1) return 'kitten';
+        if (years < 7) return 'adult';
+        return 'senior';
+    }
+
+    validatePatient(details) {
+        if (!details.name || !details.name.trim()) {
+            throw new Error('Patient name is required');
+        }
+        if (!details.sex || !PATIENT_SEXES[details.sex]) {
+            throw new Error(`Invalid patient sex: ${details.sex}`);
+        }
+
+        const born = this.parseDate(details.dateOfBirth);
+        if (isNaN(born.getTime())) {
+            throw new Error('A valid date of birth (YYYY-MM-DD) is required');
+        }
+        if (born > new Date()) {
+            throw new Error('Date of birth cannot be in the future');
+        }
+
+        if (details.weightKg !== undefined && details.weightKg !== null && details.weightKg !== '') {
+            const weight = Number(details.weightKg);
+            if (!(weight > 0)) {
+                throw new Error(`Invalid weight: ${details.weightKg}`);
+            }
+        }
+    }
+
+    /**
+     * Create or update (when details.id is set) a patient. Returns the stored record.
+     */
+    async savePatient(details) {
+        this.validatePatient(details);
+        const database = await this.getDatabase();
+        const now = new Date().toISOString();
+        const existing = details.id ? await database.getPatient(details.id) : null;
+
+        const patient = {
+            ...(existing || { createdAt: now }),
+            name: details.name.trim(),
+            breed: (details.breed || '').trim(),
+            sex: details.sex,
+            dateOfBirth: details.dateOfBirth,
+            weightKg: details.weightKg === undefined || details.weightKg === null || details.weightKg === ''
+                ? null
+                : Number(details.weightKg),
+            updatedAt: now
+        };
+        if (existing) patient.id = existing.id;
+
+        patient.id = await database.savePatient(patient);
+        console.log(`🐾 Patient saved: ${patient.name} (#${patient.id})`);
+        return patient;
+    }
+
+    async getPatient(id) {
+        const database = await this.getDatabase();
+        return database.getPatient(id);
+    }
+
+    async listPatients() {
+        const database = await this.getDatabase();
+        const patients = await database.getPatients();
+        return patients.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Every visit for the patient, oldest first, each with what changed since
+     * the previous visit
+     */
+    async getCaseTimeline(patientId) {
+        const database = await this.getDatabase();
+        const patient = await database.getPatient(patientId);
+        if (!patient) {
+            throw new Error(`Unknown patient: ${patientId}`);
+        }
+
+        const records = await database.getPatientDiagnoses(patientId);
+        const visits = records.map((record, index) => ({
+            visitNumber: index + 1,
+            recordId: record.id,
+            timestamp: record.timestamp,
+            ruleId: record.ruleId,
+            diagnosis: record.diagnosis,
+            urgency: record.urgency,
+            confidence: record.confidence,
+            inputs: record.inputs,
+            changes: index > 0 ? this.compareVisits(records[index - 1], record) : null
+        }));
+
+        return { patient, visits };
+    }
+
+    /**
+     * Signs that appeared or resolved, enumerated fields that changed value and
+     * whether the winning rule changed between two stored diagnoses
+     */
+    compareVisits(previous, current) {
+        const fields = new Set([...Object.keys(previous.inputs), ...Object.keys(current.inputs)]);
+        const changes = {
+            newSigns: [],
+            resolvedSigns: [],
+            changedFields: [],
+            previousRuleId: previous.ruleId,
+            ruleChanged: previous.ruleId !== current.ruleId
+        };
+
+        fields.delete('certainties');
+        fields.forEach(field => {
+            const before = previous.inputs[field];
+            const after = current.inputs[field];
+            if (this.isSameAnswer(before, after)) return;
+
+            if (typeof before === 'boolean' || typeof after === 'boolean') {
+                if (after === true) changes.newSigns.push(field);
+                else if (before === true) changes.resolvedSigns.push(field);
+            } else {
+                changes.changedFields.push({ field, from: before, to: after });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Multiselect answers (limbs affected) are lists: the same options in any order are the same answer
+     */
+    isSameAnswer(before, after) {
+        if (Array.isArray(before) && Array.isArray(after)) {
+            return [...before].sort().join(',') === [...after].sort().join(',');
+        }
+        return before === after;
+    }
+}
+
+// Export for use in other files: a browser global, or module.exports under Node
+if (typeof window !== 'undefined') {
+    window.FelineNeuroPatientRecords = FelineNeuroPatientRecords;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FelineNeuroPatientRecords;
+}
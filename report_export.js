@@ -0,0 +1,86 @@
+/**
+ * Consultation reports: one versioned document holding the patient, the inputs
+ * and the full diagnosis result. It is what gets printed, exported as JSON and
+ * imported back to re-display a past case.
+ */
+
+const REPORT_FORMAT = 'feline-neuro-diagnosis-report';
+
+// Bump when the document shape changes and teach parseReport to read the old one
+const REPORT_FORMAT_VERSION = 1;
+
+class FelineNeuroReportExporter {
+    constructor(engine) {
+        this.engine = engine;
+    }
+
+    buildReport(diagnosis, inputs, patient = null) {
+        if (!diagnosis || !inputs) {
+            throw new Error('No diagnosis to export; run a diagnosis first');
+        }
+
+        return {
+            format: REPORT_FORMAT,
+            formatVersion: REPORT_FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            ruleBaseVersion: this.engine.getRuleBaseVersion(),
+            patient,
+            inputs: { ...inputs },
+            result: diagnosis
+        };
+    }
+
+    toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    getFileName(report, extension = 'json') {
+        const date = (report.result.timestamp || report.exportedAt).slice(0, 10);
+        const subject = report.patient ? report.patient.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() : 'consultation';
+        return `feline-neuro-${subject}-${report.result.ruleId}-${date}.${extension}`;
+    }
+
+    /**
+     * Parse and validate an exported report. Throws on anything that is not a
+     * report this version can display.
+     */
+    parseReport(text) {
+        let report;
+        try {
+            report = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Report is not valid JSON: ${error.message}`);
+        }
+
+        if (!report || report.format !== REPORT_FORMAT) {
+            throw new Error('File is not a feline neuro diagnosis report');
+        }
+        if (typeof report.formatVersion !== 'number' || report.formatVersion > REPORT_FORMAT_VERSION) {
+            throw new Error(`Unsupported report version ${report.formatVersion}; this app reads up to version ${REPORT_FORMAT_VERSION}`);
+        }
+        if (!report.inputs || typeof report.inputs !== 'object') {
+            throw new Error('Report has no inputs');
+        }
+
+        const result = report.result;
+        const missing = ['diagnosis', 'ruleId', 'urgency', 'description'].filter(field => !result || result[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Report result is missing: ${missing.join(', ')}`);
+        }
+
+        const current = this.engine.getRuleBaseVersion();
+        if (report.ruleBaseVersion && report.ruleBaseVersion.fingerprint !== current.fingerprint) {
+            console.warn(`⚠️ Report was produced by rule base ${report.ruleBaseVersion.version} (${report.ruleBaseVersion.fingerprint}), current is ${current.version} (${current.fingerprint})`);
+        }
+
+        return report;
+    }
+}
+
+// Export for use in other files: a browser global, or module.exports under Node
+if (typeof window !== 'undefined') {
+    window.FelineNeuroReportExporter = FelineNeuroReportExporter;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FelineNeuroReportExporter;
+}
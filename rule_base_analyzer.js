@@ -0,0 +1,139 @@
+/**
+ * Knowledge base linter. Runs every rule in diagnosticRules over the whole finite
+ * input space (every value of inputDescriptions x every boolean sign) and reports
+ * which rules can ever win, what shadows them, which inputs fall through to the
+ * catch-all rule, and where condition() disagrees with the compiled premises.
+ */
+
+class FelineNeuroRuleBaseAnalyzer {
+    constructor(engine) {
+        this.engine = engine;
+    }
+
+    analyze(options = {}) {
+        const strategy = options.conflictResolution || 'priority';
+        const inputSpace = this.engine.enumerateInputSpace();
+        const diagnosticRules = this.engine.forwardChainingRules.filter(rule => rule.isDiagnosticRule);
+
+        console.log(`🔎 Analyzing ${diagnosticRules.length} rules over ${inputSpace.length} input combinations...`);
+
+        const stats = new Map(diagnosticRules.map(rule => [rule.id, {
+            fires: 0,
+            wins: 0,
+            shadowedBy: new Map(),
+            overlaps: new Map(),
+            premiseMismatches: 0,
+            mismatchExample: null
+        }]));
+        const fallThrough = [];
+
+        inputSpace.forEach(inputs => {
+            const facts = this.engine.convertInputsToFacts(inputs);
+            const inferenceResult = this.engine.forwardChaining(facts, new Map(), { silent: true });
+            const fired = inferenceResult.appliedRules.filter(rule => rule.isDiagnosticRule);
+            const winner = fired.length > 0 ? this.engine.resolveConflicts(inferenceResult, strategy).ranked[0] : null;
+
+            if (!winner || winner.rule.isFallback) {
+                fallThrough.push(inputs);
+            }
+
+            fired.forEach(rule => {
+                const ruleStats = stats.get(rule.id);
+                ruleStats.fires++;
+
+                if (winner && winner.ruleId === rule.id) {
+                    ruleStats.wins++;
+                } else if (winner) {
+                    this.increment(ruleStats.shadowedBy, winner.ruleId);
+                }
+
+                fired.forEach(other => {
+                    if (other.id !== rule.id && !other.isFallback && !rule.isFallback) {
+                        this.increment(ruleStats.overlaps, other.id);
+                    }
+                });
+            });
+
+            this.engine.compareRuleInterpretations(inputs, inferenceResult).forEach(divergence => {
+                const ruleStats = stats.get(divergence.ruleId);
+                ruleStats.premiseMismatches++;
+                if (!ruleStats.mismatchExample) {
+                    ruleStats.mismatchExample = { inputs, ...divergence };
+                }
+            });
+        });
+
+        const rules = diagnosticRules.map(rule => {
+            const ruleStats = stats.get(rule.id);
+            return {
+                ruleId: rule.id,
+                name: rule.name,
+                priority: rule.originalRule.priority,
+                isFallback: rule.isFallback,
+                fires: ruleStats.fires,
+                wins: ruleStats.wins,
+                canWin: ruleStats.wins > 0,
+                fullyShadowed: ruleStats.fires > 0 && ruleStats.wins === 0,
+                shadowedBy: this.toSortedCounts(ruleStats.shadowedBy),
+                overlaps: this.toSortedCounts(ruleStats.overlaps),
+                premiseMismatches: ruleStats.premiseMismatches,
+                mismatchExample: ruleStats.mismatchExample
+            };
+        });
+
+        return {
+            strategy,
+            inputSpaceSize: inputSpace.length,
+            rules,
+            unreachable: rules.filter(rule => !rule.canWin).map(rule => rule.ruleId),
+            neverFires: rules.filter(rule => rule.fires === 0).map(rule => rule.ruleId),
+            fallThrough: {
+                count: fallThrough.length,
+                inputs: fallThrough
+            },
+            mismatches: rules.filter(rule => rule.premiseMismatches > 0).map(rule => ({
+                ruleId: rule.ruleId,
+                count: rule.premiseMismatches,
+                example: rule.mismatchExample
+            })),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    increment(counts, key) {
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    toSortedCounts(counts) {
+        return Array.from(counts, ([ruleId, count]) => ({ ruleId, count })).sort((a, b) => b.count - a.count);
+    }
+
+    formatReport(report) {
+        let text = `Rule Base Analysis (${report.strategy} conflict resolution)\n\n`;
+        text += `📊 Input combinations checked: ${report.inputSpaceSize}\n`;
+        text += `🚫 Rules that can never win: ${report.unreachable.length ? report.unreachable.join(', ') : 'none'}\n`;
+        text += `🕳️ Inputs falling through to the catch-all: ${report.fallThrough.count}\n`;
+        text += `⚠️ condition()/premise mismatches: ${report.mismatches.length ? report.mismatches.map(m => `${m.ruleId} (${m.count})`).join(', ') : 'none'}\n\n`;
+
+        text += `📋 Rules:\n`;
+        report.rules.forEach(rule => {
+            const status = rule.canWin ? '✅' : (rule.fires === 0 ? '⛔' : '🌑');
+            text += `${status} ${rule.priority}. ${rule.ruleId}: wins ${rule.wins} / fires ${rule.fires}\n`;
+            if (rule.shadowedBy.length > 0 && !rule.isFallback) {
+                text += `     shadowed by: ${rule.shadowedBy.map(s => `${s.ruleId} (${s.count})`).join(', ')}\n`;
+            }
+            if (rule.premiseMismatches > 0) {
+                text += `     condition() disagrees with premises on ${rule.premiseMismatches} inputs\n`;
+            }
+        });
+        return text;
+    }
+}
+
+// Export for use in other files: a browser global, or module.exports under Node
+if (typeof window !== 'undefined') {
+    window.FelineNeuroRuleBaseAnalyzer = FelineNeuroRuleBaseAnalyzer;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FelineNeuroRuleBaseAnalyzer;
+}
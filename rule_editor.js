@@ -0,0 +1,340 @@
+/**
+ * User rule set: diagnostic rules written in the in-app editor, kept in
+ * localStorage and loaded by the engine alongside the built-in diagnosticRules.
+ * A draft rule can be previewed over the enumerated input space to see which
+ * inputs it captures and which rules it would take them from.
+ */
+
+const USER_RULES_STORAGE_KEY = 'felineNeuroUserRules';
+
+const USER_RULE_ID_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+// Placeholder id so a draft can be previewed before it has a name
+const DRAFT_RULE_ID = 'DRAFT_RULE';
+
+/**
+ * localStorage, or null where there is none. Reading it throws when the browser
+ * blocks storage for the page.
+ */
+function getUserRuleStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        console.warn('⚠️ localStorage is unavailable:', error);
+        return null;
+    }
+}
+
+class FelineNeuroRuleEditor {
+    constructor(engine, storage = getUserRuleStorage()) {
+        this.engine = engine;
+        this.storage = storage;
+        this.rules = [];
+        this.baseline = null;
+    }
+
+    /**
+     * Read the saved user rules and hand them to the engine. A saved rule that no
+     * longer validates (e.g. it now clashes with a built-in rule) is skipped.
+     */
+    load() {
+        let saved = [];
+        try {
+            saved = JSON.parse((this.storage && this.storage.getItem(USER_RULES_STORAGE_KEY)) || '[]');
+        } catch (error) {
+            console.warn('⚠️ Saved user rules are not valid JSON, ignoring them:', error);
+        }
+
+        this.rules = [];
+        (Array.isArray(saved) ? saved : []).forEach(rule => {
+            try {
+                this.validateRule(rule);
+                this.rules.push(rule);
+            } catch (error) {
+                console.warn(`⚠️ Skipping saved user rule ${rule && rule.id}: ${error.message}`);
+            }
+        });
+
+        this.engine.setUserRules(this.rules);
+        return this.rules;
+    }
+
+    getRules() {
+        return [...this.rules].sort((a, b) => a.priority - b.priority);
+    }
+
+    getRule(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    /**
+     * Rule object from the editor fields. Condition rows are { field, value, negate },
+     * combined with match 'all' or 'any'; clinical notes and next steps are one per line.
+     */
+    buildRule(fields) {
+        const name = (fields.name || '').trim();
+        const id = (fields.id || '').trim()
+            ? fields.id.trim().toUpperCase()
+            : name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        const conditions = (fields.conditions || []).map(({ field, value, negate }) => {
+            const comparison = { field, equals: this.parseValue(field, value) };
+            return negate ? { not: comparison } : comparison;
+        });
+
+        return {
+            id,
+            name,
+            priority: fields.priority === '' || fields.priority === undefined ? NaN : Number(fields.priority),
+            urgency: fields.urgency,
+            conditionTree: { [fields.match === 'any' ? 'any' : 'all']: conditions },
+            description: (fields.description || '').trim(),
+            clinicalNotes: this.splitLines(fields.clinicalNotes),
+            nextSteps: this.splitLines(fields.nextSteps)
+        };
+    }
+
+    /**
+     * The editor fields for a saved rule, the inverse of buildRule
+     */
+    toFields(rule) {
+        const match = rule.conditionTree.any ? 'any' : 'all';
+        return {
+            id: rule.id,
+            name: rule.name,
+            priority: rule.priority,
+            urgency: rule.urgency,
+            match,
+            conditions: rule.conditionTree[match].map(node => {
+                const comparison = node.not || node;
+                return { field: comparison.field, value: String(comparison.equals), negate: Boolean(node.not) };
+            }),
+            description: rule.description,
+            clinicalNotes: (rule.clinicalNotes || []).join('\n'),
+            nextSteps: (rule.nextSteps || []).join('\n')
+        };
+    }
+
+    parseValue(field, value) {
+        const definition = this.engine.getFieldDefinition(field);
+        if (definition && definition.type === 'boolean') {
+            return value === true || value === 'true';
+        }
+        return value;
+    }
+
+    splitLines(text) {
+        return String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    }
+
+    /**
+     * Throws on the first problem. originalId is the id of the user rule being
+     * edited, so it does not clash with itself.
+     */
+    validateRule(rule, originalId = null) {
+        if (!rule || typeof rule !== 'object') {
+            throw new Error('Rule must be an object');
+        }
+        if (!rule.name || !String(rule.name).trim()) {
+            throw new Error('Rule name is required');
+        }
+        if (!USER_RULE_ID_PATTERN.test(rule.id || '')) {
+            throw new Error(`Invalid rule id: ${rule.id} (use upper case letters, digits and underscores)`);
+        }
+
+        const builtInRules = this.engine.baseData.diagnosticRules;
+        const otherUserRules = this.rules.filter(userRule => userRule.id !== originalId);
+        if (builtInRules.some(builtIn => builtIn.id === rule.id)) {
+            throw new Error(`${rule.id} is a built-in rule id`);
+        }
+        if (otherUserRules.some(userRule => userRule.id === rule.id)) {
+            throw new Error(`You already have a rule with id ${rule.id}`);
+        }
+
+        this.validatePriority(rule.priority, [...builtInRules, ...otherUserRules]);
+
+        if (!this.engine.data.urgencyLevels[rule.urgency]) {
+            throw new Error(`Invalid urgency: ${rule.urgency}`);
+        }
+        this.validateConditionTree(rule.conditionTree);
+
+        if (!rule.description || !String(rule.description).trim()) {
+            throw new Error('Rule description is required');
+        }
+        ['clinicalNotes', 'nextSteps'].forEach(key => {
+            if (rule[key] !== undefined && (!Array.isArray(rule[key]) || rule[key].some(line => typeof line !== 'string'))) {
+                throw new Error(`${key} must be a list of text lines`);
+            }
+        });
+    }
+
+    /**
+     * Priorities are unique, and below the catch-all rule's: the waterfall
+     * evaluates the catch-all last, so a rule after it could never be reached.
+     */
+    validatePriority(priority, otherRules) {
+        if (typeof priority !== 'number' || !isFinite(priority) || priority <= 0) {
+            throw new Error('Priority must be a positive number (decimals such as 14.5 slot between rules)');
+        }
+
+        const fallback = this.engine.forwardChainingRules.find(rule => rule.isFallback);
+        if (fallback && priority >= fallback.originalRule.priority) {
+            throw new Error(`Priority must be below ${fallback.originalRule.priority} (${fallback.name}, the catch-all rule)`);
+        }
+
+        const clash = otherRules.find(other => other.priority === priority);
+        if (clash) {
+            throw new Error(`Priority ${priority} is already used by ${clash.name}`);
+        }
+    }
+
+    validateConditionTree(tree) {
+        const conditions = tree && (tree.all || tree.any);
+        if (!Array.isArray(conditions) || conditions.length === 0) {
+            throw new Error('Add at least one condition');
+        }
+        // Throws on unknown fields and values
+        this.engine.compileConditionTree(tree);
+    }
+
+    /**
+     * Validate and save a rule (replacing the user rule originalId when editing),
+     * then reload the engine's rules. Returns the saved rule.
+     */
+    saveRule(rule, originalId = null) {
+        this.validateRule(rule, originalId);
+
+        const index = this.rules.findIndex(userRule => userRule.id === originalId);
+        if (index === -1) {
+            this.rules.push(rule);
+        } else {
+            this.rules[index] = rule;
+        }
+
+        this.persist();
+        console.log(`📝 Saved user rule ${rule.id}`);
+        return rule;
+    }
+
+    deleteRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.persist();
+        console.log(`🗑️ Deleted user rule ${id}`);
+    }
+
+    persist() {
+        if (this.storage) {
+            this.storage.setItem(USER_RULES_STORAGE_KEY, JSON.stringify(this.rules));
+        } else {
+            console.warn('⚠️ No localStorage; user rules only last for this session');
+        }
+        this.engine.setUserRules(this.rules);
+    }
+
+    /**
+     * What a draft rule would change. Every enumerated input where its conditions
+     * hold is captured; the draft then either wins it (taking it from the rule that
+     * won before) or still loses it to a rule ranked ahead of it.
+     */
+    preview(rule, originalId = null, strategy = 'priority') {
+        this.validateConditionTree(rule.conditionTree);
+        const otherRules = [...this.engine.baseData.diagnosticRules, ...this.rules.filter(userRule => userRule.id !== originalId)];
+        this.validatePriority(rule.priority, otherRules);
+
+        const draft = this.engine.convertToForwardChainingRules([{
+            urgency: 'MODERATE',
+            ...rule,
+            id: rule.id || DRAFT_RULE_ID,
+            name: rule.name || 'Draft rule'
+        }]).find(forwardRule => forwardRule.isDiagnosticRule);
+
+        const baseline = this.getBaseline(originalId, strategy, rule);
+        const rules = [...baseline.rules, draft];
+        // Baseline facts are the answers; the draft's premise goes through the findings drawn from them
+        const answerPremise = this.engine.compileConditionTree(rule.conditionTree);
+        const takenFrom = new Map();
+        const keptBy = new Map();
+        let captured = 0;
+        let wins = 0;
+
+        baseline.entries.forEach(entry => {
+            if (this.engine.matchPremise(answerPremise, entry.facts) === null) return;
+            captured++;
+
+            const winner = this.findWinner(entry.facts, rules, strategy);
+            if (winner === draft.id) {
+                wins++;
+                this.tally(takenFrom, entry.winner, entry.inputs);
+            } else {
+                this.tally(keptBy, winner, entry.inputs);
+            }
+        });
+
+        return {
+            ruleId: draft.id,
+            strategy,
+            inputSpaceSize: baseline.entries.length,
+            captured,
+            wins,
+            takenFrom: this.toRuleCounts(takenFrom),
+            keptBy: this.toRuleCounts(keptBy)
+        };
+    }
+
+    /**
+     * Winner for every enumerated input under the current rules minus the one being
+     * edited. Cached until the rule set changes, so live previews only re-run the
+     * inputs the draft captures. Optional findings the draft tests widen the input
+     * space, so they are part of the cache key.
+     */
+    getBaseline(excludedId, strategy, draft) {
+        const draftFindings = this.engine.getConditionTreeComparisons(draft.conditionTree)
+            .filter(({ field }) => {
+                const definition = this.engine.getFieldDefinition(field);
+                return !definition.required && definition.type !== 'boolean';
+            })
+            .map(({ field, equals }) => `${field}=${equals}`)
+            .sort()
+            .join(',');
+        const key = `${this.engine.getRuleBaseVersion().fingerprint}:${excludedId || ''}:${strategy}:${draftFindings}`;
+        if (this.baseline && this.baseline.key === key) {
+            return this.baseline;
+        }
+
+        const rules = this.engine.forwardChainingRules.filter(rule => rule.id !== excludedId);
+        const inputSpace = this.engine.enumerateInputSpace([...this.engine.data.diagnosticRules, draft]);
+        const entries = inputSpace.map(inputs => {
+            const facts = this.engine.convertInputsToFacts(inputs);
+            return { inputs, facts, winner: this.findWinner(facts, rules, strategy) };
+        });
+
+        this.baseline = { key, rules, entries };
+        return this.baseline;
+    }
+
+    findWinner(facts, rules, strategy) {
+        const inferenceResult = this.engine.forwardChaining(facts, new Map(), { silent: true, rules });
+        const fired = inferenceResult.appliedRules.some(rule => rule.isDiagnosticRule);
+        return fired ? this.engine.resolveConflicts(inferenceResult, strategy).ranked[0].ruleId : 'UNDETERMINED';
+    }
+
+    tally(counts, ruleId, inputs) {
+        const entry = counts.get(ruleId) || { count: 0, example: inputs };
+        entry.count++;
+        counts.set(ruleId, entry);
+    }
+
+    toRuleCounts(counts) {
+        return Array.from(counts, ([ruleId, { count, example }]) => {
+            const rule = this.engine.data.diagnosticRules.find(r => r.id === ruleId);
+            return { ruleId, name: rule ? rule.name : ruleId, count, example };
+        }).sort((a, b) => b.count - a.count);
+    }
+}
+
+// Export for use in other files: a browser global, or module.exports under Node
+if (typeof window !== 'undefined') {
+    window.FelineNeuroRuleEditor = FelineNeuroRuleEditor;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FelineNeuroRuleEditor;
+}
@@ -1,3 +1,11 @@
+// How sure the observer is of an answer, offered for every field of the form
+const CERTAINTY_LEVELS = [
+    { value: 1, label: 'Certain' },
+    { value: 0.8, label: 'Fairly sure' },
+    { value: 0.6, label: 'Unsure' },
+    { value: 0.4, label: 'Doubtful' }
+];
+
 class FelineNeuroDiagnosisApp {
     constructor() {
         console.log('🐱 Initializing Feline Neurological Diagnosis App...');
@@ -13,7 +21,26 @@ class FelineNeuroDiagnosisApp {
         }
         
         this.engine = new FelineNeuroForwardChainingEngine(FelineNeuroDiagnosisData);
+        this.ruleEditor = new FelineNeuroRuleEditor(this.engine);
+        this.knowledgeBasePacks = new FelineNeuroKnowledgeBasePacks(this.engine, FelineNeuroDiagnosisData, this.ruleEditor.storage);
+        this.loadActivePack();
+        this.ruleEditor.load();
+        this.editingRuleId = null;
+        this.rulePreviewTimer = null;
         this.isAnalyzing = false;
+        this.consultation = null;
+        this.symptomIntake = new FelineNeuroSymptomIntake(this.engine);
+        this.intakeResult = null;
+        this.patientRecords = new FelineNeuroPatientRecords(this.engine);
+        this.reportExporter = new FelineNeuroReportExporter(this.engine);
+        this.chatAssistant = new FelineNeuroChatAssistant(this.engine, this.ruleEditor.storage, null, new FelineNeuroChatGuardrails(this.engine));
+        this.isChatting = false;
+        this.fhirMapper = new FelineNeuroFHIRMapper(this.engine);
+        this.importedReport = null;
+        this.currentPatient = null;
+        this.historyPageSize = 20;
+        this.historyOffset = 0;
+        this.historyRequest = 0;
         this.initializeUI();
         
         console.log('✅ Application initialized successfully');
@@ -33,7 +60,19 @@ class FelineNeuroDiagnosisApp {
             console.error('❌ Could not find run diagnosis button with ID: runDiagnosisBtn');
         }
 
+        this.renderInputForm();
         this.setupFormValidation();
+        this.setupHypothesisVerification();
+        this.setupConsultation();
+        this.setupSymptomIntake();
+        this.setupWhyNotQuery();
+        this.setupPatientRecords();
+        this.setupHistory();
+        this.setupReportExport();
+        this.setupChat();
+        this.setupKnowledgeBasePacks();
+        this.setupRuleEditor();
+        this.populateRuleSelects();
         console.log('✅ UI initialization complete');
     }
 
@@ -41,16 +80,460 @@ class FelineNeuroDiagnosisApp {
         const form = document.getElementById('diagnosisForm');
         if (!form) return;
 
-        const inputs = form.querySelectorAll('select, input[type="checkbox"]');
-        inputs.forEach(input => {
-            input.addEventListener('change', () => {
-                this.updateFormCompleteness();
+        // Listen on the form, since the fields are rebuilt when the knowledge base changes
+        form.addEventListener('change', () => {
+            this.updateFormCompleteness();
+        });
+
+        this.updateFormCompleteness();
+    }
+
+    /**
+     * Build the assessment fields from the knowledge base's inputSchema: one
+     * section each, selects, measurements and multiselects in a row, then the
+     * signs as checkbox cards. Re-rendering clears every answer.
+     */
+    renderInputForm() {
+        const container = document.getElementById('inputFields');
+        if (!container) return;
+
+        // Packs from before inputSchema have no sections
+        const schema = this.engine.getInputSchema();
+        const sections = {
+            ...schema.sections,
+            assessment: schema.sections.assessment || { title: 'Assessment', icon: 'fa-info-circle' },
+            signs: schema.sections.signs || { title: 'Specific Clinical Signs', icon: 'fa-clipboard-check' }
+        };
+        const sectionOf = definition => definition.section || (definition.type === 'boolean' ? 'signs' : 'assessment');
+        const fields = Object.values(schema.fields);
+
+        const escape = value => this.escapeHtml(value);
+        container.innerHTML = Object.entries(sections).map(([sectionId, section]) => {
+            const sectionFields = fields.filter(definition => sectionOf(definition) === sectionId);
+            if (sectionFields.length === 0) return '';
+
+            const controls = sectionFields.filter(definition => definition.type !== 'boolean');
+            const signs = sectionFields.filter(definition => definition.type === 'boolean');
+            return `
+                <div class="form-section">
+                    <h3><i class="fa-solid ${escape(section.icon || 'fa-list')}"></i> ${escape(section.title)}</h3>
+                    ${controls.length > 0 ? `<div class="form-row">${controls.map(definition => this.renderInputControl(definition)).join('')}</div>` : ''}
+                    ${signs.length > 0 ? `<div class="symptoms-grid">${signs.map(definition => this.renderSignCard(definition)).join('')}</div>` : ''}
+                </div>
+            `;
+        }).join('') + this.renderCertaintySection(fields);
+    }
+
+    /**
+     * One certainty select per field, collapsed by default since most answers are certain
+     */
+    renderCertaintySection(fields) {
+        const escape = value => this.escapeHtml(value);
+        return `
+            <details class="form-section certainty-section" id="certaintySection">
+                <summary><i class="fa-solid fa-scale-balanced"></i> How sure are you of each answer? (optional)</summary>
+                <p class="certainty-hint">Lower the certainty of an answer you are unsure of, e.g. a head tilt the owner only thinks they saw. Conclusions that rest on it become less certain.</p>
+                <div class="certainty-grid">
+                    ${fields.map(definition => `
+                        <label class="certainty-row">
+                            <span>${escape(definition.label)}</span>
+                            <select id="certainty_${escape(definition.field)}" class="form-select">
+                                ${CERTAINTY_LEVELS.map(level => `<option value="${level.value}">${level.label}</option>`).join('')}
+                            </select>
+                        </label>
+                    `).join('')}
+                </div>
+            </details>
+        `;
+    }
+
+    renderInputControl(definition) {
+        const escape = value => this.escapeHtml(value);
+        const field = escape(definition.field);
+        const { label, hint, unit } = definition;
+        let control;
+        if (definition.type === 'number') {
+            control = `<input type="number" id="${field}" class="form-select"${definition.min !== undefined ? ` min="${escape(definition.min)}"` : ''}${definition.max !== undefined ? ` max="${escape(definition.max)}"` : ''} step="${escape(definition.step || 'any')}" placeholder="${escape(definition.placeholder || unit || '')}"${definition.required ? ' required' : ''}>`;
+        } else if (definition.type === 'multiselect') {
+            control = `
+                <div id="${field}" class="multiselect-options">
+                    ${definition.domain.map(option => `
+                        <label class="multiselect-option"><input type="checkbox" value="${escape(option)}"> ${escape(definition.options[option])}</label>
+                    `).join('')}
+                </div>
+            `;
+        } else {
+            const optionLabels = definition.optionLabels || {};
+            control = `
+                <select id="${field}" class="form-select"${definition.required ? ' required' : ''}>
+                    <option value="">${escape(definition.placeholder || `Select ${label}`)}</option>
+                    ${definition.domain.map(value => `<option value="${escape(value)}">${escape(optionLabels[value] || value)}</option>`).join('')}
+                </select>
+            `;
+        }
+
+        return `
+            <div class="form-group">
+                <label${definition.type === 'multiselect' ? '' : ` for="${field}"`}>
+                    ${escape(label)}${unit ? ` (${escape(unit)})` : ''}
+                    ${hint ? `<i class="fa-solid fa-info-circle info-icon" title="${escape(hint)}"></i>` : ''}
+                </label>
+                ${control}
+            </div>
+        `;
+    }
+
+    renderSignCard(definition) {
+        const escape = value => this.escapeHtml(value);
+        return `
+            <label class="checkbox-card"${definition.hint ? ` title="${escape(definition.hint)}"` : ''}>
+                <input type="checkbox" id="${escape(definition.field)}">
+                <div class="checkbox-content">
+                    <i class="fa-solid ${escape(definition.icon || 'fa-check')}"></i>
+                    <span>${escape(definition.label)}</span>
+                    ${definition.summary ? `<small>${escape(definition.summary)}</small>` : ''}
+                </div>
+            </label>
+        `;
+    }
+
+    setupHypothesisVerification() {
+        const select = document.getElementById('hypothesisSelect');
+        const verifyBtn = document.getElementById('verifyHypothesisBtn');
+        if (!select || !verifyBtn) return;
+
+        verifyBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.verifyHypothesis();
+        });
+    }
+
+    /**
+     * Backward chaining check of the selected diagnosis against the current form
+     */
+    verifyHypothesis() {
+        const select = document.getElementById('hypothesisSelect');
+        if (!select || !select.value) {
+            alert('Please select a diagnosis to verify');
+            return;
+        }
+
+        try {
+            const result = this.engine.verifyHypothesis(select.value, this.collectInputs());
+            console.log('🔙 Hypothesis verification result:', result);
+
+            document.getElementById('hypothesisExplanation').textContent = result.explanation;
+            const container = document.getElementById('hypothesisResult');
+            container.className = `logic-explanation hypothesis-result hypothesis-${result.status}`;
+            container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } catch (error) {
+            console.error('❌ Hypothesis verification error:', error);
+            alert('An error occurred while verifying the hypothesis. Please try again.');
+        }
+    }
+
+    setupConsultation() {
+        const startBtn = document.getElementById('startConsultationBtn');
+        const cancelBtn = document.getElementById('cancelConsultationBtn');
+        if (!startBtn || !cancelBtn || typeof FelineNeuroConsultation === 'undefined') return;
+
+        startBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.startConsultation();
+        });
+        cancelBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.endConsultation();
+        });
+    }
+
+    /**
+     * Guided consultation: one question at a time instead of the full form
+     */
+    startConsultation() {
+        console.log('💬 Starting guided consultation...');
+        this.consultation = new FelineNeuroConsultation(this.engine);
+        if (this.currentPatient) {
+            this.consultation.answer('age_group', this.patientRecords.deriveAgeGroup(this.currentPatient.dateOfBirth));
+        }
+        document.getElementById('diagnosisForm').classList.add('hidden');
+        document.getElementById('consultationPanel').classList.remove('hidden');
+        this.renderConsultationQuestion();
+    }
+
+    endConsultation() {
+        this.consultation = null;
+        document.getElementById('consultationPanel').classList.add('hidden');
+        document.getElementById('diagnosisForm').classList.remove('hidden');
+    }
+
+    renderConsultationQuestion() {
+        const question = this.consultation.nextQuestion();
+        if (!question) {
+            this.finishConsultation();
+            return;
+        }
+
+        document.getElementById('consultationProgress').textContent =
+            `Question ${question.questionNumber} · ${question.candidateCount} possible diagnoses remain`;
+        document.getElementById('consultationPrompt').textContent = question.prompt;
+
+        const options = document.getElementById('consultationOptions');
+        options.innerHTML = '';
+        const typed = question.type === 'number' || question.type === 'multiselect';
+        if (typed) {
+            options.appendChild(this.renderConsultationAnswerForm(question));
+        }
+        question.options
+            .filter(option => !typed || option.value === FelineNeuroConsultation.UNKNOWN_ANSWER)
+            .forEach(option => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'consultation-option';
+                button.innerHTML = `<strong>${this.escapeHtml(option.label)}</strong>${option.description ? `<small>${this.escapeHtml(option.description)}</small>` : ''}`;
+                button.addEventListener('click', () => this.answerConsultationQuestion(question.field, option.value));
+                options.appendChild(button);
             });
+    }
+
+    /**
+     * A measurement is typed in, with its ranges as a guide; a multiselect is
+     * a set of checkboxes where ticking none is an answer too
+     */
+    renderConsultationAnswerForm(question) {
+        const escape = value => this.escapeHtml(value);
+        const form = document.createElement('div');
+        form.className = 'consultation-answer';
+        const choices = question.options.filter(option => option.value !== FelineNeuroConsultation.UNKNOWN_ANSWER);
+
+        if (question.type === 'number') {
+            form.innerHTML = `
+                <input type="number" class="form-select"${question.min !== undefined ? ` min="${escape(question.min)}"` : ''}${question.max !== undefined ? ` max="${escape(question.max)}"` : ''} step="${escape(question.step || 'any')}" placeholder="${escape(question.unit || '')}">
+                <small>${choices.map(option => escape(option.label)).join(' · ')}</small>
+                <button type="button" class="config-btn primary">Answer</button>
+            `;
+        } else {
+            form.innerHTML = `
+                <div class="multiselect-options">
+                    ${choices.map(option => `<label class="multiselect-option"><input type="checkbox" value="${escape(option.value)}"> ${escape(option.label)}</label>`).join('')}
+                </div>
+                <button type="button" class="config-btn primary">Answer</button>
+            `;
+        }
+
+        form.querySelector('button').addEventListener('click', () => {
+            const value = question.type === 'number'
+                ? form.querySelector('input').value
+                : Array.from(form.querySelectorAll('input:checked')).map(input => input.value);
+            this.answerConsultationQuestion(question.field, value);
         });
+        return form;
+    }
+
+    answerConsultationQuestion(field, value) {
+        try {
+            this.consultation.answer(field, value);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.renderConsultationQuestion();
+    }
+
+    finishConsultation() {
+        const consultation = this.consultation;
+        try {
+            const diagnosis = consultation.finish({ verify: true, patientId: this.getCurrentPatientId() });
+            console.log('✅ Consultation result:', diagnosis);
+            this.applyConsultationAnswers(consultation.answers);
+            this.endConsultation();
+            this.displayResult(diagnosis);
+            this.refreshCaseTimeline();
+            this.refreshHistoryViews();
+        } catch (error) {
+            console.error('❌ Consultation error:', error);
+            alert('An error occurred during the consultation. Please try again.');
+            this.endConsultation();
+        }
+    }
 
+    /**
+     * Copy answered consultation questions back into the full form
+     */
+    applyConsultationAnswers(answers) {
+        const { certainties, ...values } = answers;
+        Object.entries(values).forEach(([field, value]) => {
+            const element = document.getElementById(field);
+            if (!element) return;
+            if (element.type === 'checkbox') {
+                element.checked = value === true;
+            } else if (Array.isArray(value)) {
+                element.querySelectorAll('input[type="checkbox"]').forEach(input => {
+                    input.checked = value.includes(input.value);
+                });
+            } else {
+                element.value = value === null ? '' : value;
+            }
+        });
+        if (certainties) {
+            this.applyCertainties(certainties);
+        }
         this.updateFormCompleteness();
     }
 
+    /**
+     * Set the certainty selects, adding an option for a level the form does not offer
+     */
+    applyCertainties(certainties) {
+        Object.entries(certainties).forEach(([field, cf]) => {
+            const select = document.getElementById(`certainty_${field}`);
+            if (!select) return;
+            if (!Array.from(select.options).some(option => Number(option.value) === cf)) {
+                select.add(new Option(`${Math.round(cf * 100)}% sure`, String(cf)));
+            }
+            select.value = String(cf);
+        });
+        const section = document.getElementById('certaintySection');
+        if (section && Object.values(certainties).some(cf => cf < 1)) {
+            section.open = true;
+        }
+    }
+
+    setupSymptomIntake() {
+        const startBtn = document.getElementById('startIntakeBtn');
+        const readBtn = document.getElementById('readIntakeBtn');
+        const applyBtn = document.getElementById('applyIntakeBtn');
+        const cancelBtn = document.getElementById('cancelIntakeBtn');
+        if (!startBtn || !readBtn || !applyBtn || !cancelBtn) return;
+
+        startBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            document.getElementById('intakePanel').classList.remove('hidden');
+            document.getElementById('intakeText').focus();
+        });
+        readBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.readSymptomDescription();
+        });
+        applyBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.applySymptomIntake();
+        });
+        cancelBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.endSymptomIntake();
+        });
+    }
+
+    /**
+     * Free-text intake: extract values from the owner's description and show
+     * them, with the phrases behind each one, for confirmation
+     */
+    readSymptomDescription() {
+        const text = document.getElementById('intakeText').value.trim();
+        if (!text) {
+            alert('Please enter a description of the symptoms first.');
+            return;
+        }
+
+        this.intakeResult = this.symptomIntake.extract(text);
+        console.log('📝 Symptom intake:', this.intakeResult);
+        this.renderIntakeHighlight(text, this.intakeResult.matches);
+        this.renderIntakeValues(this.intakeResult);
+        document.getElementById('intakeReview').classList.remove('hidden');
+    }
+
+    /**
+     * The description as text nodes, with each matched phrase in a <mark>.
+     * Built from DOM nodes because the text is the user's own.
+     */
+    renderIntakeHighlight(text, matches) {
+        const container = document.getElementById('intakeHighlight');
+        container.innerHTML = '';
+
+        let position = 0;
+        matches.forEach(match => {
+            container.appendChild(document.createTextNode(text.slice(position, match.start)));
+            const mark = document.createElement('mark');
+            mark.className = `intake-mark${match.negated ? ' negated' : ''}`;
+            mark.dataset.field = match.field;
+            mark.title = `${match.field.replace(/_/g, ' ')}: ${this.formatIntakeValue(match.value)}`;
+            mark.textContent = match.text;
+            container.appendChild(mark);
+            position = match.end;
+        });
+        container.appendChild(document.createTextNode(text.slice(position)));
+    }
+
+    /**
+     * One row per extracted field, in form order, ticked by default. Hovering a
+     * row highlights the phrases that produced it.
+     */
+    renderIntakeValues(result) {
+        const list = document.getElementById('intakeValues');
+        list.innerHTML = '';
+
+        const fields = this.engine.getInputFields().filter(field => field in result.values);
+        if (fields.length === 0) {
+            list.innerHTML = '<li class="intake-empty">No symptoms recognized. Try describing what the cat does, e.g. "walks like she\'s drunk".</li>';
+            document.getElementById('applyIntakeBtn').disabled = true;
+            return;
+        }
+
+        fields.forEach(field => {
+            const phrases = result.matches.filter(match => match.field === field).map(match => `"${match.text}"`);
+            const item = document.createElement('li');
+            item.className = 'intake-value';
+            item.innerHTML = `
+                <label>
+                    <input type="checkbox" data-field="${this.escapeHtml(field)}" checked>
+                    <strong>${this.escapeHtml(`${field.replace(/_/g, ' ')}: ${this.formatIntakeValue(result.values[field])}`)}</strong>
+                </label>
+                <small class="intake-phrases"></small>
+                ${result.conflicts[field] ? `<small class="intake-conflict">Description also mentions: ${this.escapeHtml(result.conflicts[field]
+                    .filter(value => value !== result.values[field]).map(value => this.formatIntakeValue(value)).join(', '))}</small>` : ''}
+            `;
+            item.querySelector('.intake-phrases').textContent = `From ${phrases.join(', ')}`;
+
+            const toggleMarks = active => document.querySelectorAll(`#intakeHighlight .intake-mark[data-field="${field}"]`)
+                .forEach(mark => mark.classList.toggle('active', active));
+            item.addEventListener('mouseenter', () => toggleMarks(true));
+            item.addEventListener('mouseleave', () => toggleMarks(false));
+            list.appendChild(item);
+        });
+        document.getElementById('applyIntakeBtn').disabled = false;
+    }
+
+    formatIntakeValue(value) {
+        if (value === true) return 'yes';
+        if (value === false) return 'no';
+        return value;
+    }
+
+    /**
+     * Copy the ticked values into the form; fields the description did not mention keep their values
+     */
+    applySymptomIntake() {
+        if (!this.intakeResult) return;
+
+        const answers = {};
+        document.querySelectorAll('#intakeValues input[type="checkbox"]:checked').forEach(checkbox => {
+            answers[checkbox.dataset.field] = this.intakeResult.values[checkbox.dataset.field];
+        });
+        console.log('✅ Applying symptom intake:', answers);
+        this.applyConsultationAnswers(answers);
+        this.endSymptomIntake();
+    }
+
+    endSymptomIntake() {
+        this.intakeResult = null;
+        document.getElementById('intakeText').value = '';
+        document.getElementById('intakeHighlight').innerHTML = '';
+        document.getElementById('intakeValues').innerHTML = '';
+        document.getElementById('intakeReview').classList.add('hidden');
+        document.getElementById('intakePanel').classList.add('hidden');
+    }
+
     /**
      * Update form completeness indicator
      */
@@ -88,15 +571,15 @@ class FelineNeuroDiagnosisApp {
      * Calculate form completeness
      */
     calculateInputCompleteness(inputs) {
-        const requiredFields = ['age_group', 'onset_speed', 'mobility_status', 'seizures'];
-        const booleanFields = ['eye_signs', 'pain_signs', 'head_tilt', 'recent_trauma', 'cold_limbs', 'neck_flexion', 'ear_issues'];
+        const requiredFields = this.engine.getInputFields().filter(field => this.engine.getFieldDefinition(field).required);
+        const booleanFields = this.engine.getBooleanInputFields();
         
         const totalFields = requiredFields.length + booleanFields.length;
         let completed = 0;
         
-        // Check required dropdowns
+        // Check required fields
         requiredFields.forEach(field => {
-            if (inputs[field] && inputs[field] !== '') {
+            if (this.engine.isAnswered(inputs[field])) {
                 completed++;
             }
         });
@@ -104,7 +587,7 @@ class FelineNeuroDiagnosisApp {
         // Check boolean fields (they're always "complete" since they default to false)
         completed += booleanFields.length;
         
-        const isComplete = requiredFields.every(field => inputs[field] && inputs[field] !== '');
+        const isComplete = requiredFields.every(field => this.engine.isAnswered(inputs[field]));
         
         return {
             completed,
@@ -142,12 +625,18 @@ class FelineNeuroDiagnosisApp {
             
             // Run forward chaining diagnosis
             console.log('🧠 Running forward chaining engine...');
-            const diagnosis = this.engine.runDiagnosis(inputs, { skipConfirmation: true });
+            const diagnosis = this.engine.runDiagnosis(inputs, {
+                skipConfirmation: true,
+                verify: true,
+                patientId: this.getCurrentPatientId()
+            });
             
             console.log('✅ Forward chaining diagnosis result:', diagnosis);
             
             // Display result
             this.displayResult(diagnosis);
+            this.refreshCaseTimeline();
+            this.refreshHistoryViews();
             
         } catch (error) {
             console.error('❌ Diagnosis error:', error);
@@ -159,44 +648,68 @@ class FelineNeuroDiagnosisApp {
     }
 
     /**
-     * Collect form inputs
+     * Collect form inputs. Optional findings left blank are not part of the case.
+     * Answers marked less than certain go in inputs.certainties.
      */
     collectInputs() {
         const inputs = {};
+        const certainties = {};
         
-        // Collect dropdown values
-        const selects = ['age_group', 'onset_speed', 'mobility_status', 'seizures'];
-        selects.forEach(id => {
-            const element = document.getElementById(id);
-            inputs[id] = element ? element.value : '';
-        });
-        
-        // Collect checkbox values
-        const checkboxes = ['eye_signs', 'pain_signs', 'head_tilt', 'recent_trauma', 'cold_limbs', 'neck_flexion', 'ear_issues'];
-        checkboxes.forEach(id => {
-            const element = document.getElementById(id);
-            inputs[id] = element ? element.checked : false;
+        Object.values(this.engine.getInputSchema().fields).forEach(definition => {
+            const value = this.readInputField(definition);
+            if (definition.required || definition.type === 'boolean' || this.engine.isAnswered(value)) {
+                inputs[definition.field] = value;
+            }
+            const certainty = document.getElementById(`certainty_${definition.field}`);
+            if (certainty && Number(certainty.value) < 1 && this.engine.isAnswered(value)) {
+                certainties[definition.field] = Number(certainty.value);
+            }
         });
         
+        if (Object.keys(certainties).length > 0) {
+            inputs.certainties = certainties;
+        }
         return inputs;
     }
 
+    readInputField(definition) {
+        const element = document.getElementById(definition.field);
+        if (definition.type === 'boolean') {
+            return element ? element.checked : false;
+        }
+        if (!element) return '';
+        if (definition.type === 'number') {
+            return element.value === '' ? null : Number(element.value);
+        }
+        if (definition.type === 'multiselect') {
+            return Array.from(element.querySelectorAll('input[type="checkbox"]:checked'), input => input.value);
+        }
+        return element.value;
+    }
+
     /**
-     * Validate inputs
+     * Validate inputs against the knowledge base's inputSchema
      */
     validateInputs(inputs) {
-        const requiredFields = ['age_group', 'onset_speed', 'mobility_status', 'seizures'];
-        
-        for (let field of requiredFields) {
-            if (!inputs[field] || inputs[field] === '') {
-                alert(`Please select a value for ${field.replace('_', ' ')}`);
-                return false;
-            }
+        const problems = this.engine.validateInputs(inputs);
+        if (problems.length > 0) {
+            alert(problems.map(problem => problem.message).join('\n'));
+            return false;
         }
         
         return true;
     }
 
+    /**
+     * Escape text for an innerHTML template. Everything that is not static
+     * markup goes through here: patient details, stored and imported results,
+     * and knowledge-base pack content.
+     */
+    escapeHtml(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, char => entities[char]);
+    }
+
     /**
      * Display diagnosis result
      */
@@ -210,8 +723,18 @@ class FelineNeuroDiagnosisApp {
         // Populate result
         document.getElementById('priorityNumber').textContent = diagnosis.priority;
         document.getElementById('diagnosisTitle').textContent = diagnosis.diagnosis;
-        document.getElementById('ruleTriggered').textContent = `Forward Chaining Result`;
+        const ruleTriggered = document.getElementById('ruleTriggered');
+        ruleTriggered.textContent = `Forward Chaining Result · Certainty ${Math.round(diagnosis.confidence * 100)}%`;
+        ruleTriggered.title = '';
+        if (diagnosis.verification && !diagnosis.verification.consistent) {
+            ruleTriggered.textContent += ' · ⚠️ Waterfall disagrees';
+            ruleTriggered.title = `Priority waterfall selects ${diagnosis.verification.waterfallRuleId}; ` +
+                diagnosis.verification.ruleDivergences.map(d => `${d.ruleId}: ${d.differingPremises.map(p => p.premise).join('; ')}`).join(' | ');
+        }
         document.getElementById('diagnosisDescription').textContent = diagnosis.description;
+        document.getElementById('printReportBtn').disabled = false;
+        document.getElementById('exportReportBtn').disabled = false;
+        document.getElementById('exportFhirBtn').disabled = false;
         
         // Clinical notes
         const clinicalNotes = document.getElementById('clinicalNotes');
@@ -219,7 +742,7 @@ class FelineNeuroDiagnosisApp {
             clinicalNotes.innerHTML = `
                 <h4><i class="fa-solid fa-notes-medical"></i> Clinical Notes</h4>
                 <ul>
-                    ${diagnosis.clinicalNotes.map(note => `<li>${note}</li>`).join('')}
+                    ${diagnosis.clinicalNotes.map(note => `<li>${this.escapeHtml(note)}</li>`).join('')}
                 </ul>
             `;
         }
@@ -230,16 +753,16 @@ class FelineNeuroDiagnosisApp {
             nextSteps.innerHTML = `
                 <h4><i class="fa-solid fa-list-check"></i> Recommended Next Steps</h4>
                 <ul>
-                    ${diagnosis.nextSteps.map(step => `<li>${step}</li>`).join('')}
+                    ${diagnosis.nextSteps.map(step => `<li>${this.escapeHtml(step)}</li>`).join('')}
                 </ul>
             `;
         }
         
+        // Ranked differential
+        this.displayDifferential(diagnosis.differential || []);
+        
         // Logic explanation
-        const logicExplanation = document.getElementById('logicExplanation');
-        if (diagnosis.logicExplanation) {
-            logicExplanation.textContent = diagnosis.logicExplanation;
-        }
+        this.displayExplanation(diagnosis);
         
         // Apply urgency styling
         const resultCard = document.querySelector('.result-card');
@@ -253,9 +776,1298 @@ class FelineNeuroDiagnosisApp {
             block: 'start' 
         });
         
+        this.updateChatContext();
+        
         console.log('✅ Result displayed successfully');
     }
 
+    /**
+     * Display ranked differential below the primary result card
+     */
+    displayDifferential(differential) {
+        const container = document.getElementById('differentialDiagnosis');
+        if (!container) return;
+        
+        if (differential.length < 2) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+        
+        container.innerHTML = `
+            <h4><i class="fa-solid fa-list-ol"></i> Differential Diagnosis</h4>
+            <ol class="differential-list">
+                ${differential.map(entry => {
+                    const level = entry.urgencyLevel || {};
+                    const color = this.escapeHtml(level.color || '');
+                    return `
+                        <li class="differential-item ${entry.rank === 1 ? 'primary' : ''}" style="border-left-color: ${color}">
+                            <span class="differential-rank">${this.escapeHtml(entry.rank)}</span>
+                            <div class="differential-body">
+                                <div class="differential-header">
+                                    <span>${this.escapeHtml(entry.name)}</span>
+                                    <span class="differential-score">Score ${Math.round(entry.score * 100)}%</span>
+                                </div>
+                                <div class="differential-urgency" style="color: ${color}">
+                                    <i class="fa-solid ${this.escapeHtml(level.icon || 'fa-info-circle')}"></i> ${this.escapeHtml(level.label || entry.urgency)}
+                                </div>
+                                <div class="differential-premises">${this.escapeHtml(entry.premiseSummary)}</div>
+                            </div>
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        `;
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Render the structured explanation as an expandable tree:
+     * how the diagnosis was proven, and why higher priority rules did not win
+     */
+    displayExplanation(diagnosis) {
+        const container = document.getElementById('logicExplanation');
+        if (!container) return;
+        
+        const explanation = diagnosis.explanation;
+        const whyNotResult = document.getElementById('whyNotResult');
+        if (whyNotResult) whyNotResult.classList.add('hidden');
+        
+        if (!explanation) {
+            container.innerHTML = `<pre>${this.escapeHtml(diagnosis.logicExplanation)}</pre>`;
+            return;
+        }
+        
+        const how = explanation.how
+            ? `<ul class="proof-tree">${this.renderProofNode(explanation.how)}</ul>`
+            : '<p class="explanation-empty">No diagnostic rule fired for these inputs.</p>';
+        
+        container.innerHTML = `
+            <details open>
+                <summary><strong>How?</strong> Proof of ${this.escapeHtml(diagnosis.diagnosis)}${explanation.strategy ? ` · ${this.escapeHtml(explanation.strategy)}` : ''}</summary>
+                ${how}
+            </details>
+            <details>
+                <summary><strong>Why not?</strong> Higher priority rules (${explanation.whyNot.length})</summary>
+                <ul class="why-not-list">
+                    ${explanation.whyNot.map(entry => this.renderWhyNotEntry(entry)).join('')}
+                </ul>
+            </details>
+            <details>
+                <summary>Full inference log</summary>
+                <pre>${this.escapeHtml(diagnosis.logicExplanation)}</pre>
+            </details>
+        `;
+    }
+
+    renderProofNode(node) {
+        if (node.type === 'input') {
+            return `<li class="proof-input"><i class="fa-solid fa-keyboard"></i> ${this.escapeHtml(node.description)} <span class="proof-cf">CF ${this.escapeHtml(node.certainty)}</span></li>`;
+        }
+        
+        return `
+            <li class="proof-derived">
+                <details open>
+                    <summary><i class="fa-solid fa-diagram-project"></i> ${this.escapeHtml(node.fact)} <span class="proof-cf">CF ${this.escapeHtml(node.certainty)}</span></summary>
+                    <ul>
+                        ${node.derivations.map(derivation => `
+                            <li class="proof-rule">
+                                <span>via <strong>${this.escapeHtml(derivation.name)}</strong> (Iteration ${this.escapeHtml(derivation.iteration)})</span>
+                                <code>${this.escapeHtml(derivation.premise)}</code>
+                                <ul>
+                                    ${derivation.supports.map(support => this.renderProofNode(support)).join('')}
+                                    ${derivation.absentFacts.map(fact => `<li class="proof-absent"><i class="fa-solid fa-ban"></i> ${this.escapeHtml(fact)} absent</li>`).join('')}
+                                </ul>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </details>
+            </li>
+        `;
+    }
+
+    renderWhyNotEntry(entry) {
+        return `
+            <li class="why-not-entry why-not-${this.escapeHtml(entry.outcome)}">
+                <details>
+                    <summary>${this.escapeHtml(entry.priority)}. ${this.escapeHtml(entry.name)} — ${this.escapeHtml(entry.summary)}</summary>
+                    <code>${this.escapeHtml(entry.premise)}</code>
+                    ${entry.unmetPremises.length > 0 ? `
+                        <ul>
+                            ${entry.unmetPremises.map(unmet => `<li><i class="fa-solid fa-xmark"></i> ${this.escapeHtml(unmet.description)}</li>`).join('')}
+                        </ul>
+                    ` : ''}
+                </details>
+            </li>
+        `;
+    }
+
+    setupWhyNotQuery() {
+        const select = document.getElementById('whyNotSelect');
+        const button = document.getElementById('whyNotBtn');
+        if (!select || !button) return;
+        
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (!select.value) return;
+            
+            try {
+                const entry = this.engine.explainWhyNot(select.value);
+                const result = document.getElementById('whyNotResult');
+                result.innerHTML = `<ul class="why-not-list">${this.renderWhyNotEntry(entry)}</ul>`;
+                result.querySelector('details').open = true;
+                result.classList.remove('hidden');
+            } catch (error) {
+                console.error('❌ Why-not explanation error:', error);
+                alert('Run a diagnosis first to ask why a rule did not apply.');
+            }
+        });
+    }
+
+    setupPatientRecords() {
+        const select = document.getElementById('patientSelect');
+        const newBtn = document.getElementById('newPatientBtn');
+        if (!select || !newBtn) return;
+
+        select.addEventListener('change', () => {
+            this.selectPatient(select.value ? Number(select.value) : null);
+        });
+        newBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showPatientForm(null);
+        });
+        document.getElementById('cancelPatientBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            document.getElementById('patientForm').classList.add('hidden');
+        });
+        document.getElementById('savePatientBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.savePatient();
+        });
+        document.getElementById('patientSummary').addEventListener('click', (e) => {
+            if (e.target.closest('.edit-patient-btn')) {
+                e.preventDefault();
+                this.showPatientForm(this.currentPatient);
+            }
+        });
+
+        this.refreshPatientList();
+    }
+
+    getCurrentPatientId() {
+        return this.currentPatient ? this.currentPatient.id : null;
+    }
+
+    async refreshPatientList(selectedId = this.getCurrentPatientId()) {
+        const select = document.getElementById('patientSelect');
+        try {
+            const patients = await this.patientRecords.listPatients();
+            select.innerHTML = '<option value="">Anonymous consultation</option>' +
+                patients.map(patient => `<option value="${patient.id}">${this.escapeHtml(patient.name)}${patient.breed ? ` (${this.escapeHtml(patient.breed)})` : ''}</option>`).join('');
+            select.value = selectedId ? String(selectedId) : '';
+        } catch (error) {
+            console.warn('⚠️ Patient records unavailable:', error);
+            select.innerHTML = '<option value="">Patient records unavailable</option>';
+            select.disabled = true;
+            document.getElementById('newPatientBtn').disabled = true;
+        }
+    }
+
+    async selectPatient(patientId) {
+        const summary = document.getElementById('patientSummary');
+        this.currentPatient = patientId ? await this.patientRecords.getPatient(patientId) : null;
+
+        if (!this.currentPatient) {
+            summary.classList.add('hidden');
+            document.getElementById('caseTimeline').classList.add('hidden');
+            return;
+        }
+
+        const patient = this.currentPatient;
+        const ageGroup = this.patientRecords.deriveAgeGroup(patient.dateOfBirth);
+        document.getElementById('age_group').value = ageGroup;
+        this.updateFormCompleteness();
+
+        summary.innerHTML = `
+            <strong>${this.escapeHtml(patient.name)}</strong> · ${patient.breed ? this.escapeHtml(patient.breed) : 'Unknown breed'} · ${PATIENT_SEXES[patient.sex]}
+            · ${this.patientRecords.getAgeInYears(patient.dateOfBirth)} yr (${ageGroup})
+            ${patient.weightKg ? ` · ${patient.weightKg} kg` : ''}
+            <button type="button" class="config-btn secondary edit-patient-btn"><i class="fa-solid fa-pen"></i> Edit</button>
+        `;
+        summary.classList.remove('hidden');
+        this.refreshCaseTimeline();
+    }
+
+    showPatientForm(patient) {
+        document.getElementById('patientId').value = patient && patient.id ? patient.id : '';
+        document.getElementById('patientName').value = patient ? patient.name : '';
+        document.getElementById('patientBreed').value = patient ? patient.breed : '';
+        document.getElementById('patientSex').value = patient ? patient.sex : 'female';
+        document.getElementById('patientDob').value = patient ? patient.dateOfBirth : '';
+        document.getElementById('patientWeight').value = patient && patient.weightKg ? patient.weightKg : '';
+        document.getElementById('patientForm').classList.remove('hidden');
+    }
+
+    async savePatient() {
+        const id = document.getElementById('patientId').value;
+        try {
+            const patient = await this.patientRecords.savePatient({
+                id: id ? Number(id) : null,
+                name: document.getElementById('patientName').value,
+                breed: document.getElementById('patientBreed').value,
+                sex: document.getElementById('patientSex').value,
+                dateOfBirth: document.getElementById('patientDob').value,
+                weightKg: document.getElementById('patientWeight').value
+            });
+            document.getElementById('patientForm').classList.add('hidden');
+            await this.refreshPatientList(patient.id);
+            await this.selectPatient(patient.id);
+        } catch (error) {
+            console.error('❌ Failed to save patient:', error);
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Show the selected patient's visits, waiting for the latest diagnosis to be stored
+     */
+    async refreshCaseTimeline() {
+        const container = document.getElementById('caseTimeline');
+        if (!container || !this.currentPatient) return;
+
+        let timeline;
+        try {
+            await this.engine.lastStoreOperation;
+            timeline = await this.patientRecords.getCaseTimeline(this.currentPatient.id);
+        } catch (error) {
+            console.error('❌ Failed to load case timeline:', error);
+            return;
+        }
+        if (timeline.visits.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const fieldLabel = field => this.escapeHtml(field.replace(/_/g, ' '));
+        container.innerHTML = `
+            <h4><i class="fa-solid fa-timeline"></i> Case Timeline · ${this.escapeHtml(timeline.patient.name)}</h4>
+            <ol class="timeline-list">
+                ${timeline.visits.slice().reverse().map(visit => {
+                    const level = this.engine.data.urgencyLevels[visit.urgency] || {};
+                    const changes = visit.changes;
+                    const notes = [];
+                    if (changes) {
+                        if (changes.ruleChanged) notes.push(`<span class="rule-changed">Rule changed: ${this.escapeHtml(changes.previousRuleId)} → ${this.escapeHtml(visit.ruleId)}</span>`);
+                        if (changes.newSigns.length) notes.push(`New signs: ${changes.newSigns.map(fieldLabel).join(', ')}`);
+                        if (changes.resolvedSigns.length) notes.push(`Resolved: ${changes.resolvedSigns.map(fieldLabel).join(', ')}`);
+                        changes.changedFields.forEach(c => notes.push(`${fieldLabel(c.field)}: ${this.escapeHtml(c.from || '—')} → ${this.escapeHtml(c.to || '—')}`));
+                        if (notes.length === 0) notes.push('No change since previous visit');
+                    } else {
+                        notes.push('First visit');
+                    }
+                    return `
+                        <li class="timeline-item" style="border-left-color: ${this.escapeHtml(level.color || '')}">
+                            <div class="timeline-header">
+                                <span>Visit ${visit.visitNumber} · ${new Date(visit.timestamp).toLocaleString()}</span>
+                                <span>Certainty ${Math.round(visit.confidence * 100)}%</span>
+                            </div>
+                            <div class="timeline-diagnosis">${this.escapeHtml(visit.diagnosis)}</div>
+                            <div class="timeline-changes">${notes.join(' · ')}</div>
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        `;
+        container.classList.remove('hidden');
+    }
+
+    setupHistory() {
+        const list = document.getElementById('historyList');
+        if (!list) return;
+
+        const urgencyFilter = document.getElementById('historyUrgencyFilter');
+        Object.entries(this.engine.data.urgencyLevels).forEach(([urgency, level]) => {
+            urgencyFilter.innerHTML += `<option value="${this.escapeHtml(urgency)}">${this.escapeHtml(level.label)}</option>`;
+        });
+
+        ['historyUrgencyFilter', 'historyRuleFilter', 'historyFromFilter', 'historyToFilter'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.loadHistory(true));
+        });
+        document.getElementById('historyMoreBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.loadHistory(false);
+        });
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('.history-open-btn');
+            if (button) {
+                e.preventDefault();
+                this.reopenDiagnosis(Number(button.dataset.id));
+            }
+        });
+        document.querySelectorAll('.history-tab').forEach(tab => {
+            tab.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showHistoryView(tab.dataset.view);
+            });
+        });
+
+        this.loadHistory(true);
+    }
+
+    showHistoryView(viewId) {
+        document.querySelectorAll('.history-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === viewId);
+        });
+        document.getElementById('historyView').classList.toggle('hidden', viewId !== 'historyView');
+        document.getElementById('analyticsView').classList.toggle('hidden', viewId !== 'analyticsView');
+        if (viewId === 'analyticsView') {
+            this.loadAnalytics();
+        }
+    }
+
+    /**
+     * Date inputs are local days; the database filters on ISO timestamps
+     */
+    getHistoryFilters() {
+        const localDay = (value, offsetDays = 0) => {
+            const [year, month, day] = value.split('-').map(Number);
+            return new Date(year, month - 1, day + offsetDays).toISOString();
+        };
+        const from = document.getElementById('historyFromFilter').value;
+        const to = document.getElementById('historyToFilter').value;
+
+        return {
+            urgency: document.getElementById('historyUrgencyFilter').value || null,
+            ruleId: document.getElementById('historyRuleFilter').value || null,
+            from: from ? localDay(from) : null,
+            to: to ? localDay(to, 1) : null
+        };
+    }
+
+    async loadHistory(reset) {
+        const list = document.getElementById('historyList');
+        const moreBtn = document.getElementById('historyMoreBtn');
+        // Results of an older request that finishes late are dropped
+        const request = ++this.historyRequest;
+        if (reset) {
+            this.historyOffset = 0;
+        }
+
+        await this.engine.ready;
+        if (!this.engine.database) {
+            list.innerHTML = '<li class="history-empty">Diagnosis history is unavailable in this browser.</li>';
+            moreBtn.classList.add('hidden');
+            return;
+        }
+
+        // One extra record tells whether there is another page
+        const records = await this.engine.getDiagnosisHistory(this.historyPageSize + 1, this.historyOffset, this.getHistoryFilters());
+        if (request !== this.historyRequest) return;
+        const page = records.slice(0, this.historyPageSize);
+        this.historyOffset += page.length;
+
+        if (reset) {
+            list.innerHTML = page.length === 0 ? '<li class="history-empty">No saved consultations match these filters.</li>' : '';
+        }
+        list.innerHTML += page.map(record => this.renderHistoryItem(record)).join('');
+        moreBtn.classList.toggle('hidden', records.length <= this.historyPageSize);
+    }
+
+    renderHistoryItem(record) {
+        const level = this.engine.data.urgencyLevels[record.urgency] || {};
+        const escape = value => this.escapeHtml(value);
+        const ruleBase = record.ruleBaseVersion;
+        return `
+            <li class="history-item" style="border-left-color: ${escape(level.color || '')}">
+                <div class="history-body">
+                    <div class="history-header">
+                        <span>${new Date(record.timestamp).toLocaleString()}</span>
+                        <span style="color: ${escape(level.color || '')}"><i class="fa-solid ${escape(level.icon || 'fa-info-circle')}"></i> ${escape(level.label || record.urgency)}</span>
+                    </div>
+                    <div class="history-diagnosis">${escape(record.diagnosis)}</div>
+                    <div class="history-meta">${escape(record.ruleId)} · Certainty ${Math.round(record.confidence * 100)}%${ruleBase ? ` · Rule base ${ruleBase.pack ? `${escape(ruleBase.pack)}@` : ''}${escape(ruleBase.version)}` : ''}${record.chatInterventions ? ` · <i class="fa-solid fa-shield-halved" title="AI chat safety filter interventions"></i> ${record.chatInterventions.length}` : ''}</div>
+                </div>
+                <button type="button" class="config-btn secondary history-open-btn" data-id="${record.id}">
+                    <i class="fa-solid fa-folder-open"></i> Open
+                </button>
+            </li>
+        `;
+    }
+
+    /**
+     * Show a stored result in the result card and its inputs in the form
+     */
+    async reopenDiagnosis(id) {
+        const record = await this.engine.getStoredDiagnosis(id);
+        if (!record) {
+            alert('That consultation could not be loaded.');
+            return;
+        }
+
+        this.renderInputForm();
+        this.applyConsultationAnswers(record.inputs);
+        this.engine.restoreDiagnosis(record.result, record.inputs, record.id);
+        this.displayResult(record.result);
+        document.getElementById('resultContainer').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async loadAnalytics() {
+        const container = document.getElementById('analyticsView');
+        const analytics = await this.engine.getDatabaseAnalytics();
+        if (!analytics || analytics.totalDiagnoses === 0) {
+            container.innerHTML = '<p class="history-empty">No saved consultations to analyze yet.</p>';
+            return;
+        }
+
+        const urgencyLevels = this.engine.data.urgencyLevels;
+        const rules = this.engine.data.diagnosticRules
+            .map(rule => ({ rule, fired: analytics.firedByRule[rule.id] || 0, wins: analytics.byRule[rule.id] || 0 }))
+            .filter(entry => entry.fired > 0 || entry.wins > 0)
+            .sort((a, b) => b.fired - a.fired || b.wins - a.wins);
+        const maxFired = Math.max(...rules.map(entry => Math.max(entry.fired, entry.wins)), 1);
+        const maxPerDay = Math.max(...analytics.urgencyOverTime.map(day => Object.values(day.counts).reduce((sum, n) => sum + n, 0)));
+
+        const escape = value => this.escapeHtml(value);
+        container.innerHTML = `
+            <div class="analytics-stats">
+                <div class="analytics-stat"><strong>${analytics.totalDiagnoses}</strong><span>Consultations</span></div>
+                <div class="analytics-stat"><strong>${Math.round(analytics.undeterminedRate * 100)}%</strong><span>Fell through to UNDETERMINED</span></div>
+                ${Object.entries(urgencyLevels).map(([urgency, level]) => `
+                    <div class="analytics-stat" style="color: ${escape(level.color)}"><strong>${analytics.byUrgency[urgency] || 0}</strong><span>${escape(level.label)}</span></div>
+                `).join('')}
+            </div>
+            
+            <h4><i class="fa-solid fa-chart-bar"></i> Rule Firing Frequency</h4>
+            <ul class="analytics-bars">
+                ${rules.map(entry => `
+                    <li>
+                        <span class="analytics-label">${escape(entry.rule.name)}</span>
+                        <span class="analytics-bar" style="width: ${entry.fired / maxFired * 100}%; background: ${escape((urgencyLevels[entry.rule.urgency] || {}).color || '')}"></span>
+                        <span class="analytics-count">won ${entry.wins} / fired ${entry.fired}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            
+            <h4><i class="fa-solid fa-chart-line"></i> Urgency Over Time</h4>
+            <ul class="analytics-bars">
+                ${analytics.urgencyOverTime.map(day => `
+                    <li>
+                        <span class="analytics-label">${day.date}</span>
+                        <span class="analytics-stack">
+                            ${Object.entries(urgencyLevels).filter(([urgency]) => day.counts[urgency]).map(([urgency, level]) => `
+                                <span class="analytics-bar" title="${escape(level.label)}: ${day.counts[urgency]}" style="width: ${day.counts[urgency] / maxPerDay * 100}%; background: ${escape(level.color)}"></span>
+                            `).join('')}
+                        </span>
+                        <span class="analytics-count">${Object.values(day.counts).reduce((sum, n) => sum + n, 0)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Reload history (and analytics when shown) once the latest diagnosis is stored
+     */
+    async refreshHistoryViews() {
+        if (!document.getElementById('historyList')) return;
+        await this.engine.lastStoreOperation;
+        this.loadHistory(true);
+        if (!document.getElementById('analyticsView').classList.contains('hidden')) {
+            this.loadAnalytics();
+        }
+    }
+
+    setupReportExport() {
+        const printBtn = document.getElementById('printReportBtn');
+        if (!printBtn) return;
+
+        printBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.printReport();
+        });
+        document.getElementById('exportReportBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.exportReport();
+        });
+        document.getElementById('exportFhirBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.exportFhirBundle();
+        });
+        const fileInput = document.getElementById('importReportInput');
+        document.getElementById('importReportBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            fileInput.click();
+        });
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importReport(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+    }
+
+    /**
+     * Report for the result on screen. An imported report is reused as is so
+     * its embedded patient survives re-export.
+     */
+    async getCurrentReport() {
+        const diagnosis = this.engine.lastDiagnosis;
+        if (this.importedReport && this.importedReport.result === diagnosis) {
+            return this.importedReport;
+        }
+
+        let patient = null;
+        if (diagnosis && diagnosis.patientId) {
+            try {
+                patient = await this.patientRecords.getPatient(diagnosis.patientId);
+            } catch (error) {
+                console.warn('⚠️ Patient for report unavailable:', error);
+            }
+        }
+        return this.reportExporter.buildReport(diagnosis, this.engine.lastInputs, patient || null);
+    }
+
+    async printReport() {
+        try {
+            const report = await this.getCurrentReport();
+            document.getElementById('printReport').innerHTML = this.renderPrintReport(report);
+            window.print();
+        } catch (error) {
+            console.error('❌ Print report error:', error);
+            alert(error.message);
+        }
+    }
+
+    renderPrintReport(report) {
+        const result = report.result;
+        const level = this.engine.data.urgencyLevels[result.urgency] || {};
+        const patient = report.patient;
+        const disclaimer = document.querySelector('.disclaimer');
+        const ruleBase = report.ruleBaseVersion;
+        const escape = value => this.escapeHtml(value);
+        const certainties = report.inputs.certainties || {};
+        const formatInput = (field, value) => {
+            const definition = this.engine.getFieldDefinition(field);
+            const certainty = certainties[field] !== undefined ? ` (certainty ${Math.round(certainties[field] * 100)}%)` : '';
+            if (value === true) return `Yes${certainty}`;
+            if (value === false) return `No${certainty}`;
+            if (Array.isArray(value)) return value.map(option => this.engine.describeFieldValue(field, option)).join(', ') + certainty;
+            return (definition && definition.unit ? `${value} ${definition.unit}` : value) + certainty;
+        };
+
+        return `
+            <h1><i class="fa-solid fa-cat"></i> Feline Neurological Consultation Report</h1>
+            <p class="report-meta">
+                ${new Date(result.timestamp || report.exportedAt).toLocaleString()}
+                ${ruleBase ? `· Rule base ${ruleBase.pack ? `${escape(ruleBase.pack)}@` : ''}${escape(ruleBase.version)} (${escape(ruleBase.fingerprint)})` : ''}
+            </p>
+            
+            <h2>Patient</h2>
+            ${patient ? `
+                <table class="report-table">
+                    <tr><th>Name</th><td>${escape(patient.name)}</td></tr>
+                    <tr><th>Breed</th><td>${escape(patient.breed || 'Unknown')}</td></tr>
+                    <tr><th>Sex</th><td>${escape(PATIENT_SEXES[patient.sex] || patient.sex)}</td></tr>
+                    <tr><th>Date of Birth</th><td>${escape(patient.dateOfBirth)}</td></tr>
+                    <tr><th>Weight</th><td>${patient.weightKg ? `${escape(patient.weightKg)} kg` : 'Not recorded'}</td></tr>
+                </table>
+            ` : '<p>Anonymous consultation</p>'}
+            
+            <h2>Clinical Inputs</h2>
+            <table class="report-table">
+                ${Object.entries(report.inputs).filter(([field]) => field !== 'certainties').map(([field, value]) => `
+                    <tr><th>${escape(field.replace(/_/g, ' '))}</th><td>${escape(formatInput(field, value))}</td></tr>
+                `).join('')}
+            </table>
+            
+            <h2>Diagnosis</h2>
+            <p class="report-diagnosis"><strong>${escape(result.diagnosis)}</strong> (${escape(result.ruleId)}, priority ${escape(result.priority)})</p>
+            <p class="report-urgency" style="color: ${escape(level.color || '')}">
+                <i class="fa-solid ${escape(level.icon || 'fa-info-circle')}"></i> ${escape(level.label || result.urgency)}
+                · Certainty ${Math.round(result.confidence * 100)}%
+            </p>
+            <p>${escape(result.description)}</p>
+            
+            <h2>Clinical Notes</h2>
+            <ul>${(result.clinicalNotes || []).map(note => `<li>${escape(note)}</li>`).join('')}</ul>
+            
+            <h2>Recommended Next Steps</h2>
+            <ul>${(result.nextSteps || []).map(step => `<li>${escape(step)}</li>`).join('')}</ul>
+            
+            <h2>Explanation Chain</h2>
+            <pre>${escape(result.logicExplanation)}</pre>
+            
+            ${disclaimer ? `<div class="disclaimer">${disclaimer.innerHTML}</div>` : ''}
+        `;
+    }
+
+    async exportReport() {
+        try {
+            const report = await this.getCurrentReport();
+            this.downloadFile(this.reportExporter.getFileName(report), this.reportExporter.toJSON(report), 'application/json');
+        } catch (error) {
+            console.error('❌ Export report error:', error);
+            alert(error.message);
+        }
+    }
+
+    downloadFile(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    async exportFhirBundle() {
+        try {
+            const report = await this.getCurrentReport();
+            const bundle = this.fhirMapper.toBundle(report.result, report.inputs, report.patient);
+            this.downloadFile(
+                this.reportExporter.getFileName(report, 'fhir.json'),
+                JSON.stringify(bundle, null, 2),
+                'application/fhir+json'
+            );
+        } catch (error) {
+            console.error('❌ FHIR export error:', error);
+            alert(error.message);
+        }
+    }
+
+    /**
+     * A FHIR bundle only carries findings, so it is loaded into the form (and the
+     * patient form, when it has a patient) for the clinician to re-run
+     */
+    importFhirBundle(bundle) {
+        const imported = this.fhirMapper.fromBundle(bundle);
+        console.log('📥 Imported FHIR bundle:', imported);
+
+        const { certainties, ...answers } = imported.inputs;
+        this.endConsultation();
+        this.renderInputForm();
+        this.applyConsultationAnswers(imported.inputs);
+
+        if (imported.patient) {
+            this.showPatientForm(imported.patient);
+        }
+        alert(`Loaded ${Object.keys(answers).length} findings${imported.diagnosis ? ` (previously: ${imported.diagnosis})` : ''}. Review the form and run the diagnosis.`);
+    }
+
+    async importReport(file) {
+        try {
+            const text = await file.text();
+            let parsed = null;
+            try {
+                parsed = JSON.parse(text);
+            } catch (error) {
+                // parseReport below reports the invalid JSON
+            }
+            if (parsed && parsed.resourceType === 'Bundle') {
+                this.importFhirBundle(parsed);
+                return;
+            }
+
+            const report = this.reportExporter.parseReport(text);
+            console.log('📥 Imported report:', report);
+            this.importedReport = report;
+            this.renderInputForm();
+            this.applyConsultationAnswers(report.inputs);
+            this.engine.restoreDiagnosis(report.result, report.inputs);
+            this.displayResult(report.result);
+        } catch (error) {
+            console.error('❌ Import report error:', error);
+            alert(`Could not import report: ${error.message}`);
+        }
+    }
+
+    /**
+     * Switch to the pack chosen on a previous visit; the built-in rules stay
+     * loaded if it cannot be used
+     */
+    loadActivePack() {
+        const key = this.knowledgeBasePacks.getActivePackKey();
+        if (key === this.knowledgeBasePacks.getPackKey(this.knowledgeBasePacks.builtInPack)) return;
+
+        try {
+            this.knowledgeBasePacks.activatePack(key);
+        } catch (error) {
+            console.warn(`⚠️ Could not load knowledge-base pack ${key}, using the built-in rules:`, error);
+        }
+    }
+
+    setupKnowledgeBasePacks() {
+        const select = document.getElementById('packSelect');
+        if (!select) return;
+
+        document.getElementById('activatePackBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.activatePack(select.value);
+        });
+        document.getElementById('diffPackBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showPackDiff(select.value);
+        });
+        document.getElementById('exportPackBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.exportPack(select.value);
+        });
+        document.getElementById('deletePackBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.deletePack(select.value);
+        });
+        select.addEventListener('change', () => this.renderPackSummary());
+
+        const fileInput = document.getElementById('importPackInput');
+        document.getElementById('importPackBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            fileInput.click();
+        });
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importPack(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+
+        this.refreshPackList();
+    }
+
+    refreshPackList(selectedKey = this.knowledgeBasePacks.getActivePackKey()) {
+        const packs = this.knowledgeBasePacks;
+        const activeKey = packs.getActivePackKey();
+        const builtInKey = packs.getPackKey(packs.builtInPack);
+
+        document.getElementById('packSelect').innerHTML = packs.listPacks().map(pack => {
+            const key = packs.getPackKey(pack);
+            const tags = [key === builtInKey ? 'built-in' : null, key === activeKey ? 'active' : null].filter(Boolean);
+            return `<option value="${this.escapeHtml(key)}">${this.escapeHtml(`${pack.metadata.name} ${pack.metadata.version}`)}${tags.length ? ` (${tags.join(', ')})` : ''}</option>`;
+        }).join('');
+        document.getElementById('packSelect').value = selectedKey;
+        this.renderPackSummary();
+    }
+
+    renderPackSummary() {
+        const key = document.getElementById('packSelect').value;
+        const pack = this.knowledgeBasePacks.getPack(key);
+        if (!pack) return;
+
+        const isActive = key === this.knowledgeBasePacks.getActivePackKey();
+        const isBuiltIn = key === this.knowledgeBasePacks.getPackKey(this.knowledgeBasePacks.builtInPack);
+        document.getElementById('packSummary').innerHTML = `
+            <strong>${this.escapeHtml(pack.metadata.name)}</strong> · ${this.escapeHtml(key)} · by ${this.escapeHtml(pack.metadata.author)}
+            · ${pack.diagnosticRules.length} rules
+            ${pack.metadata.description ? `<p>${this.escapeHtml(pack.metadata.description)}</p>` : ''}
+        `;
+        document.getElementById('activatePackBtn').disabled = isActive;
+        document.getElementById('diffPackBtn').disabled = isActive;
+        document.getElementById('deletePackBtn').disabled = isBuiltIn;
+    }
+
+    /**
+     * Switch the engine to another pack. User rules are re-checked against it,
+     * and the rule lists follow.
+     */
+    activatePack(key) {
+        try {
+            const pack = this.knowledgeBasePacks.activatePack(key);
+            const userRuleCount = this.ruleEditor.getRules().length;
+            const userRules = this.ruleEditor.load();
+            this.renderInputForm();
+            this.updateFormCompleteness();
+            this.renderUserRules();
+            this.populateRuleSelects();
+            this.refreshPackList(key);
+            document.getElementById('packDiff').classList.add('hidden');
+
+            const skipped = userRuleCount - userRules.length;
+            alert(`Now using ${pack.metadata.name} ${pack.metadata.version}.` +
+                (skipped > 0 ? ` ${skipped} of your rules do not fit this pack and are not loaded.` : ''));
+        } catch (error) {
+            console.error('❌ Failed to switch knowledge base:', error);
+            alert(error.message);
+        }
+    }
+
+    showPackDiff(key) {
+        const packs = this.knowledgeBasePacks;
+        const active = packs.getPack(packs.getActivePackKey());
+        const other = packs.getPack(key);
+        if (!active || !other) return;
+
+        const container = document.getElementById('packDiff');
+        container.textContent = packs.formatDiff(packs.diffPacks(active, other));
+        container.classList.remove('hidden');
+    }
+
+    exportPack(key) {
+        const pack = this.knowledgeBasePacks.getPack(key);
+        if (!pack) return;
+        this.downloadFile(`${pack.metadata.id}-${pack.metadata.version}.json`, this.knowledgeBasePacks.toJSON(pack), 'application/json');
+    }
+
+    async importPack(file) {
+        try {
+            const pack = this.knowledgeBasePacks.parsePack(await file.text());
+            const key = this.knowledgeBasePacks.savePack(pack);
+            console.log('📥 Imported knowledge-base pack:', key);
+            this.refreshPackList(key);
+            this.showPackDiff(key);
+        } catch (error) {
+            console.error('❌ Import pack error:', error);
+            alert(`Could not import pack: ${error.message}`);
+        }
+    }
+
+    deletePack(key) {
+        if (!confirm(`Delete the knowledge-base pack ${key}?`)) return;
+
+        const wasActive = key === this.knowledgeBasePacks.getActivePackKey();
+        this.knowledgeBasePacks.deletePack(key);
+        if (wasActive) {
+            this.activatePack(this.knowledgeBasePacks.getActivePackKey());
+        } else {
+            this.refreshPackList();
+        }
+    }
+
+    /**
+     * Rule dropdowns (hypothesis, why-not, history filter), rebuilt whenever the
+     * user rule set or knowledge base changes
+     */
+    populateRuleSelects() {
+        const rules = this.engine.data.diagnosticRules;
+        const fill = (id, label) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const selected = select.value;
+            select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+            rules.forEach(rule => {
+                const option = document.createElement('option');
+                option.value = rule.id;
+                option.textContent = label(rule);
+                select.appendChild(option);
+            });
+            select.value = rules.some(rule => rule.id === selected) ? selected : '';
+        };
+
+        fill('hypothesisSelect', rule => `${rule.priority}. ${rule.name}`);
+        fill('whyNotSelect', rule => `Why not ${rule.name}?`);
+        fill('historyRuleFilter', rule => rule.name);
+    }
+
+    setupRuleEditor() {
+        const form = document.getElementById('ruleEditorForm');
+        if (!form || !this.ruleEditor) return;
+
+        const urgencySelect = document.getElementById('ruleUrgency');
+        Object.entries(this.engine.data.urgencyLevels).forEach(([urgency, level]) => {
+            urgencySelect.innerHTML += `<option value="${this.escapeHtml(urgency)}">${this.escapeHtml(level.label)}</option>`;
+        });
+
+        document.getElementById('addRuleConditionBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.addRuleConditionRow();
+            this.scheduleRulePreview();
+        });
+        document.getElementById('saveRuleBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.saveUserRule();
+        });
+        document.getElementById('newRuleBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.resetRuleEditor();
+        });
+        document.getElementById('ruleConditionRows').addEventListener('click', (e) => {
+            if (e.target.closest('.rule-condition-remove')) {
+                e.preventDefault();
+                e.target.closest('.rule-condition-row').remove();
+                this.scheduleRulePreview();
+            }
+        });
+        form.addEventListener('input', () => this.scheduleRulePreview());
+        form.addEventListener('change', () => this.scheduleRulePreview());
+        document.getElementById('userRuleList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rule-action]');
+            if (!button) return;
+            e.preventDefault();
+            if (button.dataset.ruleAction === 'edit') {
+                this.editUserRule(button.dataset.id);
+            } else {
+                this.deleteUserRule(button.dataset.id);
+            }
+        });
+
+        this.resetRuleEditor();
+        this.renderUserRules();
+    }
+
+    /**
+     * One condition: field, is / is not, value. The value options follow the field.
+     */
+    addRuleConditionRow(condition = null) {
+        const row = document.createElement('div');
+        row.className = 'rule-condition-row';
+        row.innerHTML = `
+            <select class="form-select rule-condition-field">
+                ${this.engine.getInputFields().map(field => `<option value="${this.escapeHtml(field)}">${this.escapeHtml(field.replace(/_/g, ' '))}</option>`).join('')}
+            </select>
+            <select class="form-select rule-condition-negate">
+                <option value="false">is</option>
+                <option value="true">is not</option>
+            </select>
+            <select class="form-select rule-condition-value"></select>
+            <button type="button" class="config-btn secondary rule-condition-remove" title="Remove condition">
+                <i class="fa-solid fa-xmark"></i>
+            </button>
+        `;
+
+        const fieldSelect = row.querySelector('.rule-condition-field');
+        const valueSelect = row.querySelector('.rule-condition-value');
+        const fillValues = () => {
+            const field = fieldSelect.value;
+            valueSelect.innerHTML = this.engine.getFieldDomain(field).map(value =>
+                `<option value="${this.escapeHtml(value)}">${this.escapeHtml(this.engine.describeFieldValue(field, value))}</option>`
+            ).join('');
+        };
+        fieldSelect.addEventListener('change', fillValues);
+
+        if (condition) fieldSelect.value = condition.field;
+        fillValues();
+        if (condition) {
+            valueSelect.value = condition.value;
+            row.querySelector('.rule-condition-negate').value = String(condition.negate);
+        }
+
+        document.getElementById('ruleConditionRows').appendChild(row);
+    }
+
+    collectRuleFields() {
+        const value = id => document.getElementById(id).value;
+        return {
+            id: value('ruleIdInput'),
+            name: value('ruleName'),
+            priority: value('rulePriority'),
+            urgency: value('ruleUrgency'),
+            match: value('ruleMatch'),
+            conditions: Array.from(document.querySelectorAll('#ruleConditionRows .rule-condition-row'), row => ({
+                field: row.querySelector('.rule-condition-field').value,
+                value: row.querySelector('.rule-condition-value').value,
+                negate: row.querySelector('.rule-condition-negate').value === 'true'
+            })),
+            description: value('ruleDescription'),
+            clinicalNotes: value('ruleClinicalNotes'),
+            nextSteps: value('ruleNextSteps')
+        };
+    }
+
+    fillRuleEditor(fields) {
+        document.getElementById('ruleIdInput').value = fields.id || '';
+        document.getElementById('ruleName').value = fields.name || '';
+        document.getElementById('rulePriority').value = fields.priority === undefined ? '' : fields.priority;
+        document.getElementById('ruleUrgency').value = fields.urgency || 'MODERATE';
+        document.getElementById('ruleMatch').value = fields.match || 'all';
+        document.getElementById('ruleDescription').value = fields.description || '';
+        document.getElementById('ruleClinicalNotes').value = fields.clinicalNotes || '';
+        document.getElementById('ruleNextSteps').value = fields.nextSteps || '';
+
+        document.getElementById('ruleConditionRows').innerHTML = '';
+        (fields.conditions || []).forEach(condition => this.addRuleConditionRow(condition));
+    }
+
+    resetRuleEditor() {
+        this.editingRuleId = null;
+        clearTimeout(this.rulePreviewTimer);
+        document.getElementById('ruleEditorTitle').textContent = 'New Rule';
+        this.fillRuleEditor({ conditions: [] });
+        this.addRuleConditionRow();
+        document.getElementById('rulePreview').innerHTML =
+            '<p class="rule-preview-hint"><i class="fa-solid fa-circle-info"></i> Set the conditions and priority to see which input combinations the rule would capture.</p>';
+    }
+
+    editUserRule(id) {
+        const rule = this.ruleEditor.getRule(id);
+        if (!rule) return;
+        this.editingRuleId = id;
+        document.getElementById('ruleEditorTitle').textContent = `Editing ${rule.name}`;
+        this.fillRuleEditor(this.ruleEditor.toFields(rule));
+        this.scheduleRulePreview();
+        document.getElementById('ruleEditorForm').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    saveUserRule() {
+        try {
+            const rule = this.ruleEditor.buildRule(this.collectRuleFields());
+            this.ruleEditor.saveRule(rule, this.editingRuleId);
+            this.renderUserRules();
+            this.populateRuleSelects();
+            this.resetRuleEditor();
+            alert(`Saved ${rule.name}. It is used from the next diagnosis on.`);
+        } catch (error) {
+            console.error('❌ Failed to save rule:', error);
+            alert(error.message);
+        }
+    }
+
+    deleteUserRule(id) {
+        const rule = this.ruleEditor.getRule(id);
+        if (!rule || !confirm(`Delete the rule ${rule.name}?`)) return;
+
+        this.ruleEditor.deleteRule(id);
+        if (this.editingRuleId === id) {
+            this.resetRuleEditor();
+        }
+        this.renderUserRules();
+        this.populateRuleSelects();
+    }
+
+    renderUserRules() {
+        const list = document.getElementById('userRuleList');
+        const rules = this.ruleEditor.getRules();
+        if (rules.length === 0) {
+            list.innerHTML = '<li class="history-empty">No rules of your own yet. Rules you save here are used alongside the built-in ones.</li>';
+            return;
+        }
+
+        list.innerHTML = rules.map(rule => {
+            const level = this.engine.data.urgencyLevels[rule.urgency] || {};
+            return `
+                <li class="user-rule-item" style="border-left-color: ${this.escapeHtml(level.color || '')}">
+                    <div>
+                        <strong>${this.escapeHtml(`${rule.priority}. ${rule.name}`)}</strong>
+                        <code>${this.escapeHtml(this.engine.describePremise(this.engine.compileConditionTree(rule.conditionTree)))}</code>
+                    </div>
+                    <div class="user-rule-actions">
+                        <button type="button" class="config-btn secondary" data-rule-action="edit" data-id="${this.escapeHtml(rule.id)}"><i class="fa-solid fa-pen"></i> Edit</button>
+                        <button type="button" class="config-btn secondary" data-rule-action="delete" data-id="${this.escapeHtml(rule.id)}"><i class="fa-solid fa-trash"></i></button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * The preview runs the draft over every enumerated input, so it waits for typing to pause
+     */
+    scheduleRulePreview() {
+        clearTimeout(this.rulePreviewTimer);
+        this.rulePreviewTimer = setTimeout(() => this.renderRulePreview(), 400);
+    }
+
+    renderRulePreview() {
+        const container = document.getElementById('rulePreview');
+        let preview;
+        try {
+            preview = this.ruleEditor.preview(this.ruleEditor.buildRule(this.collectRuleFields()), this.editingRuleId);
+        } catch (error) {
+            container.innerHTML = `<p class="rule-preview-hint"><i class="fa-solid fa-circle-info"></i> ${this.escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        const describe = inputs => Array.from(this.engine.convertInputsToFacts(inputs))
+            .filter(fact => !fact.startsWith('no_'))
+            .join(', ');
+        const renderCounts = entries => entries.map(entry => `
+            <li><strong>${this.escapeHtml(entry.name)}</strong> · ${entry.count} <small>e.g. ${this.escapeHtml(describe(entry.example))}</small></li>
+        `).join('');
+
+        container.innerHTML = `
+            <p>
+                Conditions hold for <strong>${preview.captured}</strong> of ${preview.inputSpaceSize} input combinations;
+                the rule would be the diagnosis for <strong>${preview.wins}</strong>.
+            </p>
+            ${preview.takenFrom.length > 0 ? `
+                <h4><i class="fa-solid fa-right-left"></i> Takes over from</h4>
+                <ul class="rule-preview-list">${renderCounts(preview.takenFrom)}</ul>
+            ` : ''}
+            ${preview.keptBy.length > 0 ? `
+                <h4><i class="fa-solid fa-shield"></i> Still diagnosed as (ranked ahead)</h4>
+                <ul class="rule-preview-list">${renderCounts(preview.keptBy)}</ul>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Chat panel. The conversation is about the diagnosis on screen and starts
+     * over when another one is shown.
+     */
+    setupChat() {
+        const form = document.getElementById('chatForm');
+        if (!form || !this.chatAssistant) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendChatMessage();
+        });
+        document.getElementById('chatInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.sendChatMessage();
+            }
+        });
+
+        const providerSelect = document.getElementById('chatProviderSelect');
+        this.chatAssistant.getProviderOptions().forEach(option => {
+            providerSelect.innerHTML += `<option value="${option.id}">${option.label}</option>`;
+        });
+        providerSelect.addEventListener('change', () => this.renderChatSettingFields(providerSelect.value));
+
+        document.getElementById('configureChatBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showChatSettings();
+        });
+        document.getElementById('saveChatSettingsBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.saveChatSettings();
+        });
+        document.getElementById('clearChatSettingsBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.clearChatSettings();
+        });
+        document.getElementById('cancelChatSettingsBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.hideChatSettings();
+        });
+
+        this.updateChatContext();
+    }
+
+    showChatSettings() {
+        const providerId = this.chatAssistant.getSettings().provider;
+        document.getElementById('chatProviderSelect').value = providerId;
+        this.renderChatSettingFields(providerId);
+        document.getElementById('chatSettingsModal').classList.remove('hidden');
+    }
+
+    hideChatSettings() {
+        document.getElementById('chatSettingsModal').classList.add('hidden');
+    }
+
+    /**
+     * Inputs for the settings the selected provider takes, filled with its saved
+     * values; the defaults show as placeholders
+     */
+    renderChatSettingFields(providerId) {
+        const option = this.chatAssistant.getProviderOptions().find(provider => provider.id === providerId);
+        const saved = this.chatAssistant.getSettings().providers[providerId] || {};
+
+        document.getElementById('chatProviderHint').textContent = option.description;
+        document.getElementById('chatSettingFields').innerHTML = option.fields.map(field => `
+            <label for="chatSetting-${field}">${this.chatAssistant.getSettingLabel(field)}${option.required.includes(field) ? '' : ' (optional)'}</label>
+            <input type="${field === 'apiKey' ? 'password' : 'text'}" id="chatSetting-${field}" class="api-key-input"
+                data-field="${field}" placeholder="${option.defaults[field] || ''}" autocomplete="off">
+        `).join('');
+        option.fields.forEach(field => {
+            document.getElementById(`chatSetting-${field}`).value = saved[field] || '';
+        });
+    }
+
+    saveChatSettings() {
+        const providerId = document.getElementById('chatProviderSelect').value;
+        const values = {};
+        document.querySelectorAll('#chatSettingFields [data-field]').forEach(input => {
+            values[input.dataset.field] = input.value;
+        });
+
+        try {
+            this.chatAssistant.saveSettings(providerId, values);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.hideChatSettings();
+        this.updateChatContext();
+    }
+
+    clearChatSettings() {
+        const providerId = document.getElementById('chatProviderSelect').value;
+        this.chatAssistant.clearSettings(providerId);
+        console.log(`🔑 Cleared chat settings for ${providerId}`);
+        this.renderChatSettingFields(providerId);
+        this.updateChatContext();
+    }
+
+    updateChatContext() {
+        if (!this.chatAssistant) return;
+        if (this.chatAssistant.syncContext()) {
+            this.renderChatMessages();
+        }
+
+        const diagnosis = this.engine.lastDiagnosis;
+        let context = diagnosis
+            ? `Discussing: ${diagnosis.diagnosis} (${diagnosis.urgency})`
+            : 'No diagnosis yet. Ask general questions, or run a diagnosis to discuss the result.';
+        context += this.chatAssistant.isConfigured()
+            ? ` · Answers from ${this.chatAssistant.provider.name}`
+            : ' · Open Chat Settings to choose a provider and set its API key.';
+        document.getElementById('chatContext').textContent = context;
+    }
+
+    /**
+     * The conversation so far plus any pending or failed message. Replies are
+     * model output, so they are inserted as text.
+     */
+    renderChatMessages(extra = []) {
+        const container = document.getElementById('chatMessages');
+        container.innerHTML = '';
+
+        [...this.chatAssistant.messages, ...extra].forEach(message => {
+            const item = document.createElement('div');
+            item.className = `chat-message ${message.role}${message.status ? ` ${message.status}` : ''}`;
+            const content = document.createElement('div');
+            content.className = 'message-content';
+            message.content.split(/\n{2,}/).forEach(paragraph => {
+                const p = document.createElement('p');
+                p.textContent = paragraph;
+                content.appendChild(p);
+            });
+            (message.interventions || []).forEach(intervention => {
+                const note = document.createElement('div');
+                note.className = `chat-intervention ${intervention.action}`;
+                note.title = intervention.reason;
+                note.innerHTML = '<i class="fa-solid fa-shield-halved"></i> ';
+                note.appendChild(document.createTextNode(`Safety filter: ${intervention.label} (${intervention.action})`));
+                content.appendChild(note);
+            });
+            item.appendChild(content);
+            container.appendChild(item);
+        });
+        container.scrollTop = container.scrollHeight;
+    }
+
+    async sendChatMessage() {
+        if (this.isChatting) return;
+
+        const input = document.getElementById('chatInput');
+        const question = input.value.trim();
+        if (!question) return;
+        if (!this.chatAssistant.isConfigured()) {
+            this.showChatSettings();
+            return;
+        }
+
+        this.isChatting = true;
+        const sendBtn = document.getElementById('chatSendBtn');
+        sendBtn.disabled = true;
+        this.updateChatContext();
+
+        const asked = { role: 'user', content: question };
+        this.renderChatMessages([asked, { role: 'assistant', status: 'pending', content: 'Thinking...' }]);
+        try {
+            await this.chatAssistant.ask(question);
+            input.value = '';
+            this.renderChatMessages();
+        } catch (error) {
+            console.error('❌ Chat error:', error);
+            this.renderChatMessages([asked, { role: 'assistant', status: 'error', content: `Could not get an answer: ${error.message}` }]);
+        } finally {
+            this.isChatting = false;
+            sendBtn.disabled = false;
+        }
+    }
+
     /**
      * Show loading overlay
      */
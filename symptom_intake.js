@@ -0,0 +1,209 @@
+/**
+ * Free-text symptom intake: maps an owner's description ("she keeps tilting her
+ * head and walking like she's drunk") onto the assessment inputs. The lexicon is
+ * the phrases in the knowledge base's inputDescriptions plus INTAKE_SYNONYMS for
+ * everyday wording. Every extracted value keeps the text spans that produced it,
+ * so the form can show them for confirmation before anything is applied.
+ */
+
+// Possessives owners use for the cat, for phrases such as "tilting her head"
+const PET = "(?:her|his|its|their|the cat's|my cat's|the)";
+
+// A severity qualifier before the noun: "a mild seizure", "a brief fit"
+const INTAKE_MILD_QUALIFIER = '(?:mild|brief|small|little|short|minor)';
+
+// Everyday phrasings for each input value, as regular expression sources matched
+// case-insensitively on word boundaries. negatedValue is the value a negated
+// mention means ("no seizures" is seizures: none); boolean signs are false when
+// negated. Others are ignored when negated.
+const INTAKE_SYNONYMS = [
+    { field: 'age_group', value: 'kitten', phrases: ['kitten', 'baby cat', 'young kitty'] },
+    { field: 'age_group', value: 'adult', phrases: ['adult', 'middle[- ]aged', 'young adult'] },
+    { field: 'age_group', value: 'senior', phrases: ['senior', 'elderly', 'geriatric', 'old (?:cat|lady|girl|boy|man)'] },
+
+    { field: 'onset_speed', value: 'sudden', phrases: ['sudden(?:ly)?', 'all of a sudden', 'out of nowhere', 'overnight', 'this morning', 'last night', 'since yesterday', 'came on (?:fast|quickly)', 'acute(?:ly)?'] },
+    { field: 'onset_speed', value: 'gradual', phrases: ['gradual(?:ly)?', 'slowly', 'little by little', 'progressive(?:ly)?', 'over (?:the )?(?:last |past )?(?:few |several |a few )?(?:weeks|months)', 'for (?:a few |several )?(?:weeks|months)'] },
+
+    { field: 'mobility_status', value: 'normal', phrases: ['walk(?:s|ing)? (?:fine|normally|ok|okay)', 'moving (?:fine|normally)'] },
+    { field: 'mobility_status', value: 'wobbly', phrases: ['wobbl\\w*', 'drunk', 'stumbl\\w*', 'stagger\\w*', 'unsteady', 'off balance', 'los(?:es|ing) (?:her|his|its) balance', 'f(?:ell|alls?|alling) over', 'uncoordinated', 'clumsy', 'circling', 'walking in circles', 'walking funny'] },
+    { field: 'mobility_status', value: 'paralyzed', phrases: ["can'?t (?:walk|stand)", 'cannot (?:walk|stand)', 'unable to (?:walk|stand)', `dragging ${PET}? ?(?:back |hind )?legs`, 'paraly[sz]\\w*', `not using ${PET}? ?(?:back |hind )?legs`, "(?:back|hind) legs (?:are |seem )?(?:limp|not working|don'?t work)"] },
+
+    { field: 'seizures', value: 'mild', negatedValue: 'none', phrases: [`${INTAKE_MILD_QUALIFIER} (?:seizures?|fits?|convulsions?)`, 'twitch\\w*', 'tremors?', 'trembl\\w*', 'snapping at (?:the )?air', 'spac(?:es|ing) out', 'zon(?:es|ing) out', 'staring (?:into space|blankly|at nothing)'] },
+    { field: 'seizures', value: 'severe', negatedValue: 'none', phrases: ['seizures?', 'seizing', 'convuls\\w*', '(?:had|having) (?:a )?fits?', 'paddl\\w*', 'passed out', 'unconscious', 'foaming at the mouth'] },
+
+    { field: 'eye_signs', value: true, phrases: ["eyes? (?:are |is |keep |keeps )?(?:flick\\w*|dart\\w*|jerk\\w*|twitch\\w*|bouncing|moving (?:side to side|back and forth))", "eyes (?:won'?t|can'?t) stay still", 'nystagmus'] },
+    { field: 'pain_signs', value: true, phrases: ['pain\\w*', 'hurts?', 'hurting', 'crying', 'cries', 'yowl\\w*', 'howl\\w*', 'hiding', 'hides', 'sore', 'flinch\\w*', 'growls? when'] },
+    { field: 'head_tilt', value: true, phrases: ['head (?:is |keeps )?(?:tilt\\w*|tipped|cocked|to one side)', `tilt\\w* ${PET} head`] },
+    { field: 'recent_trauma', value: true, phrases: ['hit by a car', 'f(?:ell|all(?:en)?) (?:from|off|out of|down (?:the )?(?:stairs|steps))', 'jumped (?:from|off)', 'accident', 'injur\\w*', 'trauma\\w*', '(?:got|was) (?:stepped on|attacked|kicked)', '(?:cat )?fight'] },
+    { field: 'cold_limbs', value: true, phrases: ['cold (?:back |hind )?(?:legs|paws|feet|limbs)', '(?:back |hind )?(?:legs|paws|feet) (?:are |feel |felt )?(?:cold|icy|freezing)'] },
+    { field: 'neck_flexion', value: true, phrases: [`chin (?:tucked |down )?(?:to|on|against) ${PET}? ?chest`, `can'?t (?:lift|raise|hold up) ${PET} head`, 'head (?:hanging|drooping)(?: down)?', 'neck (?:is )?(?:bent|curled|flexed|weak)'] },
+    { field: 'ear_issues', value: true, phrases: ['ear (?:infection|discharge|mites|problems?)', '(?:smelly|dirty|gunky|waxy|red) ears?', `discharge from ${PET} ears?`, `scratch\\w* (?:at )?${PET} ears?`, `shak\\w* ${PET} head`, 'ears? (?:smell|stink)\\w*', 'otitis'] }
+];
+
+// Value names too common in everyday speech to stand for the value: "her
+// appetite is normal" says nothing about mobility, "severe pain" nothing about seizures
+const INTAKE_SKIPPED_VALUE_NAMES = ['none', 'normal', 'mild', 'severe'];
+
+// "3 years old", "8 month old", "a year old"; converted with the same
+// boundaries as the patient record's age group
+const INTAKE_AGE_PATTERN = /\b(\d+(?:\.\d+)?|a|one)[\s-]*(years?|yrs?|months?|weeks?)[\s-]*old\b/gi;
+
+const INTAKE_NEGATION_PATTERN = /\b(?:no|not|never|without|nor|hasn'?t|haven'?t|isn'?t|doesn'?t|didn'?t|don'?t|wasn'?t|won'?t)\b/i;
+
+// A negation only reaches back to the start of its clause
+const INTAKE_CLAUSE_BREAK = /[.,;:!?]|\b(?:and|but|though|although|however|then|so)\b/gi;
+
+class FelineNeuroSymptomIntake {
+    constructor(engine) {
+        this.engine = engine;
+        this.lexicon = null;
+        this.lexiconData = null;
+    }
+
+    /**
+     * [{ field, value, negatedValue, pattern, source }], longest phrases first.
+     * Rebuilt when the engine's knowledge base changes (e.g. another pack).
+     */
+    getLexicon() {
+        if (this.lexicon && this.lexiconData === this.engine.data) {
+            return this.lexicon;
+        }
+
+        const entries = [];
+        const add = (field, value, negatedValue, phrase, source) => {
+            const domain = this.engine.getFieldDomain(field);
+            if (!domain || !domain.includes(value)) return;
+            entries.push({ field, value, negatedValue, phrase, source, pattern: new RegExp(`\\b${phrase}\\b`, 'gi') });
+        };
+
+        Object.entries(this.engine.data.inputDescriptions).forEach(([field, values]) => {
+            Object.entries(values).forEach(([value, description]) => {
+                if (!INTAKE_SKIPPED_VALUE_NAMES.includes(value)) {
+                    add(field, value, undefined, this.toPhrasePattern(value), 'inputDescriptions');
+                }
+                // "Focal twitching, fly-biting, tremors, spacing out" gives four phrases
+                description.split(/[,()]/).map(part => part.trim()).filter(part => part.length > 3).forEach(part => {
+                    add(field, value, undefined, this.toPhrasePattern(part), 'inputDescriptions');
+                });
+            });
+        });
+        INTAKE_SYNONYMS.forEach(({ field, value, negatedValue, phrases }) => {
+            phrases.forEach(phrase => add(field, value, negatedValue, phrase, 'synonyms'));
+        });
+
+        // Seizure phrases from the descriptions mean "none" when negated, like the synonyms
+        entries.forEach(entry => {
+            if (entry.negatedValue === undefined) {
+                const synonym = INTAKE_SYNONYMS.find(s => s.field === entry.field && s.negatedValue !== undefined);
+                entry.negatedValue = synonym ? synonym.negatedValue : undefined;
+            }
+        });
+
+        this.lexicon = entries.sort((a, b) => b.phrase.length - a.phrase.length);
+        this.lexiconData = this.engine.data;
+        return this.lexicon;
+    }
+
+    /**
+     * Literal description text as a pattern; spaces and hyphens are interchangeable
+     * so "fly-biting" also matches "fly biting"
+     */
+    toPhrasePattern(text) {
+        return text.toLowerCase()
+            .replace(/[.*+?^${}|[\]\\]/g, '\\$&')
+            .split(/[\s-]+/)
+            .join('[\\s-]*');
+    }
+
+    /**
+     * Read a description. Returns { values, matches, conflicts }:
+     * - values: field -> value for every field the text mentions
+     * - matches: { field, value, start, end, text, negated, source } spans, in text order
+     * - conflicts: field -> every value mentioned when the text names more than one;
+     *   values then holds the most severe (last in the field's domain)
+     */
+    extract(text) {
+        const matches = [];
+        const taken = [];
+        const overlaps = (start, end) => taken.some(([s, e]) => start < e && end > s);
+        const claim = (match) => {
+            matches.push(match);
+            taken.push([match.start, match.end]);
+        };
+
+        for (const match of text.matchAll(INTAKE_AGE_PATTERN)) {
+            const value = this.ageGroupFor(match[1], match[2]);
+            if (value && this.engine.getFieldDomain('age_group').includes(value)) {
+                claim({ field: 'age_group', value, start: match.index, end: match.index + match[0].length, text: match[0], negated: false, source: 'age' });
+            }
+        }
+
+        this.getLexicon().forEach(entry => {
+            for (const match of text.matchAll(entry.pattern)) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (match[0].length === 0 || overlaps(start, end)) continue;
+
+                const negated = this.isNegated(text, start);
+                const isSign = typeof entry.value === 'boolean';
+                const value = negated ? (isSign ? false : entry.negatedValue) : entry.value;
+                if (value === undefined) continue;
+
+                claim({ field: entry.field, value, start, end, text: match[0], negated, source: entry.source });
+            }
+        });
+
+        matches.sort((a, b) => a.start - b.start);
+        return { ...this.resolveValues(matches), matches };
+    }
+
+    /**
+     * One value per field. Several values for an enumerated field keep the most
+     * severe; a sign both affirmed and denied counts as present.
+     */
+    resolveValues(matches) {
+        const values = {};
+        const conflicts = {};
+
+        matches.forEach(({ field, value }) => {
+            if (!(field in values) || values[field] === value) {
+                values[field] = value;
+                return;
+            }
+
+            conflicts[field] = Array.from(new Set([...(conflicts[field] || [values[field]]), value]));
+            if (typeof value === 'boolean') {
+                values[field] = true;
+            } else {
+                const domain = this.engine.getFieldDomain(field);
+                values[field] = domain.indexOf(value) > domain.indexOf(values[field]) ? value : values[field];
+            }
+        });
+
+        return { values, conflicts };
+    }
+
+    isNegated(text, start) {
+        const before = text.slice(Math.max(0, start - 40), start);
+        const clauses = before.split(INTAKE_CLAUSE_BREAK);
+        return INTAKE_NEGATION_PATTERN.test(clauses[clauses.length - 1]);
+    }
+
+    ageGroupFor(amount, unit) {
+        const count = /^(a|one)$/i.test(amount) ? 1 : parseFloat(amount);
+        const perYear = /^w/i.test(unit) ? 52 : /^m/i.test(unit) ? 12 : 1;
+        const years = count / perYear;
+        if (!isFinite(years)) return null;
+        if (years < 1) return 'kitten';
+        if (years < 7) return 'adult';
+        return 'senior';
+    }
+}
+
+// Export for use in other files: a browser global, or module.exports under Node
+if (typeof window !== 'undefined') {
+    window.FelineNeuroSymptomIntake = FelineNeuroSymptomIntake;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FelineNeuroSymptomIntake;
+}
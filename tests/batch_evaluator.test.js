@@ -0,0 +1,91 @@
+/**
+ * Batch evaluation: labelled cases read back from a CSV file, accuracy, top-k
+ * accuracy over the differential, the confusion matrix and misclassified cases.
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createEngine } = require('./helpers.js');
+const { loadCasesFromFile, normalizeCase } = require('../cli.js');
+const FelineNeuroBatchEvaluator = require('../batch_evaluator.js');
+
+const engine = createEngine();
+const evaluator = new FelineNeuroBatchEvaluator(engine);
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'feline-batch-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const CSV = [
+    'id,age_group,onset_speed,mobility_status,seizures,head_tilt,ear_issues,pain_signs,cold_limbs,final_diagnosis',
+    'otitis,adult,gradual,normal,none,true,true,false,false,OTITIS_INTERNA',
+    'thrombus,adult,sudden,paralyzed,none,false,false,true,true,"Feline Aortic Thromboembolism (Saddle Thrombus)"',
+    'polyp,adult,gradual,normal,none,true,true,false,false,nasopharyngeal_polyp',
+    'unlabelled,adult,gradual,normal,none,false,false,false,false,',
+    'mislabelled,adult,gradual,normal,none,false,false,false,false,FELINE_FLU'
+].join('\n');
+
+/**
+ * Write the cases to a CSV file and read them back the way `cli.js --evaluate` does
+ */
+function evaluateCsv(text, options = {}) {
+    const file = path.join(directory, 'cases.csv');
+    fs.writeFileSync(file, text);
+    const cases = loadCasesFromFile(file).map((raw, index) => {
+        const testCase = normalizeCase(raw, engine, index);
+        return { ...testCase, expected: testCase.metadata.final_diagnosis };
+    });
+    return evaluator.evaluate(cases, options);
+}
+
+describe('CSV round trip', () => {
+    const report = evaluateCsv(CSV);
+
+    it('reads every row back as a case', () => {
+        assert.equal(report.total, 5);
+        assert.equal(report.evaluated, 3);
+        assert.deepEqual(report.skipped, [
+            { id: 'unlabelled', label: '', reason: 'no label' },
+            { id: 'mislabelled', label: 'FELINE_FLU', reason: 'unknown label' }
+        ]);
+    });
+
+    it('scores labels given as rule ids or names', () => {
+        assert.equal(report.correct, 2);
+        assert.equal(report.accuracy, 2 / 3);
+        assert.equal(report.confusionMatrix.counts.SADDLE_THROMBUS.SADDLE_THROMBUS, 1);
+    });
+
+    it('reports the mismatch with its rank in the differential', () => {
+        assert.equal(report.misclassified.length, 1);
+        const [mismatch] = report.misclassified;
+        assert.deepEqual([mismatch.id, mismatch.expected, mismatch.predicted, mismatch.expectedRank], ['polyp', 'NASOPHARYNGEAL_POLYP', 'OTITIS_INTERNA', 2]);
+        assert.equal(mismatch.whyNotExpected.ruleId, 'NASOPHARYNGEAL_POLYP');
+        assert.equal(report.confusionMatrix.counts.NASOPHARYNGEAL_POLYP.OTITIS_INTERNA, 1);
+        assert.deepEqual(report.topKAccuracy.map(entry => entry.accuracy), [2 / 3, 1, 1]);
+    });
+
+    it('gives recall and precision for the rules that occur', () => {
+        const otitis = report.perRule.find(entry => entry.ruleId === 'OTITIS_INTERNA');
+        assert.deepEqual(otitis, { ruleId: 'OTITIS_INTERNA', support: 1, predicted: 2, recall: 1, precision: 0.5 });
+        assert.deepEqual(report.perRule.map(entry => entry.ruleId), ['SADDLE_THROMBUS', 'OTITIS_INTERNA', 'NASOPHARYNGEAL_POLYP']);
+    });
+
+    it('formats the mismatch in the text report', () => {
+        const text = evaluator.formatReport(report);
+        assert.match(text, /Accuracy: 66\.7% \(2\/3\)/);
+        assert.match(text, /polyp: expected NASOPHARYNGEAL_POLYP, got OTITIS_INTERNA \(expected ranked #2\)/);
+        assert.match(text, /Skipped: unlabelled \(no label\), mislabelled \(unknown label: FELINE_FLU\)/);
+    });
+});
+
+describe('conflict resolution', () => {
+    it('scores with the strategy given', () => {
+        const report = evaluateCsv(CSV, { conflictResolution: 'recency' });
+        assert.equal(report.strategy, 'recency');
+        assert.deepEqual(report.misclassified.map(entry => entry.id), ['otitis']);
+    });
+});
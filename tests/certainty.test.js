@@ -0,0 +1,99 @@
+/**
+ * Certainty factors: rule strengths, findings drawn through intermediate rules,
+ * answers the observer is unsure of and the fallback diagnosis.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, caseInputs, diagnose } = require('./helpers.js');
+
+const engine = createEngine();
+
+const SADDLE_THROMBUS = { onset_speed: 'sudden', mobility_status: 'paralyzed', pain_signs: true, cold_limbs: true };
+
+describe('certainty propagation', () => {
+    it('gives every built-in rule a strength', () => {
+        engine.data.diagnosticRules.forEach(rule => {
+            assert.ok(rule.certainty > 0 && rule.certainty <= 1, `${rule.id} has no certainty`);
+        });
+    });
+
+    it('matches answers through the findings intermediate rules draw from them', () => {
+        const rule = engine.forwardChainingRules.find(r => r.id === 'SADDLE_THROMBUS');
+        assert.equal(engine.describePremise(rule.premise), 'NOT mobility_normal AND experiencing_pain AND cold_limbs');
+    });
+
+    it('multiplies the rule strength by its weakest finding', () => {
+        // experiencing_pain is drawn from pain_signs with certainty 0.85
+        const diagnosis = diagnose(engine, caseInputs(SADDLE_THROMBUS));
+        assert.equal(diagnosis.ruleId, 'SADDLE_THROMBUS');
+        assert.equal(diagnosis.certaintyFactors.experiencing_pain, 0.85);
+        assert.equal(diagnosis.confidence, engine.roundCertainty(0.9 * 0.85));
+    });
+
+    it('gives different diagnoses different certainties', () => {
+        const certainties = new Set(engine.enumerateInputSpace().slice(0, 500).map(inputs => diagnose(engine, inputs).confidence));
+        assert.ok(certainties.size > 3);
+    });
+});
+
+describe('answer certainty', () => {
+    it('weakens the diagnosis resting on an uncertain answer', () => {
+        const certain = diagnose(engine, caseInputs(SADDLE_THROMBUS));
+        const unsure = diagnose(engine, caseInputs({ ...SADDLE_THROMBUS, certainties: { cold_limbs: 0.6 } }));
+        assert.equal(unsure.ruleId, 'SADDLE_THROMBUS');
+        assert.equal(unsure.confidence, engine.roundCertainty(0.9 * 0.6));
+        assert.ok(unsure.confidence < certain.confidence);
+    });
+
+    it('carries an uncertain answer through the finding drawn from it', () => {
+        const diagnosis = diagnose(engine, caseInputs({ ...SADDLE_THROMBUS, certainties: { pain_signs: 0.4 } }));
+        assert.equal(diagnosis.certaintyFactors.experiencing_pain, engine.roundCertainty(0.85 * 0.4));
+        assert.equal(diagnosis.confidence, engine.roundCertainty(0.9 * 0.85 * 0.4));
+    });
+
+    it('does not fire on evidence below the threshold', () => {
+        const diagnosis = diagnose(engine, caseInputs({ ...SADDLE_THROMBUS, certainties: { cold_limbs: 0.2 } }));
+        assert.notEqual(diagnosis.ruleId, 'SADDLE_THROMBUS');
+        assert.equal(engine.explainWhyNot('SADDLE_THROMBUS', caseInputs({ ...SADDLE_THROMBUS, certainties: { cold_limbs: 0.2 } })).outcome, 'low_certainty');
+    });
+
+    it('rejects certainties that are not a number from 0 to 1', () => {
+        assert.throws(() => diagnose(engine, caseInputs({ certainties: { head_tilt: 1.5 } })), /between 0 and 1/);
+        assert.throws(() => diagnose(engine, caseInputs({ certainties: { head_tilt: NaN } })), /between 0 and 1/);
+        assert.throws(() => diagnose(engine, caseInputs({ certainties: { head_tilt: '0.5' } })), /between 0 and 1/);
+    });
+});
+
+describe('combining evidence', () => {
+    it('combines two positive certainties MYCIN style', () => {
+        assert.equal(engine.combineCertainty(0.6, 0.5), 0.8);
+        assert.equal(engine.combineCertainty(-0.6, -0.5), -0.8);
+        assert.equal(engine.roundCertainty(engine.combineCertainty(0.6, -0.4)), 0.333);
+    });
+
+    it('accumulates a fact concluded by two rules', () => {
+        const rules = [
+            { id: 'TILT', name: 'Tilt', conditions: ['head_tilt'], conclusions: ['vestibular_sign'], confidence: 0.6 },
+            { id: 'EYES', name: 'Eyes', conditions: ['eye_signs'], conclusions: ['vestibular_sign'], confidence: 0.5 }
+        ];
+        const result = engine.forwardChaining(new Set(['head_tilt', 'eye_signs']), new Map(), { silent: true, rules });
+        assert.equal(engine.roundCertainty(result.factCertainties.get('vestibular_sign')), 0.8);
+    });
+});
+
+describe('fallback diagnosis', () => {
+    it('gives UNDETERMINED its own low strength', () => {
+        const diagnosis = diagnose(engine, caseInputs());
+        assert.equal(diagnosis.ruleId, 'UNDETERMINED');
+        assert.equal(diagnosis.confidence, 0.2);
+    });
+
+    it('has no certainty when no rule concluded anything', () => {
+        const data = { ...engine.data, diagnosticRules: engine.data.diagnosticRules.filter(rule => rule.id !== 'UNDETERMINED') };
+        const diagnosis = diagnose(new engine.constructor(data), caseInputs());
+        assert.equal(diagnosis.ruleId, 'UNDETERMINED');
+        assert.equal(diagnosis.confidence, 0);
+    });
+});
@@ -0,0 +1,233 @@
+/**
+ * Chat assistant: the system prompt built from the diagnosis on screen, the
+ * offline mock provider, the Gemini and OpenAI-compatible request formats
+ * (against a stubbed fetch), switching providers and asking through the guardrails.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, caseInputs, diagnose } = require('./helpers.js');
+const FelineNeuroChatAssistant = require('../chat_assistant.js');
+const FelineNeuroChatGuardrails = require('../chat_guardrails.js');
+
+const { GeminiChatProvider, OpenAICompatibleChatProvider, MockChatProvider, CHAT_DISCLAIMER } = FelineNeuroChatAssistant;
+
+const SADDLE_THROMBUS = caseInputs({ onset_speed: 'sudden', mobility_status: 'paralyzed', pain_signs: true, cold_limbs: true, certainties: { cold_limbs: 0.6 } });
+
+/**
+ * An engine with a diagnosis on screen, as after submitting the form
+ */
+function engineWithDiagnosis(inputs = SADDLE_THROMBUS) {
+    const engine = createEngine();
+    diagnose(engine, inputs);
+    return engine;
+}
+
+/**
+ * Replace fetch with a handler that records each request
+ */
+const originalFetch = globalThis.fetch;
+function stubFetch(status, body) {
+    const requests = [];
+    globalThis.fetch = async (url, init) => {
+        requests.push({ url, ...init, body: JSON.parse(init.body) });
+        return { ok: status < 400, status, json: async () => body };
+    };
+    return requests;
+}
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+describe('buildSystemPrompt', () => {
+    it('gives the safety rules and asks for a diagnosis when there is none', () => {
+        const prompt = new FelineNeuroChatAssistant(createEngine(), null, new MockChatProvider()).buildSystemPrompt();
+        assert.ok(prompt.startsWith('Rules:\n- You are an educational assistant'));
+        assert.match(prompt, /Do not give drug names with doses/);
+        assert.match(prompt, /No diagnosis has been run yet/);
+    });
+
+    it('describes the current case', () => {
+        const engine = engineWithDiagnosis();
+        const diagnosis = engine.lastDiagnosis;
+        const prompt = new FelineNeuroChatAssistant(engine, null, new MockChatProvider()).buildSystemPrompt();
+
+        assert.match(prompt, /- Result: Feline Aortic Thromboembolism \(Saddle Thrombus\) \[SADDLE_THROMBUS\], priority 4/);
+        assert.match(prompt, new RegExp(`- Urgency: ${engine.data.urgencyLevels.EMERGENCY.label}`));
+        assert.match(prompt, new RegExp(`- Certainty: ${Math.round(diagnosis.confidence * 100)}%`));
+        assert.ok(prompt.includes(`  - ${diagnosis.clinicalNotes[0]}`));
+        assert.ok(prompt.includes(`  - ${diagnosis.nextSteps[0]}`));
+        assert.match(prompt, /signs present: pain signs, cold limbs \(certainty 60%\)/);
+        assert.match(prompt, /- Facts derived by forward chaining: .*experiencing_pain/);
+        assert.ok(prompt.endsWith(`Disclaimer to keep in mind: ${CHAT_DISCLAIMER}`));
+    });
+});
+
+describe('MockChatProvider', () => {
+    const provider = new MockChatProvider();
+    const { lastDiagnosis: diagnosis } = engineWithDiagnosis();
+    const ask = question => provider.send('', [{ role: 'user', content: question }], { diagnosis });
+
+    it('answers a question about the notes with the clinical notes only', async () => {
+        const reply = await ask('What do these notes mean?');
+        assert.ok(reply.includes(diagnosis.clinicalNotes[0]));
+        assert.ok(!reply.includes('Steps a veterinarian may take'));
+    });
+
+    it('answers a question about next steps with those only', async () => {
+        for (const question of ['What should we do next?', 'What can I do?', 'Which tests are needed?']) {
+            const reply = await ask(question);
+            assert.ok(reply.includes(`- ${diagnosis.nextSteps[0]}`), question);
+            assert.ok(!reply.includes('Clinical notes:'), question);
+        }
+    });
+
+    it('flags an urgent result and ends with the disclaimer', async () => {
+        const reply = await ask('Tell me more');
+        assert.match(reply, /This result is urgent/);
+        assert.ok(reply.endsWith(CHAT_DISCLAIMER));
+        assert.equal(await ask('Tell me more'), reply);
+    });
+
+    it('asks for a diagnosis first when there is none', async () => {
+        assert.match(await provider.send('', [{ role: 'user', content: 'Hi' }]), /run a diagnosis first/);
+    });
+});
+
+describe('GeminiChatProvider', () => {
+    it('sends the prompt and conversation to generateContent', async () => {
+        const requests = stubFetch(200, { candidates: [{ content: { parts: [{ text: ' See a vet ' }, { text: 'now.' }] } }] });
+        const provider = new GeminiChatProvider({ apiKey: 'key', endpoint: 'http://localhost:8080/v1beta/' });
+        const reply = await provider.send('System', [
+            { role: 'user', content: 'Is it serious?' },
+            { role: 'assistant', content: 'It can be.' },
+            { role: 'user', content: 'Why?' }
+        ]);
+
+        assert.equal(reply, 'See a vet now.');
+        assert.equal(requests[0].url, 'http://localhost:8080/v1beta/models/gemini-1.5-flash:generateContent');
+        assert.equal(requests[0].headers['x-goog-api-key'], 'key');
+        assert.deepEqual(requests[0].body.systemInstruction, { parts: [{ text: 'System' }] });
+        assert.deepEqual(requests[0].body.contents.map(content => content.role), ['user', 'model', 'user']);
+    });
+
+    it('reports the server error, an empty answer or a missing key', async () => {
+        stubFetch(403, { error: { message: 'API key not valid' } });
+        await assert.rejects(new GeminiChatProvider({ apiKey: 'bad' }).send('', []), /Gemini request failed \(403\): API key not valid/);
+
+        stubFetch(200, { candidates: [{ finishReason: 'SAFETY' }] });
+        await assert.rejects(new GeminiChatProvider({ apiKey: 'key' }).send('', []), /Gemini returned no answer \(SAFETY\)/);
+
+        await assert.rejects(new GeminiChatProvider().send('', []), /No Gemini API key configured/);
+    });
+});
+
+describe('OpenAICompatibleChatProvider', () => {
+    it('sends the prompt as the system message to chat/completions', async () => {
+        const requests = stubFetch(200, { choices: [{ message: { content: 'Call your vet.' } }] });
+        const reply = await new OpenAICompatibleChatProvider({ model: 'llama3' }).send('System', [{ role: 'user', content: 'Hi' }]);
+
+        assert.equal(reply, 'Call your vet.');
+        assert.equal(requests[0].url, 'http://localhost:11434/v1/chat/completions');
+        assert.equal(requests[0].headers.Authorization, undefined);
+        assert.deepEqual(requests[0].body, {
+            model: 'llama3',
+            messages: [{ role: 'system', content: 'System' }, { role: 'user', content: 'Hi' }]
+        });
+    });
+
+    it('sends the API key when there is one and reports errors', async () => {
+        const requests = stubFetch(500, { error: 'model not found' });
+        await assert.rejects(
+            new OpenAICompatibleChatProvider({ model: 'gpt', apiKey: 'secret' }).send('', []),
+            /OpenAI-compatible server request failed \(500\): model not found/
+        );
+        assert.equal(requests[0].headers.Authorization, 'Bearer secret');
+
+        await assert.rejects(new OpenAICompatibleChatProvider().send('', []), /No model configured/);
+    });
+});
+
+describe('provider settings', () => {
+    const createStorage = () => {
+        const items = {};
+        return { items, getItem: key => (key in items ? items[key] : null), setItem: (key, value) => { items[key] = value; } };
+    };
+
+    it('switches providers and keeps each one\'s settings', () => {
+        const storage = createStorage();
+        const assistant = new FelineNeuroChatAssistant(createEngine(), storage);
+        assert.equal(assistant.provider.name, 'Gemini');
+        assert.equal(assistant.isConfigured(), false);
+
+        assistant.saveSettings('gemini', { apiKey: ' key ' });
+        assistant.saveSettings('mock');
+        assert.equal(assistant.provider.name, 'Offline mock');
+
+        const reloaded = new FelineNeuroChatAssistant(createEngine(), storage);
+        assert.equal(reloaded.provider.name, 'Offline mock');
+        assert.deepEqual(reloaded.getSettings().providers.gemini, { apiKey: 'key' });
+    });
+
+    it('needs the required settings of a provider', () => {
+        const assistant = new FelineNeuroChatAssistant(createEngine(), createStorage());
+        assert.throws(() => assistant.saveSettings('openai', { endpoint: 'http://localhost:1234/v1' }), /OpenAI-compatible server needs: Model/);
+        assert.throws(() => assistant.saveSettings('claude'), /Unknown chat provider: claude/);
+    });
+
+    it('reads settings saved before there was a provider choice as Gemini\'s', () => {
+        const storage = createStorage();
+        storage.setItem('felineNeuroChatSettings', JSON.stringify({ apiKey: 'old-key' }));
+        const assistant = new FelineNeuroChatAssistant(createEngine(), storage);
+        assert.equal(assistant.provider.name, 'Gemini');
+        assert.equal(assistant.isConfigured(), true);
+    });
+});
+
+describe('FelineNeuroChatAssistant', () => {
+    it('asks the provider with the system prompt and keeps the conversation', async () => {
+        const engine = engineWithDiagnosis();
+        const sent = [];
+        const provider = { name: 'Stub', isConfigured: () => true, send: async (...args) => { sent.push(args); return 'Please see your vet now.'; } };
+        const assistant = new FelineNeuroChatAssistant(engine, null, provider, new FelineNeuroChatGuardrails(engine));
+
+        assert.equal(await assistant.ask('Is she in pain?'), 'Please see your vet now.');
+        assert.equal(sent[0][0], assistant.buildSystemPrompt());
+        assert.deepEqual(sent[0][1], [{ role: 'user', content: 'Is she in pain?' }]);
+        assert.equal(sent[0][2].diagnosis, engine.lastDiagnosis);
+        assert.equal(assistant.messages.length, 2);
+    });
+
+    it('answers a blocked question without asking the provider', async () => {
+        const engine = engineWithDiagnosis();
+        const provider = { isConfigured: () => true, send: async () => assert.fail('provider was asked') };
+        const assistant = new FelineNeuroChatAssistant(engine, null, provider, new FelineNeuroChatGuardrails(engine));
+        assert.match(await assistant.ask('My dog is limping, what should I do?'), /only help with questions about your cat/);
+    });
+
+    it('replaces a reply that downplays an emergency', async () => {
+        const engine = engineWithDiagnosis();
+        const provider = { isConfigured: () => true, send: async () => 'This is not an emergency.' };
+        const assistant = new FelineNeuroChatAssistant(engine, null, provider, new FelineNeuroChatGuardrails(engine));
+        assert.match(await assistant.ask('Should I worry?'), /Contact a veterinarian or emergency clinic now/);
+        assert.equal(assistant.messages[1].interventions[0].guardrail, 'urgency');
+    });
+
+    it('keeps the conversation as it was when the request fails', async () => {
+        stubFetch(503, {});
+        const assistant = new FelineNeuroChatAssistant(engineWithDiagnosis(), null, new GeminiChatProvider({ apiKey: 'key' }));
+        await assert.rejects(assistant.ask('Hello?'), /Gemini request failed \(503\)/);
+        assert.deepEqual(assistant.messages, []);
+    });
+
+    it('starts a new conversation for a new diagnosis', async () => {
+        const engine = engineWithDiagnosis();
+        const assistant = new FelineNeuroChatAssistant(engine, null, new MockChatProvider());
+        await assistant.ask('What next?');
+        diagnose(engine, caseInputs({ head_tilt: true, ear_issues: true }));
+        await assistant.ask('What next?');
+        assert.equal(assistant.messages.length, 2);
+        assert.match(assistant.messages[1].content, /Otitis Interna/);
+    });
+});
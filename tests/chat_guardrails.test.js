@@ -0,0 +1,139 @@
+/**
+ * Chat safety filters: each guardrail with questions or replies it must stop
+ * and ordinary ones it must leave alone.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine } = require('./helpers.js');
+const FelineNeuroChatGuardrails = require('../chat_guardrails.js');
+
+const guardrails = new FelineNeuroChatGuardrails(createEngine());
+
+const EMERGENCY = { ruleId: 'SADDLE_THROMBUS', diagnosis: 'Saddle Thrombus', urgency: 'EMERGENCY', nextSteps: ['Go to an emergency clinic now'] };
+const HIGH = { ruleId: 'HIGH_RULE', diagnosis: 'High Rule', urgency: 'HIGH', nextSteps: [] };
+const LOW = { ruleId: 'LOW_RULE', diagnosis: 'Low Rule', urgency: 'LOW', nextSteps: [] };
+
+describe('scope guardrail', () => {
+    [
+        'My dog is wobbly too, what should I do?',
+        'The dog has been limping since yesterday',
+        'My son has a fever, what can he take?',
+        "I'm feeling dizzy, is it contagious?",
+        'Write me a poem about this diagnosis',
+        'What are the best crypto stocks?'
+    ].forEach(question => {
+        it(`blocks "${question}"`, () => {
+            const result = guardrails.checkQuestion(question);
+            assert.equal(result.blocked, true);
+            assert.equal(result.interventions[0].guardrail, 'scope');
+        });
+    });
+
+    [
+        'I have noticed she is walking funny, what should I do next?',
+        'My daughter found him lying on the floor, is that bad?',
+        'I have a question about the next steps',
+        "I've got her in a carrier, should I go now?",
+        'Can she still play with the dog?',
+        'Can my dog catch this from my cat?',
+        'Is the head tilt permanent?'
+    ].forEach(question => {
+        it(`passes "${question}"`, () => {
+            const result = guardrails.checkQuestion(question);
+            assert.equal(result.blocked, false);
+            assert.equal(result.text, question);
+            assert.deepEqual(result.interventions, []);
+        });
+    });
+});
+
+describe('dosage guardrail', () => {
+    [
+        'Your vet may give 2.5 milligrams of diazepam.',
+        'Give five milligrams of diazepam.',
+        'Give one to two tablets by mouth.',
+        'Some vets start prednisolone at 1 milligram per kilogram.',
+        'A typical dose is 5 mg/kg.',
+        'Give 0.5 ml by mouth.',
+        'Use 2 micrograms in the drip.',
+        'Mix in 3 millilitres of water.',
+        'Half a tablet, 0.25 per kg, works.',
+        'Give the tablets twice a day.'
+    ].forEach(sentence => {
+        it(`removes "${sentence}"`, () => {
+            const result = guardrails.checkReply(`Your cat needs care. ${sentence} Call your vet today.`, LOW);
+            assert.equal(result.interventions[0].guardrail, 'dosage');
+            assert.deepEqual(result.interventions[0].excerpts, [sentence]);
+            assert.ok(!result.text.includes(sentence));
+            assert.ok(result.text.includes('Call your vet today.'));
+        });
+    });
+
+    [
+        'A blood glucose of 60 mg/dL is low.',
+        'Calcium above 11 milligrams per decilitre is high.',
+        'Check her breathing every 2 hours.',
+        'She weighs 4 kg.'
+    ].forEach(sentence => {
+        it(`keeps "${sentence}"`, () => {
+            const result = guardrails.checkReply(`${sentence} Ask your vet.`, LOW);
+            assert.deepEqual(result.interventions, []);
+            assert.equal(result.text, `${sentence} Ask your vet.`);
+        });
+    });
+});
+
+describe('urgency guardrail', () => {
+    [
+        'Keep her comfortable overnight and see your vet in the morning.',
+        'You can book a vet visit tomorrow.',
+        'Monitor her for the next few days.',
+        'This is not an emergency.',
+        'It will probably resolve on its own.',
+        'It is probably fine to wait a day or two before seeing the vet.',
+        'Try to get to the vet within the next 24 hours.',
+        'Wait until Monday to see your vet.',
+        'Your vet can check later this week.',
+        'Book an appointment for the next couple of days.'
+    ].forEach(sentence => {
+        it(`blocks "${sentence}" for an EMERGENCY result`, () => {
+            const result = guardrails.checkReply(`She looks stable. ${sentence}`, EMERGENCY);
+            assert.equal(result.blocked, true);
+            assert.equal(result.interventions[0].action, 'block');
+            assert.ok(result.text.includes('Contact a veterinarian or emergency clinic now'));
+        });
+    });
+
+    it('removes a deferral from a HIGH result and adds a reminder', () => {
+        const result = guardrails.checkReply('Her signs are worrying. Call your vet tomorrow.', HIGH);
+        assert.equal(result.blocked, false);
+        assert.equal(result.interventions[0].action, 'rewrite');
+        assert.deepEqual(result.interventions[0].excerpts, ['Call your vet tomorrow.']);
+        assert.ok(result.text.includes('Contact a veterinarian promptly'));
+        assert.ok(result.text.includes('Her signs are worrying.'));
+    });
+
+    it('reminds an urgent reply that never mentions a vet', () => {
+        const result = guardrails.checkReply('Keep her warm and quiet in a carrier.', EMERGENCY);
+        assert.equal(result.interventions[0].action, 'annotate');
+        assert.ok(result.text.startsWith('Keep her warm and quiet in a carrier.'));
+    });
+
+    [
+        'Go to the emergency clinic now; the signs appeared overnight, which is typical.',
+        'Call your vet now. Do not wait until the morning.',
+        'Call your vet now: the signs started two days ago.',
+        'It is not safe to wait, so see a vet within the hour.'
+    ].forEach(reply => {
+        it(`passes "${reply}" for an EMERGENCY result`, () => {
+            assert.deepEqual(guardrails.checkReply(reply, EMERGENCY).interventions, []);
+        });
+    });
+
+    it('leaves LOW results alone', () => {
+        const reply = 'You can watch her at home and see your vet in the next few days.';
+        assert.deepEqual(guardrails.checkReply(reply, LOW), { blocked: false, text: reply, interventions: [] });
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Conflict resolution: each strategy against the priority order on inputs
+ * where several diagnostic rules fire, and the losing candidates reported.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, caseInputs, diagnose } = require('./helpers.js');
+
+const engine = createEngine();
+
+const winner = (inputs, strategy, diagnosisEngine = engine) =>
+    diagnose(diagnosisEngine, caseInputs(inputs), { conflictResolution: strategy }).ruleId;
+
+describe('strategies', () => {
+    it('follows the priority waterfall by default', () => {
+        const inputs = { recent_trauma: true, neck_flexion: true };
+        assert.equal(winner(inputs), 'GENERAL_TRAUMA');
+        assert.equal(winner(inputs, 'priority'), 'GENERAL_TRAUMA');
+    });
+
+    it('specificity picks the rule with the most matched premises', () => {
+        assert.equal(winner({ age_group: 'kitten', mobility_status: 'wobbly' }), 'NEURO_FIP');
+        assert.equal(winner({ age_group: 'kitten', mobility_status: 'wobbly' }, 'specificity'), 'CEREBELLAR_HYPOPLASIA');
+    });
+
+    it('recency picks the rule resting on the most recently derived facts', () => {
+        // Otitis interna rests on the answers alone, the polyp also on the chronic onset finding
+        const inputs = { head_tilt: true, ear_issues: true };
+        assert.equal(winner(inputs), 'OTITIS_INTERNA');
+        assert.equal(winner(inputs, 'recency'), 'NASOPHARYNGEAL_POLYP');
+    });
+
+    it('confidence picks the most certain diagnosis', () => {
+        const inputs = { recent_trauma: true, neck_flexion: true };
+        const diagnosis = diagnose(engine, caseInputs(inputs), { conflictResolution: 'confidence' });
+        assert.equal(diagnosis.ruleId, 'THIAMINE_DEFICIENCY');
+        diagnosis.conflictResolution.losingCandidates.forEach(candidate => {
+            assert.ok(candidate.confidence <= diagnosis.confidence);
+        });
+    });
+
+    it('urgency picks the most urgent diagnosis', () => {
+        const inputs = { age_group: 'kitten', seizures: 'mild', neck_flexion: true };
+        assert.equal(winner(inputs), 'THIAMINE_DEFICIENCY');
+        assert.equal(winner(inputs, 'urgency'), 'NEURO_FIP');
+    });
+
+    it('ranks an urgency the knowledge base does not list lowest', () => {
+        const data = {
+            ...engine.data,
+            diagnosticRules: engine.data.diagnosticRules.map(rule => (rule.id === 'OTITIS_INTERNA' ? { ...rule, urgency: 'ROUTINE' } : rule))
+        };
+        assert.equal(winner({ head_tilt: true, ear_issues: true }, 'urgency', new engine.constructor(data)), 'NASOPHARYNGEAL_POLYP');
+    });
+
+    it('rejects an unknown strategy', () => {
+        assert.throws(() => winner({}, 'alphabetical'), /Unknown conflict resolution strategy: alphabetical/);
+    });
+});
+
+describe('resolution report', () => {
+    it('names the strategy and lists the losing candidates in rank order', () => {
+        const diagnosis = diagnose(engine, caseInputs({ recent_trauma: true, neck_flexion: true }), { conflictResolution: 'specificity' });
+        assert.equal(diagnosis.conflictResolution.strategy, 'specificity');
+        assert.deepEqual(diagnosis.differential.map(entry => entry.ruleId), [
+            diagnosis.ruleId,
+            ...diagnosis.conflictResolution.losingCandidates.map(candidate => candidate.ruleId)
+        ]);
+    });
+
+    it('accepts a registered strategy', () => {
+        const custom = createEngine();
+        custom.registerConflictResolutionStrategy('reverse', { compare: (a, b) => b.priority - a.priority });
+        assert.equal(winner({ recent_trauma: true, neck_flexion: true }, 'reverse', custom), 'THIAMINE_DEFICIENCY');
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * Verification mode: each rule's condition() against its compiled premises, and
+ * the priority waterfall against forward chaining, for one input and over the
+ * whole input space.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, caseInputs } = require('./helpers.js');
+
+const engine = createEngine();
+
+// condition() forgets the balance signs the conditionTree requires
+const inconsistentEngine = new engine.constructor({
+    ...engine.data,
+    diagnosticRules: engine.data.diagnosticRules.map(rule => (rule.id === 'OTITIS_INTERNA'
+        ? { ...rule, condition: inputs => inputs.ear_issues === true }
+        : rule))
+});
+
+describe('verifyConsistency', () => {
+    it('finds the built-in rules consistent on an input', () => {
+        const result = engine.verifyConsistency(caseInputs({ head_tilt: true, ear_issues: true }));
+        assert.equal(result.consistent, true);
+        assert.equal(result.waterfallRuleId, 'OTITIS_INTERNA');
+        assert.equal(result.forwardChainingRuleId, 'OTITIS_INTERNA');
+        assert.deepEqual(result.ruleDivergences, []);
+    });
+
+    it('reports a condition() that disagrees with the premises', () => {
+        const result = inconsistentEngine.verifyConsistency(caseInputs({ ear_issues: true }));
+        assert.equal(result.consistent, false);
+        assert.equal(result.outcomeMatches, false);
+        assert.equal(result.waterfallRuleId, 'OTITIS_INTERNA');
+        assert.equal(result.forwardChainingRuleId, 'UNDETERMINED');
+        assert.deepEqual(result.ruleDivergences.map(({ ruleId, conditionHolds, premisesHold }) => ({ ruleId, conditionHolds, premisesHold })), [
+            { ruleId: 'OTITIS_INTERNA', conditionHolds: true, premisesHold: false }
+        ]);
+        assert.equal(result.ruleDivergences[0].differingPremises[0].premise, '(head_tilt OR has_ataxia)');
+    });
+
+    it('finds the same rule consistent where both readings agree', () => {
+        assert.equal(inconsistentEngine.verifyConsistency(caseInputs({ ear_issues: true, head_tilt: true })).consistent, true);
+    });
+});
+
+describe('verifyConsistencyOverInputSpace', () => {
+    it('finds the built-in rules consistent everywhere', () => {
+        const report = engine.verifyConsistencyOverInputSpace();
+        assert.equal(report.checked, engine.enumerateInputSpace().length);
+        assert.equal(report.consistent, true);
+        assert.deepEqual([report.inconsistent, report.byRule, report.examples], [0, [], []]);
+    });
+
+    it('counts the inputs a rule disagrees on and keeps a few examples', () => {
+        const report = inconsistentEngine.verifyConsistencyOverInputSpace({ limit: 3 });
+        assert.equal(report.consistent, false);
+        assert.deepEqual(report.byRule.map(entry => entry.ruleId), ['OTITIS_INTERNA']);
+        assert.equal(report.byRule[0].count, report.inconsistent);
+        assert.ok(report.outcomeMismatches > 0 && report.outcomeMismatches <= report.inconsistent);
+        assert.equal(report.examples.length, 3);
+        report.examples.forEach(example => {
+            assert.equal(example.inputs.ear_issues, true);
+            assert.equal(example.consistent, false);
+        });
+    });
+});
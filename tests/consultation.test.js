@@ -0,0 +1,117 @@
+/**
+ * Guided consultation: questions built from the input schema, typed answers,
+ * answers left unknown and agreement with the priority waterfall.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, caseInputs, diagnose } = require('./helpers.js');
+const FelineNeuroConsultation = require('../consultation.js');
+
+const engine = createEngine();
+
+/**
+ * Answer every question from a full set of inputs, unanswered fields as unknown
+ */
+function consult(inputs) {
+    const consultation = new FelineNeuroConsultation(engine);
+    let question;
+    while ((question = consultation.nextQuestion())) {
+        const value = inputs[question.field];
+        consultation.answer(question.field, engine.isAnswered(value) ? value : FelineNeuroConsultation.UNKNOWN_ANSWER);
+    }
+    return consultation;
+}
+
+describe('questions', () => {
+    it('asks every field of the input schema', () => {
+        assert.deepEqual(new FelineNeuroConsultation(engine).getFields(), engine.getInputFields());
+    });
+
+    it('uses the field question, or its label when there is none', () => {
+        const consultation = new FelineNeuroConsultation(engine);
+        assert.equal(consultation.describeQuestion('onset_speed', 1).prompt, 'How quickly did the signs appear?');
+
+        const data = engine.data;
+        const fields = { ...data.inputSchema.fields, onset_speed: { ...data.inputSchema.fields.onset_speed, question: undefined } };
+        const packEngine = new engine.constructor({ ...data, inputSchema: { ...data.inputSchema, fields } });
+        assert.equal(new FelineNeuroConsultation(packEngine).describeQuestion('onset_speed', 1).prompt, 'Onset Speed?');
+    });
+
+    it('offers select options with their labels and descriptions, then unknown', () => {
+        const { options } = new FelineNeuroConsultation(engine).describeQuestion('age_group', 1);
+        assert.deepEqual(options.map(option => option.value), ['kitten', 'adult', 'senior', 'unknown']);
+        assert.equal(options[0].label, 'Kitten (0-1 year)');
+        assert.equal(options[0].description, engine.data.inputDescriptions.age_group.kitten);
+    });
+
+    it('describes a measurement by its ranges and limits', () => {
+        const question = new FelineNeuroConsultation(engine).describeQuestion('blood_glucose', 1);
+        assert.equal(question.type, 'number');
+        assert.deepEqual(question.options.map(option => option.label).slice(0, 3), [
+            'Hypoglycemia (below 60 mg/dL)', 'Normal (60-180 mg/dL)', 'Hyperglycemia (above 180 mg/dL)'
+        ]);
+        assert.deepEqual([question.unit, question.min, question.max], ['mg/dL', 10, 800]);
+    });
+
+    it('asks for a measurement once a rule depends on it', () => {
+        const consultation = consult(caseInputs({ onset_speed: 'sudden', seizures: 'mild', blood_glucose: 45 }));
+        assert.ok(consultation.history.some(entry => entry.field === 'blood_glucose'));
+    });
+});
+
+describe('answers', () => {
+    it('parses typed answers', () => {
+        const consultation = new FelineNeuroConsultation(engine);
+        consultation.answer('blood_glucose', '45');
+        consultation.answer('head_tilt', 'yes');
+        consultation.answer('limbs_affected', []);
+        assert.deepEqual(consultation.answers, { blood_glucose: 45, head_tilt: true, limbs_affected: [] });
+    });
+
+    it('rejects answers outside the field', () => {
+        const consultation = new FelineNeuroConsultation(engine);
+        assert.throws(() => consultation.answer('blood_glucose', '5'), /expected a number from 10 to 800/);
+        assert.throws(() => consultation.answer('age_group', 'elderly'), /Invalid value for age_group/);
+        assert.throws(() => consultation.answer('weight', 4), /Unknown consultation field/);
+    });
+
+    it('counts no limbs ticked as an answer rather than unknown', () => {
+        const consultation = new FelineNeuroConsultation(engine);
+        consultation.answer('limbs_affected', []);
+        assert.equal(consultation.getAskableFields().includes('limbs_affected'), false);
+        assert.equal(consultation.unknownFields.has('limbs_affected'), false);
+    });
+});
+
+describe('unknown answers', () => {
+    it('does not read an unknown answer as observed-absent', () => {
+        const inputs = caseInputs({ pain_signs: true, cold_limbs: true, mobility_status: null });
+        const consultation = consult(inputs);
+        assert.equal(consultation.getDeterminedRule(), null);
+
+        const diagnosis = consultation.finish({ persist: false, verify: true });
+        assert.equal(diagnosis.ruleId, 'UNDETERMINED');
+        assert.equal(diagnosis.consultation.determined, false);
+        assert.deepEqual(diagnosis.consultation.unknownFields, ['mobility_status']);
+        assert.deepEqual(diagnosis.consultation.remainingCandidates[0], { ruleId: 'SADDLE_THROMBUS', status: 'unknown' });
+        assert.match(diagnosis.clinicalNotes[0], /Not ruled out by the unknown answers: Feline Aortic Thromboembolism/);
+    });
+});
+
+describe('agreement with the waterfall', () => {
+    [
+        caseInputs({ age_group: 'kitten', onset_speed: 'sudden', seizures: 'mild' }),
+        caseInputs({ onset_speed: 'sudden', seizures: 'mild', blood_glucose: 45 }),
+        caseInputs({ onset_speed: 'sudden', seizures: 'mild', blood_glucose: 60 }),
+        caseInputs({ onset_speed: 'sudden', mobility_status: 'paralyzed', cold_limbs: true })
+    ].forEach((inputs, index) => {
+        const expected = diagnose(engine, inputs).ruleId;
+        it(`concludes ${expected} like the full form (case #${index + 1})`, () => {
+            const consultation = consult(inputs);
+            assert.equal(consultation.getDeterminedRule().id, expected);
+            assert.equal(consultation.finish({ persist: false }).ruleId, expected);
+        });
+    });
+});
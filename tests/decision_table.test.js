@@ -0,0 +1,76 @@
+/**
+ * Decision table snapshot: the winning rule and urgency for every enumerated
+ * input, one line each, compared with tests/snapshots/decision_table.txt. Any
+ * change in outcome shows up as a diff of that file.
+ *
+ * After an intended rule base change, regenerate and review the diff:
+ *   UPDATE_SNAPSHOTS=1 node --test tests/
+ * The snapshot is only written with that flag and never when CI is set, so a
+ * missing snapshot fails the run.
+ */
+
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createEngine, diagnose } = require('./helpers.js');
+
+const SNAPSHOT_FILE = path.join(__dirname, 'snapshots', 'decision_table.txt');
+
+// How many changed lines to list in the failure message
+const MAX_REPORTED_CHANGES = 20;
+
+/**
+ * Enumerated fields as values (- when unanswered), then the boolean signs as a
+ * 1/0 string in header order, e.g. `adult sudden paralyzed none - 0100100 -> SADDLE_THROMBUS EMERGENCY`
+ */
+function buildDecisionTable(engine) {
+    const inputSpace = engine.enumerateInputSpace();
+    const fields = Object.keys(inputSpace[0]);
+    const enumerated = fields.filter(field => !engine.getFieldDomain(field).includes(true));
+    const signs = fields.filter(field => engine.getFieldDomain(field).includes(true));
+
+    const lines = inputSpace.map(inputs => {
+        const diagnosis = diagnose(engine, inputs);
+        const values = enumerated.map(field => (inputs[field] === null ? '-' : inputs[field]));
+        const flags = signs.map(field => (inputs[field] ? '1' : '0')).join('');
+        return `${values.join(' ')} ${flags} -> ${diagnosis.ruleId} ${diagnosis.urgency}`;
+    });
+
+    return [`# ${enumerated.join(' ')} [${signs.join(' ')}] -> ruleId urgency`, ...lines].join('\n') + '\n';
+}
+
+it('matches the decision table snapshot', () => {
+    const actual = buildDecisionTable(createEngine());
+
+    // CI never writes the snapshot, so a deleted one fails instead of being recreated
+    if (process.env.UPDATE_SNAPSHOTS && !process.env.CI) {
+        fs.mkdirSync(path.dirname(SNAPSHOT_FILE), { recursive: true });
+        fs.writeFileSync(SNAPSHOT_FILE, actual);
+        return;
+    }
+    if (!fs.existsSync(SNAPSHOT_FILE)) {
+        assert.fail(`Decision table snapshot ${path.relative(process.cwd(), SNAPSHOT_FILE)} is missing.\n` +
+            'Generate it with UPDATE_SNAPSHOTS=1 (outside CI) and commit it.');
+    }
+
+    const expected = fs.readFileSync(SNAPSHOT_FILE, 'utf8');
+    if (actual === expected) return;
+
+    const actualLines = actual.split('\n');
+    const expectedLines = expected.split('\n');
+    const changes = [];
+    for (let i = 0; i < Math.max(actualLines.length, expectedLines.length); i++) {
+        if (actualLines[i] !== expectedLines[i]) {
+            changes.push(`  line ${i + 1}:\n    - ${expectedLines[i]}\n    + ${actualLines[i]}`);
+        }
+    }
+
+    assert.fail(
+        `Decision table changed on ${changes.length} line(s):\n` +
+        changes.slice(0, MAX_REPORTED_CHANGES).join('\n') +
+        (changes.length > MAX_REPORTED_CHANGES ? `\n  ... and ${changes.length - MAX_REPORTED_CHANGES} more` : '') +
+        '\nIf the change is intended, rerun with UPDATE_SNAPSHOTS=1 (outside CI) and review the snapshot diff.'
+    );
+});
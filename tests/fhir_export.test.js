@@ -0,0 +1,69 @@
+/**
+ * FHIR bundle round trips: findings, measurements and patient details come back
+ * as they went out, with markup characters kept verbatim as text.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, caseInputs, diagnose } = require('./helpers.js');
+const FelineNeuroFHIRMapper = require('../fhir_export.js');
+
+const engine = createEngine();
+const mapper = new FelineNeuroFHIRMapper(engine);
+
+const MARKUP = '<img src=x onerror="alert(1)"> & \'quoted\'';
+
+function exportAndImport(inputs, patient) {
+    const diagnosis = diagnose(engine, inputs);
+    const bundle = mapper.toBundle(diagnosis, inputs, patient);
+    return { diagnosis, bundle, imported: mapper.fromBundle(JSON.stringify(bundle)) };
+}
+
+describe('FHIR round trip', () => {
+    it('restores the inputs and the concluded rule', () => {
+        const inputs = caseInputs({ onset_speed: 'sudden', mobility_status: 'paralyzed', cold_limbs: true, temperature: 36.5, limbs_affected: ['hind_left', 'hind_right'] });
+        const { diagnosis, imported } = exportAndImport(inputs);
+
+        assert.deepEqual(imported.inputs, inputs);
+        assert.equal(imported.ruleId, diagnosis.ruleId);
+        assert.equal(imported.diagnosis, diagnosis.diagnosis);
+        assert.equal(imported.patient, null);
+    });
+
+    it('keeps markup characters in patient details as plain text', () => {
+        const patient = { name: MARKUP, breed: `<b>${MARKUP}</b>`, sex: 'female_spayed', dateOfBirth: '2015-04-01', weightKg: 4.2 };
+        const { imported } = exportAndImport(caseInputs({ head_tilt: true }), patient);
+
+        assert.deepEqual(imported.patient, patient);
+    });
+
+    it('keeps markup characters in the diagnosis text', () => {
+        const inputs = caseInputs({ head_tilt: true });
+        const diagnosis = { ...diagnose(engine, inputs), diagnosis: MARKUP };
+        const imported = mapper.fromBundle(mapper.toBundle(diagnosis, inputs));
+
+        assert.equal(imported.diagnosis, MARKUP);
+    });
+
+    it('drops measurements, weights and certainties that are not numbers', () => {
+        const inputs = caseInputs({ temperature: 38.5 });
+        const { bundle } = exportAndImport(inputs, { name: 'Tom', breed: '', sex: 'male', dateOfBirth: '2015-04-01', weightKg: 4.2 });
+        bundle.entry.forEach(({ resource }) => {
+            if (resource.valueQuantity) resource.valueQuantity.value = MARKUP;
+        });
+        bundle.entry.find(({ resource }) => resource.id === 'finding-age_adult').resource.extension = [
+            { url: 'urn:feline-neuro:fhir:certainty', valueDecimal: MARKUP }
+        ];
+
+        const imported = mapper.fromBundle(bundle);
+        assert.equal(imported.inputs.temperature, null);
+        assert.equal(imported.inputs.certainties, undefined);
+        assert.equal(imported.patient.weightKg, null);
+    });
+
+    it('rejects documents that are not bundles', () => {
+        assert.throws(() => mapper.fromBundle('{'), /not valid JSON/);
+        assert.throws(() => mapper.fromBundle({ resourceType: 'Patient' }), /Not a FHIR Bundle/);
+    });
+});
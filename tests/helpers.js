@@ -0,0 +1,42 @@
+/**
+ * Shared setup for the rule base regression tests (run with `node --test tests/`).
+ * The engine and knowledge base log to console.log while loading and running, so
+ * that is muted for the whole test process.
+ */
+
+console.log = () => {};
+
+const FelineNeuroDiagnosisData = require('../data.js');
+const FelineNeuroForwardChainingEngine = require('../forward_chaining_engine.js');
+
+// Every field present, no signs: with an adult, gradual, normal presentation this is UNDETERMINED
+const BASELINE_INPUTS = {
+    age_group: 'adult',
+    onset_speed: 'gradual',
+    mobility_status: 'normal',
+    seizures: 'none',
+    eye_signs: false,
+    pain_signs: false,
+    head_tilt: false,
+    recent_trauma: false,
+    cold_limbs: false,
+    neck_flexion: false,
+    ear_issues: false
+};
+
+function createEngine() {
+    return new FelineNeuroForwardChainingEngine(FelineNeuroDiagnosisData);
+}
+
+function caseInputs(overrides = {}) {
+    return { ...BASELINE_INPUTS, ...overrides };
+}
+
+/**
+ * Diagnose without writing to history; there is no IndexedDB under Node anyway
+ */
+function diagnose(engine, inputs, options = {}) {
+    return engine.runDiagnosis(inputs, { ...options, persist: false });
+}
+
+module.exports = { BASELINE_INPUTS, createEngine, caseInputs, diagnose };
@@ -0,0 +1,50 @@
+/**
+ * Backward chaining: proving or refuting a hypothesis from the answers given,
+ * with unanswered inputs left unknown rather than read as absent.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, caseInputs } = require('./helpers.js');
+
+const engine = createEngine();
+
+const SADDLE_THROMBUS = { onset_speed: 'sudden', mobility_status: 'paralyzed', pain_signs: true, cold_limbs: true };
+
+const fields = premises => premises.map(premise => premise.field);
+
+describe('verifyHypothesis', () => {
+    it('proves a diagnosis whose premises all hold', () => {
+        const result = engine.verifyHypothesis('SADDLE_THROMBUS', caseInputs(SADDLE_THROMBUS));
+        assert.equal(result.hypothesis, 'SADDLE_THROMBUS');
+        assert.equal(result.goal, 'diagnosis_saddle_thrombus');
+        assert.equal(result.status, 'satisfied');
+        assert.deepEqual(fields(result.satisfied), ['mobility_status', 'pain_signs', 'cold_limbs']);
+        assert.deepEqual([result.contradicted, result.unknown], [[], []]);
+    });
+
+    it('refutes a diagnosis with a premise the answers contradict', () => {
+        const result = engine.verifyHypothesis('SADDLE_THROMBUS', caseInputs({ ...SADDLE_THROMBUS, cold_limbs: false }));
+        assert.equal(result.status, 'contradicted');
+        assert.deepEqual(result.contradicted.map(premise => [premise.field, premise.actual]), [['cold_limbs', false]]);
+        assert.match(result.explanation, /Status: CONTRADICTED/);
+    });
+
+    it('leaves a diagnosis unknown while a premise is unanswered', () => {
+        const result = engine.verifyHypothesis('SADDLE_THROMBUS', { pain_signs: true, cold_limbs: true });
+        assert.equal(result.status, 'unknown');
+        assert.deepEqual(fields(result.unknown), ['mobility_status']);
+        assert.equal(result.unknown[0].negated, true);
+        assert.match(result.explanation, /mobility_status ≠ normal \(not answered\)/);
+    });
+
+    it('accepts a finding as the hypothesis', () => {
+        assert.equal(engine.verifyHypothesis('experiencing_pain', { pain_signs: true }).status, 'satisfied');
+        assert.equal(engine.verifyHypothesis('experiencing_pain', { pain_signs: false }).status, 'contradicted');
+    });
+
+    it('rejects a hypothesis no rule concludes', () => {
+        assert.throws(() => engine.verifyHypothesis('FELINE_FLU'), /No rule concludes hypothesis: FELINE_FLU/);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Input schema: parsing form, flag and CSV answers, validating a set of inputs,
+ * the range a measurement falls in and matching answers against conditions.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, caseInputs } = require('./helpers.js');
+
+const engine = createEngine();
+
+describe('parseInputValue', () => {
+    it('accepts select values from the domain only', () => {
+        assert.equal(engine.parseInputValue('age_group', 'senior'), 'senior');
+        assert.throws(() => engine.parseInputValue('age_group', 'elderly'), /expected one of kitten, adult, senior/);
+    });
+
+    it('reads signs given as yes/no, true/false or 1/0', () => {
+        ['true', 'Yes', ' y ', '1', true].forEach(value => assert.equal(engine.parseInputValue('head_tilt', value), true));
+        ['false', 'NO', 'n', '0', false].forEach(value => assert.equal(engine.parseInputValue('head_tilt', value), false));
+        assert.throws(() => engine.parseInputValue('head_tilt', 'maybe'), /expected true\/false/);
+    });
+
+    it('reads measurements within the field limits, limits included', () => {
+        assert.equal(engine.parseInputValue('temperature', '38.5'), 38.5);
+        assert.equal(engine.parseInputValue('temperature', 30), 30);
+        assert.equal(engine.parseInputValue('temperature', '43'), 43);
+        assert.throws(() => engine.parseInputValue('temperature', '29.9'), /expected a number from 30 to 43 °C/);
+        assert.throws(() => engine.parseInputValue('temperature', '43.1'), /expected a number/);
+        assert.throws(() => engine.parseInputValue('temperature', 'warm'), /expected a number/);
+        assert.throws(() => engine.parseInputValue('temperature', ' '), /expected a number/);
+    });
+
+    it('reads multiselect answers from a list or comma separated text', () => {
+        assert.deepEqual(engine.parseInputValue('limbs_affected', 'hind_left, hind_right'), ['hind_left', 'hind_right']);
+        assert.deepEqual(engine.parseInputValue('limbs_affected', ['front_left']), ['front_left']);
+        assert.deepEqual(engine.parseInputValue('limbs_affected', 'hind_left,,hind_left'), ['hind_left']);
+        assert.deepEqual(engine.parseInputValue('limbs_affected', ''), []);
+        assert.throws(() => engine.parseInputValue('limbs_affected', 'hind_left,tail'), /Invalid value for limbs_affected: tail/);
+    });
+
+    it('rejects unknown fields', () => {
+        assert.throws(() => engine.parseInputValue('weight', '4'), /Unknown input field: weight/);
+    });
+});
+
+describe('validateInputs', () => {
+    it('accepts a complete case with valid optional findings', () => {
+        assert.deepEqual(engine.validateInputs(caseInputs({ temperature: 39.5, limbs_affected: ['hind_left'], outdoor_access: 'outdoor' })), []);
+    });
+
+    it('reports each required field left unanswered', () => {
+        const problems = engine.validateInputs({ age_group: 'adult', temperature: 36.5 });
+        assert.deepEqual(problems.map(problem => problem.field), ['onset_speed', 'mobility_status', 'seizures']);
+        assert.match(problems[0].message, /onset speed/);
+    });
+
+    it('skips optional fields left unanswered', () => {
+        assert.deepEqual(engine.validateInputs(caseInputs({ temperature: null, limbs_affected: [], vaccination_status: '' })), []);
+    });
+
+    it('reports answers parseInputValue rejects', () => {
+        const problems = engine.validateInputs(caseInputs({ temperature: 50, limbs_affected: ['tail'], seizures: 'often' }));
+        assert.deepEqual(problems.map(problem => problem.field), ['seizures', 'limbs_affected', 'temperature']);
+    });
+});
+
+describe('findRange', () => {
+    const temperature = engine.getFieldDefinition('temperature');
+
+    it('includes the min of a range and excludes its max', () => {
+        assert.equal(engine.findRange(temperature, 37.7), 'low');
+        assert.equal(engine.findRange(temperature, 37.8), 'normal');
+        assert.equal(engine.findRange(temperature, 39.29), 'normal');
+        assert.equal(engine.findRange(temperature, 39.3), 'high');
+    });
+
+    it('leaves the outer ranges open', () => {
+        assert.equal(engine.findRange(temperature, -5), 'low');
+        assert.equal(engine.findRange(temperature, 100), 'high');
+    });
+
+    it('finds no range for a value that is not a number', () => {
+        [null, undefined, '38.5', NaN, Infinity].forEach(value => assert.equal(engine.findRange(temperature, value), null));
+    });
+});
+
+describe('inputMatches', () => {
+    it('matches a measurement against the named range', () => {
+        assert.equal(engine.inputMatches('blood_glucose', 59, 'low'), true);
+        assert.equal(engine.inputMatches('blood_glucose', 60, 'low'), false);
+        assert.equal(engine.inputMatches('blood_glucose', 60, 'normal'), true);
+        assert.equal(engine.inputMatches('blood_glucose', null, 'low'), false);
+    });
+
+    it('matches a multiselect answer that includes the option', () => {
+        assert.equal(engine.inputMatches('limbs_affected', ['hind_left', 'hind_right'], 'hind_right'), true);
+        assert.equal(engine.inputMatches('limbs_affected', ['hind_left'], 'front_left'), false);
+        assert.equal(engine.inputMatches('limbs_affected', [], 'hind_left'), false);
+        assert.equal(engine.inputMatches('limbs_affected', 'hind_left', 'hind_left'), false);
+    });
+
+    it('compares other answers by equality', () => {
+        assert.equal(engine.inputMatches('seizures', 'mild', 'mild'), true);
+        assert.equal(engine.inputMatches('head_tilt', false, true), false);
+        assert.equal(engine.inputMatches('head_tilt', 'true', true), false);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Knowledge-base packs: validation against the schema and the checks it cannot
+ * express, the catch-all rule, and diffs between two packs.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine } = require('./helpers.js');
+const FelineNeuroDiagnosisData = require('../data.js');
+const FelineNeuroKnowledgeBasePacks = require('../knowledge_base_pack.js');
+
+const packs = new FelineNeuroKnowledgeBasePacks(createEngine(), FelineNeuroDiagnosisData);
+
+/**
+ * A copy of the built-in pack to change
+ */
+const builtInPack = () => JSON.parse(packs.toJSON(packs.builtInPack));
+const findRule = (pack, id) => pack.diagnosticRules.find(rule => rule.id === id);
+
+describe('validatePack', () => {
+    it('accepts the built-in pack', () => {
+        assert.deepEqual(packs.validatePack(builtInPack()), []);
+    });
+
+    it('reports schema problems by path', () => {
+        const pack = builtInPack();
+        delete pack.metadata;
+        pack.diagnosticRules[0].condition = 'inputs.head_tilt';
+        assert.deepEqual(packs.validatePack(pack), [
+            { path: '(pack)', message: 'missing required property metadata' },
+            { path: 'diagnosticRules[0].condition', message: 'is not a known property' }
+        ]);
+    });
+
+    it('reports duplicate ids and priorities, unknown urgencies and bad conditions', () => {
+        const pack = builtInPack();
+        pack.diagnosticRules[1].id = pack.diagnosticRules[0].id;
+        pack.diagnosticRules[2].priority = pack.diagnosticRules[0].priority;
+        pack.diagnosticRules[3].urgency = 'SOON';
+        pack.diagnosticRules[4].conditionTree = { all: [{ field: 'weight', equals: 4 }, { field: 'head_tilt', equals: 'yes' }] };
+        assert.deepEqual(packs.validatePack(pack).map(error => error.message), [
+            'duplicate rule id TRAUMATIC_BRAIN_INJURY (also diagnosticRules[0])',
+            'priority 1 is also used by TRAUMATIC_BRAIN_INJURY',
+            'unknown urgency level SOON',
+            'unknown input field weight',
+            'head_tilt is a yes/no sign; equals must be true or false'
+        ]);
+    });
+
+    it('only takes an empty all as the catch-all rule', () => {
+        const pack = builtInPack();
+        findRule(pack, 'UNDETERMINED').conditionTree = { any: [] };
+        assert.deepEqual(packs.validatePack(pack), [
+            { path: 'diagnosticRules[28].conditionTree', message: 'an empty any never matches; use an empty all for a catch-all rule' }
+        ]);
+    });
+
+    it('needs the catch-all rule last', () => {
+        const pack = builtInPack();
+        findRule(pack, 'OTITIS_INTERNA').conditionTree = { all: [] };
+        assert.deepEqual(packs.validatePack(pack), [
+            { path: 'diagnosticRules', message: 'catch-all rule OTITIS_INTERNA must have the highest priority number (29)' }
+        ]);
+    });
+
+    it('checks an input schema against the input descriptions', () => {
+        const pack = builtInPack();
+        delete pack.inputDescriptions.seizures;
+        delete pack.inputSchema.fields.temperature.ranges;
+        assert.deepEqual(packs.validatePack(pack).map(error => error.message), [
+            'select field needs its values in inputDescriptions.seizures',
+            'number field needs ranges'
+        ]);
+    });
+
+    it('parses a valid pack and throws with every problem otherwise', () => {
+        assert.deepEqual(packs.parsePack(packs.toJSON(packs.builtInPack)), builtInPack());
+        assert.throws(() => packs.parsePack('{'), /Pack is not valid JSON/);
+
+        const pack = builtInPack();
+        pack.diagnosticRules[3].urgency = 'SOON';
+        assert.throws(() => packs.parsePack(JSON.stringify(pack)), /Invalid knowledge-base pack:\n {2}diagnosticRules\[3\]\.urgency: unknown urgency level SOON/);
+    });
+});
+
+describe('diffPacks', () => {
+    it('finds no differences between a pack and its copy', () => {
+        const diff = packs.diffPacks(packs.builtInPack, builtInPack());
+        assert.equal(diff.identical, true);
+        assert.equal(packs.formatDiff(diff), 'feline-neuro-core@1.0.0 → feline-neuro-core@1.0.0: no differences\n');
+    });
+
+    it('lists metadata, rule, urgency and input changes', () => {
+        const pack = builtInPack();
+        pack.metadata.version = '1.1.0';
+        pack.diagnosticRules = pack.diagnosticRules.filter(rule => rule.id !== 'HYDROCEPHALUS');
+        pack.diagnosticRules.push({ ...findRule(pack, 'OTITIS_INTERNA'), id: 'OTITIS_MEDIA', name: 'Otitis Media', priority: 14.5 });
+        findRule(pack, 'OTITIS_INTERNA').urgency = 'HIGH';
+        pack.urgencyLevels.ROUTINE = { ...pack.urgencyLevels.LOW };
+        pack.inputDescriptions.seizures.cluster = 'Several seizures in a day';
+        pack.inputSchema.fields.seizures.optionLabels = { ...pack.inputSchema.fields.seizures.optionLabels, cluster: 'Cluster' };
+
+        const diff = packs.diffPacks(packs.builtInPack, pack);
+        assert.equal(diff.identical, false);
+        assert.equal(diff.to, 'feline-neuro-core@1.1.0');
+        assert.deepEqual(diff.metadata, [{ field: 'version', from: '1.0.0', to: '1.1.0' }]);
+        assert.deepEqual(diff.rules.added, [{ ruleId: 'OTITIS_MEDIA', name: 'Otitis Media', priority: 14.5 }]);
+        assert.deepEqual(diff.rules.removed.map(rule => rule.ruleId), ['HYDROCEPHALUS']);
+        assert.deepEqual(diff.rules.changed, [{
+            ruleId: 'OTITIS_INTERNA',
+            name: findRule(pack, 'OTITIS_INTERNA').name,
+            changes: [{ field: 'urgency', from: 'MODERATE', to: 'HIGH' }]
+        }]);
+        assert.deepEqual(diff.urgencyLevels, { added: ['ROUTINE'], removed: [], changed: [] });
+        assert.deepEqual(diff.inputFields.changed, ['seizures']);
+        assert.deepEqual(diff.inputValues, { added: ['seizures=cluster'], removed: [] });
+        assert.match(packs.formatDiff(diff), / {3}urgency: MODERATE → HIGH\n/);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Patient records: the age group derived from a date of birth, patient
+ * validation and the changes between two visits on a case timeline.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, caseInputs } = require('./helpers.js');
+const FelineNeuroPatientRecords = require('../patient_records.js');
+
+const records = new FelineNeuroPatientRecords(createEngine());
+
+const visit = (ruleId, overrides = {}) => ({ ruleId, inputs: caseInputs(overrides) });
+
+describe('deriveAgeGroup', () => {
+    it('uses the form boundaries on the day of the visit', () => {
+        const onDate = new Date(2024, 5, 15);
+        assert.equal(records.deriveAgeGroup('2023-06-16', onDate), 'kitten');
+        assert.equal(records.deriveAgeGroup('2023-06-15', onDate), 'adult');
+        assert.equal(records.deriveAgeGroup('2017-06-16', onDate), 'adult');
+        assert.equal(records.deriveAgeGroup('2017-06-15', onDate), 'senior');
+    });
+});
+
+describe('validatePatient', () => {
+    const patient = { name: 'Mochi', sex: 'female_spayed', dateOfBirth: '2019-03-02' };
+
+    it('accepts a complete patient', () => {
+        assert.doesNotThrow(() => records.validatePatient(patient));
+        assert.doesNotThrow(() => records.validatePatient({ ...patient, weightKg: '4.2' }));
+    });
+
+    it('rejects a missing name, an unknown sex, a bad date or a bad weight', () => {
+        assert.throws(() => records.validatePatient({ ...patient, name: ' ' }), /name is required/);
+        assert.throws(() => records.validatePatient({ ...patient, sex: 'other' }), /Invalid patient sex/);
+        assert.throws(() => records.validatePatient({ ...patient, dateOfBirth: '02/03/2019' }), /date of birth/);
+        assert.throws(() => records.validatePatient({ ...patient, dateOfBirth: '2999-01-01' }), /in the future/);
+        assert.throws(() => records.validatePatient({ ...patient, weightKg: 0 }), /Invalid weight/);
+    });
+});
+
+describe('compareVisits', () => {
+    it('lists signs that appeared or resolved and fields that changed', () => {
+        const changes = records.compareVisits(
+            visit('OTITIS_INTERNA', { head_tilt: true, ear_issues: true }),
+            visit('IDIOPATHIC_VESTIBULAR', { head_tilt: true, eye_signs: true, mobility_status: 'wobbly' })
+        );
+        assert.deepEqual(changes, {
+            newSigns: ['eye_signs'],
+            resolvedSigns: ['ear_issues'],
+            changedFields: [{ field: 'mobility_status', from: 'normal', to: 'wobbly' }],
+            previousRuleId: 'OTITIS_INTERNA',
+            ruleChanged: true
+        });
+    });
+
+    it('compares multiselect answers by value', () => {
+        const changes = records.compareVisits(
+            visit('SADDLE_THROMBUS', { limbs_affected: ['hind_left', 'hind_right'] }),
+            visit('SADDLE_THROMBUS', { limbs_affected: ['hind_right', 'hind_left'] })
+        );
+        assert.deepEqual(changes.changedFields, []);
+        assert.equal(changes.ruleChanged, false);
+
+        const worse = records.compareVisits(
+            visit('SADDLE_THROMBUS', { limbs_affected: ['hind_left'] }),
+            visit('SADDLE_THROMBUS', { limbs_affected: ['hind_left', 'hind_right'] })
+        );
+        assert.deepEqual(worse.changedFields.map(change => change.field), ['limbs_affected']);
+    });
+
+    it('ignores answer certainties', () => {
+        const changes = records.compareVisits(
+            visit('OTITIS_INTERNA', { certainties: { head_tilt: 0.6 } }),
+            visit('OTITIS_INTERNA')
+        );
+        assert.deepEqual(changes.changedFields, []);
+    });
+});
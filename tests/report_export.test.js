@@ -0,0 +1,47 @@
+/**
+ * Consultation reports: the exported document, its file name and reading it
+ * back, rejecting files this version cannot display.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, caseInputs, diagnose } = require('./helpers.js');
+const FelineNeuroReportExporter = require('../report_export.js');
+
+const engine = createEngine();
+const exporter = new FelineNeuroReportExporter(engine);
+
+const inputs = caseInputs({ head_tilt: true, ear_issues: true });
+const report = exporter.buildReport(diagnose(engine, inputs), inputs, { name: 'Mochi <3' });
+
+describe('buildReport', () => {
+    it('versions the document with the rule base that produced it', () => {
+        assert.equal(report.formatVersion, 1);
+        assert.deepEqual(report.ruleBaseVersion, engine.getRuleBaseVersion());
+        assert.equal(report.result.ruleId, 'OTITIS_INTERNA');
+    });
+
+    it('needs a diagnosis', () => {
+        assert.throws(() => exporter.buildReport(null, inputs), /run a diagnosis first/);
+    });
+
+    it('names the file after the patient, rule and date', () => {
+        const date = report.result.timestamp.slice(0, 10);
+        assert.equal(exporter.getFileName(report), `feline-neuro-mochi-3-OTITIS_INTERNA-${date}.json`);
+    });
+});
+
+describe('parseReport', () => {
+    it('reads back an exported report', () => {
+        assert.deepEqual(exporter.parseReport(exporter.toJSON(report)), JSON.parse(exporter.toJSON(report)));
+    });
+
+    it('rejects files it cannot display', () => {
+        assert.throws(() => exporter.parseReport('{'), /not valid JSON/);
+        assert.throws(() => exporter.parseReport('{"format":"other"}'), /not a feline neuro diagnosis report/);
+        assert.throws(() => exporter.parseReport(JSON.stringify({ ...report, formatVersion: 2 })), /Unsupported report version 2/);
+        assert.throws(() => exporter.parseReport(JSON.stringify({ ...report, inputs: null })), /no inputs/);
+        assert.throws(() => exporter.parseReport(JSON.stringify({ ...report, result: { ruleId: 'X' } })), /missing: diagnosis, urgency, description/);
+    });
+});
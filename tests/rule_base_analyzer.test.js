@@ -0,0 +1,69 @@
+/**
+ * Rule base analysis: rules that can never win and what shadows them, inputs
+ * falling through to the catch-all and condition()/premise disagreements.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, diagnose } = require('./helpers.js');
+const FelineNeuroRuleBaseAnalyzer = require('../rule_base_analyzer.js');
+
+const engine = createEngine();
+
+describe('built-in knowledge base', () => {
+    const report = new FelineNeuroRuleBaseAnalyzer(engine).analyze();
+
+    it('checks every input combination by priority', () => {
+        assert.equal(report.strategy, 'priority');
+        assert.equal(report.inputSpaceSize, engine.enumerateInputSpace().length);
+        assert.equal(report.rules.length, engine.data.diagnosticRules.length);
+    });
+
+    it('reports a rule that fires but never wins as shadowed', () => {
+        const polyp = report.rules.find(rule => rule.ruleId === 'NASOPHARYNGEAL_POLYP');
+        assert.ok(report.unreachable.includes('NASOPHARYNGEAL_POLYP'));
+        assert.equal(polyp.fullyShadowed, true);
+        assert.ok(polyp.fires > 0);
+        assert.ok(polyp.shadowedBy.some(shadow => shadow.ruleId === 'OTITIS_INTERNA'));
+        assert.ok(polyp.overlaps.some(overlap => overlap.ruleId === 'OTITIS_INTERNA'));
+    });
+
+    it('lists the inputs that fall through to UNDETERMINED', () => {
+        assert.ok(report.fallThrough.count > 0);
+        assert.equal(report.fallThrough.inputs.length, report.fallThrough.count);
+        report.fallThrough.inputs.slice(0, 20).forEach(inputs => {
+            assert.equal(diagnose(engine, inputs).ruleId, 'UNDETERMINED');
+        });
+    });
+
+    it('finds condition() and the premises in agreement', () => {
+        assert.deepEqual(report.mismatches, []);
+        assert.deepEqual(report.neverFires, []);
+    });
+
+    it('formats a readable report', () => {
+        const text = new FelineNeuroRuleBaseAnalyzer(engine).formatReport(report);
+        assert.match(text, /Rules that can never win: .*NASOPHARYNGEAL_POLYP/);
+        assert.match(text, /condition\(\)\/premise mismatches: none/);
+    });
+});
+
+describe('a rule whose condition() disagrees with its premises', () => {
+    // condition() forgets the balance signs its conditionTree requires
+    const data = {
+        ...engine.data,
+        diagnosticRules: engine.data.diagnosticRules.map(rule => (rule.id === 'OTITIS_INTERNA'
+            ? { ...rule, condition: inputs => inputs.ear_issues === true }
+            : rule))
+    };
+    const report = new FelineNeuroRuleBaseAnalyzer(new engine.constructor(data)).analyze();
+
+    it('reports the rule with an example input', () => {
+        assert.deepEqual(report.mismatches.map(mismatch => mismatch.ruleId), ['OTITIS_INTERNA']);
+        const { example } = report.mismatches[0];
+        assert.equal(example.inputs.ear_issues, true);
+        assert.equal(example.inputs.head_tilt, false);
+        assert.notEqual(example.inputs.mobility_status, 'wobbly');
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * Canonical cases for every rule in diagnosticRules, as overrides on BASELINE_INPUTS.
+ * A positive case must be won by the rule; a negative case breaks one of its
+ * premises and names the rule that wins instead. Rules that are shadowed by a
+ * higher-priority rule with a subset of their conditions (see the rule base
+ * analyzer) can never win, so their positive case only asserts that they fire
+ * and which rule takes the decision.
+ */
+
+const RULE_CASES = [
+    {
+        ruleId: 'TRAUMATIC_BRAIN_INJURY',
+        urgency: 'EMERGENCY',
+        positive: [{ recent_trauma: true, seizures: 'severe' }],
+        negative: [{ inputs: { recent_trauma: true, seizures: 'mild' }, expected: 'GENERAL_TRAUMA' }]
+    },
+    {
+        ruleId: 'SPINAL_FRACTURE',
+        urgency: 'EMERGENCY',
+        positive: [{ recent_trauma: true, mobility_status: 'paralyzed' }],
+        negative: [{ inputs: { mobility_status: 'paralyzed' }, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'GENERAL_TRAUMA',
+        urgency: 'EMERGENCY',
+        positive: [{ recent_trauma: true }],
+        negative: [{ inputs: {}, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'SADDLE_THROMBUS',
+        urgency: 'EMERGENCY',
+        positive: [{ mobility_status: 'wobbly', pain_signs: true, cold_limbs: true }],
+        negative: [{ inputs: { pain_signs: true, cold_limbs: true }, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'ACUTE_TOXICITY',
+        urgency: 'EMERGENCY',
+        positive: [{ onset_speed: 'sudden', seizures: 'severe', eye_signs: true }],
+        negative: [{ inputs: { onset_speed: 'sudden', seizures: 'severe' }, expected: 'IDIOPATHIC_EPILEPSY' }]
+    },
+    {
+        ruleId: 'HYPOGLYCEMIA',
+        urgency: 'HIGH',
+        positive: [
+            { age_group: 'kitten', onset_speed: 'sudden', seizures: 'mild' },
+            { onset_speed: 'sudden', seizures: 'mild', blood_glucose: 45 }
+        ],
+        negative: [
+            { inputs: { age_group: 'kitten', onset_speed: 'sudden' }, expected: 'UNDETERMINED' },
+            { inputs: { onset_speed: 'sudden', seizures: 'mild', blood_glucose: 60 }, expected: 'UNDETERMINED' }
+        ]
+    },
+    {
+        ruleId: 'THIAMINE_DEFICIENCY',
+        urgency: 'MODERATE',
+        positive: [{ neck_flexion: true }],
+        negative: [{ inputs: {}, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'HYPERTENSION',
+        urgency: 'HIGH',
+        positive: [{ age_group: 'senior', onset_speed: 'sudden', seizures: 'mild' }],
+        negative: [{ inputs: { age_group: 'senior', onset_speed: 'sudden', seizures: 'mild', mobility_status: 'wobbly' }, expected: 'HYPOCALCEMIA' }]
+    },
+    {
+        ruleId: 'HEPATIC_ENCEPHALOPATHY',
+        urgency: 'MODERATE',
+        positive: [{ seizures: 'mild', mobility_status: 'wobbly' }],
+        negative: [{ inputs: { age_group: 'senior', seizures: 'mild', mobility_status: 'wobbly' }, expected: 'BRAIN_TUMOR_MENINGIOMA' }]
+    },
+    {
+        ruleId: 'HYPOCALCEMIA',
+        urgency: 'HIGH',
+        positive: [{ age_group: 'senior', onset_speed: 'sudden', seizures: 'mild', mobility_status: 'wobbly' }],
+        negative: [{ inputs: { age_group: 'senior', seizures: 'mild', mobility_status: 'wobbly' }, expected: 'BRAIN_TUMOR_MENINGIOMA' }]
+    },
+    {
+        ruleId: 'BOTULISM_TICK_PARALYSIS',
+        urgency: 'HIGH',
+        positive: [{ mobility_status: 'paralyzed', onset_speed: 'sudden' }],
+        negative: [{ inputs: { mobility_status: 'paralyzed', onset_speed: 'sudden', pain_signs: true }, expected: 'IVDD' }]
+    },
+    {
+        ruleId: 'NEURO_FIP',
+        urgency: 'HIGH',
+        positive: [{ age_group: 'kitten', mobility_status: 'wobbly' }],
+        negative: [{ inputs: { mobility_status: 'wobbly' }, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'TOXOPLASMOSIS',
+        urgency: 'MODERATE',
+        positive: [{ eye_signs: true }],
+        negative: [{ inputs: { age_group: 'senior', eye_signs: true }, expected: 'COGNITIVE_DYSFUNCTION' }]
+    },
+    {
+        ruleId: 'OTITIS_INTERNA',
+        urgency: 'MODERATE',
+        positive: [{ ear_issues: true, head_tilt: true }],
+        negative: [{ inputs: { head_tilt: true }, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'NASOPHARYNGEAL_POLYP',
+        urgency: 'MODERATE',
+        shadowedBy: 'OTITIS_INTERNA',
+        positive: [{ ear_issues: true, head_tilt: true }],
+        negative: [{ inputs: { ear_issues: true, head_tilt: true, onset_speed: 'sudden' }, expected: 'OTITIS_INTERNA' }]
+    },
+    {
+        ruleId: 'MENINGITIS_ENCEPHALITIS',
+        urgency: 'HIGH',
+        positive: [{ onset_speed: 'sudden', pain_signs: true, seizures: 'mild' }],
+        negative: [{ inputs: { onset_speed: 'sudden', seizures: 'mild' }, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'BRAIN_TUMOR_MENINGIOMA',
+        urgency: 'HIGH',
+        positive: [{ age_group: 'senior', seizures: 'mild' }],
+        negative: [{ inputs: { seizures: 'mild' }, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'HIGH_GRADE_BRAIN_TUMOR',
+        urgency: 'HIGH',
+        positive: [{ age_group: 'senior', seizures: 'severe' }],
+        negative: [{ inputs: { seizures: 'severe' }, expected: 'IDIOPATHIC_EPILEPSY' }]
+    },
+    {
+        ruleId: 'SPINAL_TUMOR_LYMPHOMA',
+        urgency: 'HIGH',
+        positive: [{ age_group: 'senior', mobility_status: 'paralyzed' }],
+        negative: [{ inputs: { mobility_status: 'paralyzed' }, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'SPINAL_TUMOR_EARLY',
+        urgency: 'MODERATE',
+        positive: [{ age_group: 'senior', mobility_status: 'wobbly' }],
+        negative: [{ inputs: { age_group: 'senior', mobility_status: 'wobbly', pain_signs: true }, expected: 'COGNITIVE_DYSFUNCTION' }]
+    },
+    {
+        ruleId: 'HYDROCEPHALUS',
+        urgency: 'MODERATE',
+        shadowedBy: 'NEURO_FIP',
+        positive: [{ age_group: 'kitten', head_tilt: true, seizures: 'mild' }],
+        negative: [{ inputs: { age_group: 'kitten', head_tilt: true, seizures: 'mild', onset_speed: 'sudden' }, expected: 'HYPOGLYCEMIA' }]
+    },
+    {
+        ruleId: 'IVDD',
+        urgency: 'HIGH',
+        positive: [{ mobility_status: 'wobbly', pain_signs: true, onset_speed: 'sudden' }],
+        negative: [{ inputs: { pain_signs: true, onset_speed: 'sudden' }, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'FELINE_HYPERESTHESIA',
+        urgency: 'MODERATE',
+        positive: [{ seizures: 'mild', pain_signs: true }],
+        negative: [{ inputs: { age_group: 'senior', seizures: 'mild', pain_signs: true }, expected: 'BRAIN_TUMOR_MENINGIOMA' }]
+    },
+    {
+        ruleId: 'IDIOPATHIC_EPILEPSY',
+        urgency: 'MODERATE',
+        positive: [{ seizures: 'severe' }],
+        negative: [{ inputs: { seizures: 'severe', mobility_status: 'wobbly' }, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'CEREBELLAR_HYPOPLASIA',
+        urgency: 'LOW',
+        shadowedBy: 'NEURO_FIP',
+        positive: [{ age_group: 'kitten', mobility_status: 'wobbly' }],
+        negative: [{ inputs: { age_group: 'kitten', mobility_status: 'wobbly', onset_speed: 'sudden' }, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'ISCHEMIC_STROKE',
+        urgency: 'MODERATE',
+        positive: [{ age_group: 'senior', onset_speed: 'sudden', head_tilt: true }],
+        negative: [{ inputs: { age_group: 'senior', onset_speed: 'sudden', head_tilt: true, ear_issues: true }, expected: 'OTITIS_INTERNA' }]
+    },
+    {
+        ruleId: 'IDIOPATHIC_VESTIBULAR',
+        urgency: 'MODERATE',
+        positive: [{ onset_speed: 'sudden', head_tilt: true, mobility_status: 'wobbly' }],
+        negative: [{ inputs: { onset_speed: 'sudden', head_tilt: true }, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'COGNITIVE_DYSFUNCTION',
+        urgency: 'LOW',
+        positive: [{ age_group: 'senior' }],
+        negative: [{ inputs: { age_group: 'senior', onset_speed: 'sudden' }, expected: 'UNDETERMINED' }]
+    },
+    {
+        ruleId: 'UNDETERMINED',
+        urgency: 'MODERATE',
+        positive: [{}],
+        negative: [{ inputs: { age_group: 'senior' }, expected: 'COGNITIVE_DYSFUNCTION' }]
+    }
+];
+
+module.exports = RULE_CASES;
@@ -0,0 +1,142 @@
+/**
+ * User rule editor: building and validating a rule, saving it to storage and
+ * previewing which inputs a draft would capture and from which rules.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, caseInputs, diagnose } = require('./helpers.js');
+const FelineNeuroRuleEditor = require('../rule_editor.js');
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage(items = {}) {
+    return {
+        items,
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = value; }
+    };
+}
+
+const FIELDS = {
+    name: 'Vestibular Storm',
+    priority: '13.5',
+    urgency: 'HIGH',
+    match: 'all',
+    conditions: [
+        { field: 'head_tilt', value: 'true', negate: false },
+        { field: 'eye_signs', value: 'true', negate: false },
+        { field: 'ear_issues', value: 'true', negate: true }
+    ],
+    description: 'Head tilt with flicking eyes and no ear disease',
+    clinicalNotes: 'First note\n\n Second note ',
+    nextSteps: ''
+};
+
+describe('buildRule', () => {
+    const editor = new FelineNeuroRuleEditor(createEngine(), createStorage());
+    const rule = editor.buildRule(FIELDS);
+
+    it('derives the id from the name and parses the conditions', () => {
+        assert.equal(rule.id, 'VESTIBULAR_STORM');
+        assert.equal(rule.priority, 13.5);
+        assert.deepEqual(rule.conditionTree, {
+            all: [
+                { field: 'head_tilt', equals: true },
+                { field: 'eye_signs', equals: true },
+                { not: { field: 'ear_issues', equals: true } }
+            ]
+        });
+        assert.deepEqual(rule.clinicalNotes, ['First note', 'Second note']);
+        assert.deepEqual(rule.nextSteps, []);
+    });
+
+    it('gives back the editor fields', () => {
+        assert.deepEqual(editor.buildRule(editor.toFields(rule)), rule);
+    });
+});
+
+describe('validateRule', () => {
+    const editor = new FelineNeuroRuleEditor(createEngine(), createStorage());
+    const rule = editor.buildRule(FIELDS);
+
+    it('accepts a complete rule', () => {
+        assert.doesNotThrow(() => editor.validateRule(rule));
+    });
+
+    [
+        [{ name: ' ' }, /name is required/],
+        [{ id: 'lower_case' }, /Invalid rule id: lower_case/],
+        [{ id: 'OTITIS_INTERNA' }, /OTITIS_INTERNA is a built-in rule id/],
+        [{ priority: 14 }, /Priority 14 is already used by Otitis Interna/],
+        [{ priority: 29.5 }, /Priority must be below 29/],
+        [{ priority: -1 }, /Priority must be a positive number/],
+        [{ urgency: 'SOON' }, /Invalid urgency: SOON/],
+        [{ conditionTree: { all: [] } }, /Add at least one condition/],
+        [{ conditionTree: { all: [{ field: 'weight', equals: 4 }] } }, /weight/],
+        [{ description: '' }, /description is required/],
+        [{ nextSteps: 'Call the vet' }, /nextSteps must be a list of text lines/]
+    ].forEach(([change, message]) => {
+        it(`rejects ${JSON.stringify(change)}`, () => {
+            assert.throws(() => editor.validateRule({ ...rule, ...change }), message);
+        });
+    });
+});
+
+describe('saving', () => {
+    it('stores the rule and adds it to the engine', () => {
+        const storage = createStorage();
+        const engine = createEngine();
+        const editor = new FelineNeuroRuleEditor(engine, storage);
+        editor.saveRule(editor.buildRule({ ...FIELDS, priority: '0.5' }));
+
+        const inputs = caseInputs({ head_tilt: true, eye_signs: true });
+        assert.equal(diagnose(engine, inputs).ruleId, 'VESTIBULAR_STORM');
+        assert.throws(() => editor.saveRule(editor.buildRule(FIELDS)), /already have a rule with id VESTIBULAR_STORM/);
+        editor.deleteRule('VESTIBULAR_STORM');
+        assert.notEqual(diagnose(engine, inputs).ruleId, 'VESTIBULAR_STORM');
+        editor.saveRule(editor.buildRule(FIELDS));
+
+        const reloaded = new FelineNeuroRuleEditor(createEngine(), storage);
+        assert.deepEqual(reloaded.load().map(rule => rule.id), ['VESTIBULAR_STORM']);
+    });
+
+    it('skips a saved rule that no longer validates', () => {
+        const editor = new FelineNeuroRuleEditor(createEngine(), createStorage());
+        const rule = editor.buildRule(FIELDS);
+        const storage = createStorage({ felineNeuroUserRules: JSON.stringify([rule, { ...rule, id: 'CLASH', priority: 14 }]) });
+        assert.deepEqual(new FelineNeuroRuleEditor(createEngine(), storage).load().map(saved => saved.id), ['VESTIBULAR_STORM']);
+    });
+});
+
+describe('preview', () => {
+    const engine = createEngine();
+    const editor = new FelineNeuroRuleEditor(engine, createStorage());
+    const captures = inputs => inputs.head_tilt === true && inputs.eye_signs === true && inputs.ear_issues !== true;
+    const capturedCount = engine.enumerateInputSpace().filter(captures).length;
+
+    it('wins every input it captures when ranked first', () => {
+        const preview = editor.preview(editor.buildRule({ ...FIELDS, priority: '0.5' }));
+        assert.equal(preview.captured, capturedCount);
+        assert.equal(preview.wins, capturedCount);
+        assert.deepEqual(preview.keptBy, []);
+        assert.equal(preview.takenFrom.reduce((sum, entry) => sum + entry.count, 0), capturedCount);
+        preview.takenFrom.forEach(entry => assert.equal(diagnose(engine, entry.example).ruleId, entry.ruleId));
+    });
+
+    it('loses captured inputs to the rules ranked ahead of it', () => {
+        const preview = editor.preview(editor.buildRule(FIELDS));
+        assert.equal(preview.captured, capturedCount);
+        assert.ok(preview.wins > 0 && preview.wins < capturedCount);
+        assert.equal(preview.wins + preview.keptBy.reduce((sum, entry) => sum + entry.count, 0), capturedCount);
+        preview.keptBy.forEach(entry => {
+            assert.ok(engine.data.diagnosticRules.find(rule => rule.id === entry.ruleId).priority < 13.5);
+        });
+    });
+
+    it('validates the draft first', () => {
+        assert.throws(() => editor.preview(editor.buildRule({ ...FIELDS, priority: '14' })), /already used/);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Per-rule regression cases: the winning rule and its urgency for canonical
+ * positive and negative inputs (see rule_cases.js).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, caseInputs, diagnose } = require('./helpers.js');
+const RULE_CASES = require('./rule_cases.js');
+
+const engine = createEngine();
+
+describe('rule cases', () => {
+    it('covers every rule in diagnosticRules', () => {
+        const ruleIds = engine.data.diagnosticRules.map(rule => rule.id).sort();
+        assert.deepEqual(RULE_CASES.map(ruleCase => ruleCase.ruleId).sort(), ruleIds);
+    });
+
+    RULE_CASES.forEach(ruleCase => {
+        describe(ruleCase.ruleId, () => {
+            ruleCase.positive.forEach((overrides, index) => {
+                const inputs = caseInputs(overrides);
+
+                if (ruleCase.shadowedBy) {
+                    it(`fires but loses to ${ruleCase.shadowedBy} (positive #${index + 1})`, () => {
+                        const diagnosis = diagnose(engine, inputs);
+                        assert.equal(diagnosis.ruleId, ruleCase.shadowedBy);
+                        assert.ok(
+                            diagnosis.differential.some(entry => entry.ruleId === ruleCase.ruleId),
+                            `${ruleCase.ruleId} should be in the differential`
+                        );
+                    });
+                    return;
+                }
+
+                it(`wins with urgency ${ruleCase.urgency} (positive #${index + 1})`, () => {
+                    const diagnosis = diagnose(engine, inputs);
+                    assert.equal(diagnosis.ruleId, ruleCase.ruleId);
+                    assert.equal(diagnosis.urgency, ruleCase.urgency);
+                });
+            });
+
+            ruleCase.negative.forEach(({ inputs: overrides, expected }, index) => {
+                it(`gives way to ${expected} (negative #${index + 1})`, () => {
+                    const diagnosis = diagnose(engine, caseInputs(overrides));
+                    const expectedRule = engine.data.diagnosticRules.find(rule => rule.id === expected);
+                    assert.notEqual(diagnosis.ruleId, ruleCase.ruleId);
+                    assert.equal(diagnosis.ruleId, expected);
+                    assert.equal(diagnosis.urgency, expectedRule.urgency);
+                });
+            });
+        });
+    });
+});
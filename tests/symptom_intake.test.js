@@ -0,0 +1,128 @@
+/**
+ * Free-text intake: the values read from an owner's description, the phrases
+ * behind them, negation and conflicting mentions.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine } = require('./helpers.js');
+const FelineNeuroSymptomIntake = require('../symptom_intake.js');
+
+const intake = new FelineNeuroSymptomIntake(createEngine());
+
+const phrases = (result, field) => result.matches.filter(match => match.field === field).map(match => match.text);
+
+describe('phrase extraction', () => {
+    it('reads every field a description mentions', () => {
+        const result = intake.extract("My 12 year old cat suddenly can't walk, her back legs are cold and she's crying.");
+        assert.deepEqual(result.values, {
+            age_group: 'senior',
+            onset_speed: 'sudden',
+            mobility_status: 'paralyzed',
+            cold_limbs: true,
+            pain_signs: true
+        });
+        assert.deepEqual(result.conflicts, {});
+    });
+
+    it('keeps the text span behind each value', () => {
+        const text = 'She walks like she is drunk and her head is tilted';
+        const result = intake.extract(text);
+        assert.deepEqual(phrases(result, 'mobility_status'), ['drunk']);
+        assert.deepEqual(phrases(result, 'head_tilt'), ['head is tilted']);
+        result.matches.forEach(match => assert.equal(text.slice(match.start, match.end), match.text));
+    });
+
+    it('lists matches in text order', () => {
+        const result = intake.extract('Shaking her head, then wobbly, since yesterday');
+        assert.deepEqual(result.matches.map(match => match.field), ['ear_issues', 'mobility_status', 'onset_speed']);
+    });
+
+    it('matches phrases from the input descriptions with spaces or hyphens', () => {
+        assert.equal(intake.extract('constant fly biting').values.seizures, 'mild');
+        assert.equal(intake.extract('constant fly-biting').values.seizures, 'mild');
+    });
+
+    it('converts stated ages with the patient record boundaries', () => {
+        assert.equal(intake.extract('an 8 month old').values.age_group, 'kitten');
+        assert.equal(intake.extract('a 3-year-old').values.age_group, 'adult');
+        assert.equal(intake.extract('she is 7 years old').values.age_group, 'senior');
+    });
+
+    it('ignores value names that are everyday words', () => {
+        const result = intake.extract('Her appetite is normal but the pain seems severe');
+        assert.deepEqual(result.values, { pain_signs: true });
+    });
+
+    it('reads a severity qualifier before the seizure', () => {
+        assert.deepEqual(intake.extract('She had a mild seizure this morning').values, { seizures: 'mild', onset_speed: 'sudden' });
+        assert.equal(intake.extract('a brief fit').values.seizures, 'mild');
+        assert.equal(intake.extract('two small seizures').values.seizures, 'mild');
+        assert.equal(intake.extract('She had a seizure').values.seizures, 'severe');
+    });
+
+    it('reads falling over as wobbly and a fall from somewhere as trauma', () => {
+        assert.deepEqual(intake.extract('He fell over a few times while walking').values, { mobility_status: 'wobbly' });
+        assert.equal(intake.extract('She falls over when she turns').values.mobility_status, 'wobbly');
+        assert.deepEqual(intake.extract('He fell off the balcony').values, { recent_trauma: true });
+        assert.equal(intake.extract('She fell down the stairs').values.recent_trauma, true);
+    });
+
+    it('returns nothing for an unrelated description', () => {
+        assert.deepEqual(intake.extract('Hello there'), { values: {}, conflicts: {}, matches: [] });
+    });
+});
+
+describe('negation', () => {
+    it('reads "no seizures" as seizures: none', () => {
+        const result = intake.extract('No seizures. She is wobbly.');
+        assert.deepEqual(result.values, { seizures: 'none', mobility_status: 'wobbly' });
+        assert.equal(result.matches[0].negated, true);
+    });
+
+    it('reads a denied sign as absent', () => {
+        assert.equal(intake.extract("There's no head tilt").values.head_tilt, false);
+        assert.equal(intake.extract("She hasn't been shaking her head").values.ear_issues, false);
+    });
+
+    it('only reaches back to the start of the clause', () => {
+        const result = intake.extract('Not eating much, but she is wobbly and crying');
+        assert.equal(result.values.mobility_status, 'wobbly');
+        assert.equal(result.values.pain_signs, true);
+    });
+
+    it('reads "no mild seizures" as seizures: none', () => {
+        assert.equal(intake.extract('No mild seizures either').values.seizures, 'none');
+    });
+
+    it('drops a negated value that has no negative meaning', () => {
+        assert.deepEqual(intake.extract('She is not paralyzed').values, {});
+    });
+});
+
+describe('conflicting phrases', () => {
+    it('keeps the most severe value and lists the others', () => {
+        const result = intake.extract('She is stumbling and now she cannot walk');
+        assert.equal(result.values.mobility_status, 'paralyzed');
+        assert.deepEqual(result.conflicts.mobility_status, ['wobbly', 'paralyzed']);
+    });
+
+    it('keeps the most severe seizure value', () => {
+        const result = intake.extract('He had a fit, and later he twitches');
+        assert.equal(result.values.seizures, 'severe');
+        assert.deepEqual(result.conflicts.seizures, ['severe', 'mild']);
+    });
+
+    it('counts a sign both denied and affirmed as present', () => {
+        const result = intake.extract('No head tilt at first. Now her head is tilted.');
+        assert.equal(result.values.head_tilt, true);
+        assert.deepEqual(result.conflicts.head_tilt, [false, true]);
+    });
+
+    it('does not report a value mentioned twice as a conflict', () => {
+        const result = intake.extract('It came on gradually over the last few weeks');
+        assert.equal(result.values.onset_speed, 'gradual');
+        assert.deepEqual(result.conflicts, {});
+    });
+});